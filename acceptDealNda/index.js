@@ -0,0 +1,43 @@
+// acceptDealNda/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const NdaService = require('../shared/services/ndaService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function acceptDealNdaHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const acceptance = await NdaService.accept(req.user, dealId, req.body.version, req);
+
+    return {
+        message: 'NDA accepted successfully',
+        data: acceptance
+    };
+}
+
+// Input validation function
+function validateAcceptDealNdaInput(req) {
+    if (!req.body || req.body.version === undefined) {
+        throw new ValidationError('The NDA version being accepted is required');
+    }
+}
+
+// Export wrapped function; consent must come from the investor themselves
+module.exports = azureFunctionWrapper(acceptDealNdaHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    allowImpersonation: false,
+    validateInput: validateAcceptDealNdaInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -7,6 +7,7 @@ const {
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
 
 // Main function handler
 async function adminLoginHandler(context, req) {
@@ -21,8 +22,11 @@ async function adminLoginHandler(context, req) {
     // Perform admin login
     const result = await AuthService.adminLogin(validatedEmail, validatedPassword);
     
+    // Admin login always continues with a second factor (or 2FA enrollment)
     return {
-        message: 'Admin login successful',
+        message: result.twoFactorSetupRequired
+            ? 'Two-factor authentication setup required'
+            : 'Two-factor verification required',
         data: result
     };
 }
@@ -44,5 +48,9 @@ module.exports = azureFunctionWrapper(adminLoginHandler, {
     requireAuth: false,
     validateInput: validateAdminLoginInput,
     enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
     timeout: 15000
 });
\ No newline at end of file
@@ -7,6 +7,9 @@ const {
 } = require('../shared/middleware/errorHandler');
 const dbConfig = require('../shared/config/db.config');
 const InvestorBulkService = require('../shared/services/investorBulkService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 
 // Main function handler - handles HTTP concerns and file uploads
 async function bulkCreateInvestorsHandler(context, req) {
@@ -14,6 +17,13 @@ async function bulkCreateInvestorsHandler(context, req) {
         // Ensure database connection
         await ensureDbConnection(dbConfig, context);
         
+        const authenticatedUser = await authenticateToken(context, req);
+        if (!authenticatedUser) {
+            return; // Response already set by authenticateToken middleware
+        }
+        
+        requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+        
         let csvDataArray = null;
         let investors = null;
 
@@ -67,8 +77,15 @@ async function bulkCreateInvestorsHandler(context, req) {
             throw new ValidationError('Either CSV file(s)/data or investors array is required');
         }
         
+        // Invitations are opt-in: ?sendInvitations=true, or sendInvitations: true in a JSON body
+        const sendInvitations = req.query.sendInvitations === 'true' ||
+            (contentType.includes('application/json') && req.body.sendInvitations === true);
+        
         // Delegate to service layer
-        const result = await InvestorBulkService.processBulkInvestors(csvDataArray, investors, context.log);
+        const result = await InvestorBulkService.processBulkInvestors(csvDataArray, investors, context.log, {
+            sendInvitations,
+            invitedBy: authenticatedUser._id
+        });
         
         return result;
         
@@ -190,7 +207,7 @@ function validateBulkCreateInput(req) {
 }
 
 module.exports = azureFunctionWrapper(bulkCreateInvestorsHandler, {
-    requireAuth: false,
+    requireAuth: true,
     validateInput: validateBulkCreateInput,
     enableCors: true,
     timeout: 300000
@@ -1,5 +1,6 @@
 // checkEmail/index.js
 const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
 const AuthService = require('../shared/services/authService');
 const { 
     azureFunctionWrapper, 
@@ -23,4 +24,10 @@ async function checkEmailHandler(context, req) {
 }
 
 // Export wrapped function
-module.exports = azureFunctionWrapper(checkEmailHandler);
\ No newline at end of file
+module.exports = azureFunctionWrapper(checkEmailHandler, {
+    // Throttled hard since the endpoint reveals whether an account exists
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    }
+});
\ No newline at end of file
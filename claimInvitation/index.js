@@ -0,0 +1,59 @@
+// claimInvitation/index.js
+const {
+    azureFunctionWrapper,
+    validateEmail,
+    validateRequired,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const InvitationService = require('../shared/services/invitationService');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
+
+// Main function handler
+async function claimInvitationHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Extract and validate input
+    const { email, token, password, agreedToTerms, profile } = req.body;
+    const validatedEmail = validateEmail(email);
+    const validatedToken = validateRequired(token, 'token');
+
+    // Set the password, confirm the profile and sign the investor in
+    const result = await InvitationService.claimInvitation(validatedEmail, validatedToken, {
+        password,
+        agreedToTerms,
+        profile: profile || {}
+    }, RequestHelper.getClientInfo(req));
+
+    return {
+        message: 'Account claimed successfully',
+        data: result
+    };
+}
+
+// Input validation function
+function validateClaimInvitationInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { email, token, password } = req.body;
+    if (!email || !token || !password) {
+        throw new ValidationError('Email, token and password are required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(claimInvitationHandler, {
+    requireAuth: false,
+    validateInput: validateClaimInvitationInput,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 15000
+});
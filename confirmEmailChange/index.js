@@ -0,0 +1,51 @@
+// confirmEmailChange/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const EmailChangeService = require('../shared/services/emailChangeService');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function confirmEmailChangeHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+
+    // Other sessions are signed out; this device receives new tokens
+    const result = await EmailChangeService.confirmChange(user._id, user.role, req.body.code, req);
+
+    return {
+        message: 'Email address changed successfully',
+        data: result
+    };
+}
+
+// Input validation function
+function validateConfirmEmailChangeInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    if (!req.body.code) {
+        throw new ValidationError('Verification code is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(confirmEmailChangeHandler, {
+    requireAuth: true,
+    roles: ['founder', 'investor'],
+    allowImpersonation: false,
+    validateInput: validateConfirmEmailChangeInput,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 20000
+});
@@ -0,0 +1,61 @@
+// createAdmin/index.js
+const { 
+    azureFunctionWrapper,
+    validateEmail,
+    validateRequired,
+    ValidationError,
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AdminService = require('../shared/services/adminService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function createAdminHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    const authenticatedUser = await authenticateToken(context, req);
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
+    }
+    
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
+    // Extract and validate admin details
+    const { name, email, password, adminRole } = req.body;
+    
+    const admin = await AdminService.createAdmin({
+        name: validateRequired(name, 'name'),
+        email: validateEmail(email),
+        password,
+        adminRole
+    }, authenticatedUser._id);
+    
+    return {
+        message: 'Admin created successfully',
+        data: admin
+    };
+}
+
+// Input validation function
+function validateCreateAdminInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+    
+    const { name, email, password } = req.body;
+    if (!name || !email || !password) {
+        throw new ValidationError('Name, email and password are required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(createAdminHandler, {
+    requireAuth: true,
+    validateInput: validateCreateAdminInput,
+    enableCors: true,
+    timeout: 15000
+});
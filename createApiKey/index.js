@@ -0,0 +1,54 @@
+// createApiKey/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const ApiKeyService = require('../shared/services/apiKeyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function createApiKeyHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    const { name, partnerName, scopes, rateLimit, expiresAt } = req.body;
+
+    const result = await ApiKeyService.createKey(authenticatedUser, { name, partnerName, scopes, rateLimit, expiresAt }, req);
+
+    return {
+        message: 'API key created. Copy it now, it will not be shown again',
+        data: result
+    };
+}
+
+// Input validation function
+function validateCreateApiKeyInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { name, partnerName, scopes } = req.body;
+    if (!name || !partnerName) {
+        throw new ValidationError('name and partnerName are required');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError(`scopes must be a non-empty array of: ${ApiKeyService.VALID_SCOPES.join(', ')}`);
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(createApiKeyHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateCreateApiKeyInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,48 @@
+// createDataRoomFolder/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function createDataRoomFolderHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId } = context.bindingData;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const result = await DataRoomService.createFolder(authenticatedUser, dealId, req.body);
+
+    return {
+        message: 'Folder created successfully',
+        data: result
+    };
+}
+
+// Input validation function
+function validateCreateDataRoomFolderInput(req) {
+    if (!req.body || !req.body.name) {
+        throw new ValidationError('Folder name is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(createDataRoomFolderHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateCreateDataRoomFolderInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,37 @@
+// createDataRoomLink/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function createDataRoomLinkHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const { dealId, documentId } = context.bindingData;
+    if (!dealId || !documentId) {
+        throw new ValidationError('Deal ID and document ID are required');
+    }
+
+    // 'view' opens the file in the browser, 'download' saves it
+    const action = (req.body && req.body.action) || 'download';
+    const link = await DataRoomService.createLink(req.user, dealId, documentId, action, req);
+
+    return {
+        message: 'Document link created successfully',
+        data: link
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(createDataRoomLinkHandler, {
+    requireAuth: true,
+    roles: ['investor', 'admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -7,6 +7,8 @@ const {
 const dbConfig = require('../shared/config/db.config');
 const DealsService = require('../shared/services/dealService');
 const authenticateToken = require('../shared/middleware/authenticateToken')
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 async function createDealHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
     
@@ -15,9 +17,7 @@ async function createDealHandler(context, req) {
         return; // Response already set by authenticateToken middleware
     }
     
-    if (!user || user.role !== 'admin') {
-        throw new ValidationError('Only admins can create deals');
-    }
+    requireAdminRole(user, [constants.ADMIN_ROLES.DEAL_MANAGER]);
     
     const dealData = req.body;
     
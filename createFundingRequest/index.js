@@ -12,6 +12,7 @@ const authenticateToken = require('../shared/middleware/authenticateToken');
 const SendPitchDeckHelper = require('../shared/hellpers/SendPitchDeckHelper');
 const PitchDeckService = require('../shared/services/PitchDeckService');
 const InvestorService = require('../shared/services/InvestorService');
+const CurrencyService = require('../shared/services/currencyService');
 
 // Main function handler
 async function createFundingRequestHandler(context, req) {
@@ -25,6 +26,8 @@ async function createFundingRequestHandler(context, req) {
 
     const {
         fundingStage,
+        fundingAmount,
+        currency,
         useOfFunds,
         businessPlan,
         financialProjections,
@@ -67,6 +70,8 @@ async function createFundingRequestHandler(context, req) {
     const fundingRequest = new FundingRequest({
         founderId: founderId,
         fundingStage,
+        fundingAmount,
+        currency: currency ? CurrencyService.normaliseCode(currency) : undefined,
         useOfFunds,
         businessPlan,
         financialProjections,
@@ -74,6 +79,7 @@ async function createFundingRequestHandler(context, req) {
         status: 'open'
     });
 
+    await CurrencyService.normaliseFundingRequest(fundingRequest);
     await fundingRequest.save();
 
     // Handle sending pitch deck to investors if requested
@@ -231,6 +237,7 @@ function validateCreateFundingRequestInput(req) {
 
     const {
         fundingStage,
+        fundingAmount,
         useOfFunds,
         sendToInvestorsImmediately,
         investorIds,
@@ -246,6 +253,10 @@ function validateCreateFundingRequestInput(req) {
         throw new ValidationError('Use of funds is required');
     }
 
+    if (fundingAmount !== undefined && (typeof fundingAmount !== 'number' || !(fundingAmount > 0))) {
+        throw new ValidationError('Funding amount must be a positive number');
+    }
+
     // Validate investor information if sending immediately
     if (sendToInvestorsImmediately) {
         const hasInvestorIds = investorIds && Array.isArray(investorIds) && investorIds.length > 0;
@@ -0,0 +1,46 @@
+// deleteAccount/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const AccountDataService = require('../shared/services/accountDataService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function deleteAccountHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+    const { confirmEmail, reason } = req.body;
+
+    const result = await AccountDataService.deleteAccount(user._id, user.role, { confirmEmail, reason }, req);
+
+    return {
+        message: 'Your account has been deleted',
+        data: result
+    };
+}
+
+// Input validation function
+function validateDeleteAccountInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    if (!req.body.confirmEmail) {
+        throw new ValidationError('Please confirm your email address to delete your account');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(deleteAccountHandler, {
+    requireAuth: true,
+    roles: ['founder', 'investor'],
+    allowImpersonation: false,
+    validateInput: validateDeleteAccountInput,
+    enableCors: true,
+    timeout: 60000
+});
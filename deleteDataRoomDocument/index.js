@@ -0,0 +1,41 @@
+// deleteDataRoomDocument/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function deleteDataRoomDocumentHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, documentId } = context.bindingData;
+    if (!dealId || !documentId) {
+        throw new ValidationError('Deal ID and document ID are required');
+    }
+
+    const result = await DataRoomService.deleteDocument(dealId, documentId);
+
+    return {
+        message: 'Document deleted successfully',
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(deleteDataRoomDocumentHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
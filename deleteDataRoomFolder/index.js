@@ -0,0 +1,41 @@
+// deleteDataRoomFolder/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function deleteDataRoomFolderHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, folderId } = context.bindingData;
+    if (!dealId || !folderId) {
+        throw new ValidationError('Deal ID and folder ID are required');
+    }
+
+    const result = await DataRoomService.deleteFolder(dealId, folderId);
+
+    return {
+        message: 'Folder deleted successfully',
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(deleteDataRoomFolderHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
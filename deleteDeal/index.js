@@ -6,6 +6,8 @@ const {
 const dbConfig = require('../shared/config/db.config');
 const DealsService = require('../shared/services/dealService');
 const authenticateToken = require('../shared/middleware/authenticateToken')
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 async function deleteDealHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
     
@@ -14,9 +16,7 @@ async function deleteDealHandler(context, req) {
         return; // Response already set by authenticateToken middleware
     }
 
-    if (!user || user.role !== 'admin') {
-        throw new ValidationError('Only admins can delete deals');
-    }
+    requireAdminRole(user, [constants.ADMIN_ROLES.DEAL_MANAGER]);
     
     const dealId = context.bindingData.dealId;
     
@@ -31,6 +31,7 @@ async function deleteDealHandler(context, req) {
 
 module.exports = azureFunctionWrapper(deleteDealHandler, {
     requireAuth: true,
+    allowImpersonation: false,
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -64,6 +64,7 @@ async function deleteDealMediaHandler(context, req) {
 // Export wrapped function
 module.exports = azureFunctionWrapper(deleteDealMediaHandler, {
     requireAuth: true,
+    allowImpersonation: false,
     validateInput: DealMediaDeleteValidator.validateRequestInput,
     enableCors: true,
     timeout: constants.TIMEOUTS.DEFAULT
@@ -7,6 +7,8 @@ const {
     DatabaseError,
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const mongoose = require('mongoose');
 
@@ -15,6 +17,10 @@ async function deleteDocumentRequestHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
     // Extract and validate parameters
     const { userId, documentId } = req.body;
     const validatedUserId = validateRequired(userId, 'userId');
@@ -145,7 +151,8 @@ function validateDeleteDocumentRequestInput(req) {
 
 // Export wrapped function
 module.exports = azureFunctionWrapper(deleteDocumentRequestHandler, {
-    requireAuth: false, // Set to true if authentication is required
+    requireAuth: true,
+    roles: ['admin'],
     validateInput: validateDeleteDocumentRequestInput,
     enableCors: true,
     timeout: 15000
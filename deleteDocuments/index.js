@@ -48,6 +48,7 @@ async function deleteDocumentHandler(context, req) {
 
 module.exports = azureFunctionWrapper(deleteDocumentHandler, {
     requireAuth: true,
+    allowImpersonation: false,
     enableCors: true,
     timeout: 30000
 });
\ No newline at end of file
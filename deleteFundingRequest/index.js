@@ -109,6 +109,7 @@ async function deleteFundingRequestHandler(context, req) {
 
 module.exports = azureFunctionWrapper(deleteFundingRequestHandler, {
     requireAuth: true,
+    allowImpersonation: false,
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -0,0 +1,38 @@
+// exportUserData/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const AccountDataService = require('../shared/services/accountDataService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function exportUserDataHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+
+    const bundle = await AccountDataService.exportUserData(user._id, user.role, req);
+
+    // Let browsers save the bundle as a file
+    context.res.headers = {
+        ...context.res.headers,
+        'Content-Disposition': `attachment; filename="sintracap-export-${user._id}.json"`
+    };
+
+    return {
+        message: 'Account data exported successfully',
+        data: bundle
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(exportUserDataHandler, {
+    requireAuth: true,
+    roles: ['founder', 'investor'],
+    allowImpersonation: false,
+    enableCors: true,
+    timeout: 30000
+});
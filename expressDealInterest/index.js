@@ -0,0 +1,48 @@
+// expressDealInterest/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CommitmentService = require('../shared/services/commitmentService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function expressDealInterestHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const { amount, currency, note } = req.body;
+    const commitment = await CommitmentService.submitInterest(req.user, dealId, { amount, currency, note });
+
+    return {
+        message: 'Expression of interest recorded successfully',
+        data: commitment
+    };
+}
+
+// Input validation function
+function validateExpressDealInterestInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    if (req.body.amount === undefined || req.body.amount === null || req.body.amount === '') {
+        throw new ValidationError('amount is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(expressDealInterestHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    allowImpersonation: false,
+    validateInput: validateExpressDealInterestInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -6,6 +6,7 @@ const {
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
 
 // Main function handler
 async function finalizeSignupHandler(context, req) {
@@ -17,7 +18,7 @@ async function finalizeSignupHandler(context, req) {
     const validatedEmail = validateEmail(email);
     
     // Finalize signup
-    const result = await AuthService.finalizeSignup(validatedEmail);
+    const result = await AuthService.finalizeSignup(validatedEmail, RequestHelper.getClientInfo(req));
     
     return result;
 }
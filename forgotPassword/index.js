@@ -0,0 +1,51 @@
+// forgotPassword/index.js
+const { 
+    azureFunctionWrapper, 
+    validateEmail,
+    ValidationError,
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+
+// Main function handler
+async function forgotPasswordHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    // Extract and validate email
+    const { email } = req.body;
+    const validatedEmail = validateEmail(email);
+    
+    // Send the reset link if the account exists
+    await AuthService.requestPasswordReset(validatedEmail);
+    
+    return {
+        message: 'If an account exists for this email, a password reset link has been sent'
+    };
+}
+
+// Input validation function
+function validateForgotPasswordInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+    
+    const { email } = req.body;
+    if (!email) {
+        throw new ValidationError('Email is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(forgotPasswordHandler, {
+    requireAuth: false,
+    validateInput: validateForgotPasswordInput,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 20000
+});
@@ -0,0 +1,38 @@
+// getAdmins/index.js
+const { 
+    azureFunctionWrapper,
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AdminService = require('../shared/services/adminService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getAdminsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    const authenticatedUser = await authenticateToken(context, req);
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
+    }
+    
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
+    const admins = await AdminService.listAdmins();
+    
+    return {
+        message: `Found ${admins.length} admin${admins.length !== 1 ? 's' : ''}`,
+        data: admins
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getAdminsHandler, {
+    requireAuth: true,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -4,6 +4,7 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
 const dbConfig = require('../shared/config/db.config');
 const OnboardingService = require('../shared/services/onboardingService');
 
@@ -12,10 +13,12 @@ async function getAllActiveQuestionsHandler(context, req) {
 
     const authenticatedUser = await authenticateToken(context, req);
 
-    if (!authenticatedUser || authenticatedUser.role !== 'admin') {
-        throw new ValidationError('Only admins can view all questions');
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
     }
     
+    requireAdminRole(authenticatedUser);
+    
     const result = await OnboardingService.getAllActiveQuestions();
     
     return result;
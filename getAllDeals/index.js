@@ -3,6 +3,7 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
 const DealsService = require('../shared/services/dealService');
 
 async function getAllDealsHandler(context, req) {
@@ -15,13 +16,16 @@ async function getAllDealsHandler(context, req) {
         adminSelected: req.query.adminSelected === 'true' ? true : req.query.adminSelected === 'false' ? false : undefined,
         isHotDeal: req.query.isHotDeal === 'true' ? true : req.query.isHotDeal === 'false' ? false : undefined,
         search: req.query.search,
+        minAmount: req.query.minAmount,
+        maxAmount: req.query.maxAmount,
+        amountCurrency: req.query.amountCurrency, // currency of minAmount/maxAmount, defaults to the base currency
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 20,
-        sortBy: req.query.sortBy || 'createdAt',
+        sortBy: req.query.sortBy, // defaults to relevance when searching, otherwise createdAt
         sortOrder: req.query.sortOrder || 'desc'
     };
     
-    const result = await DealsService.getAllDeals(filters);
+    const result = await DealsService.getAllDeals(filters, req.user);
     
     return {
         message: 'Deals retrieved successfully',
@@ -31,6 +35,8 @@ async function getAllDealsHandler(context, req) {
 
 module.exports = azureFunctionWrapper(getAllDealsHandler, {
     requireAuth: false,
+    optionalAuth: true,
+    apiKeyScope: constants.API_KEYS.SCOPES.DEALS_READ,
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -3,11 +3,17 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
 const HotDealsService = require('../shared/services/hotDealService');
+const DealsService = require('../shared/services/dealService');
 async function getAllHotDealsHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
     
     const result = await HotDealsService.getAllCategories();
+    for (const category of result) {
+        category.deals = await DealsService.presentDeals(category.deals, req.user);
+        category.currentDealsCount = category.deals.length;
+    }
     
     return {
         message: 'All hot deals categories retrieved successfully',
@@ -17,6 +23,8 @@ async function getAllHotDealsHandler(context, req) {
 
 module.exports = azureFunctionWrapper(getAllHotDealsHandler, {
     requireAuth: false,
+    optionalAuth: true,
+    apiKeyScope: constants.API_KEYS.SCOPES.HOT_DEALS_READ,
     validateInput: null,
     enableCors: true,
     timeout: 10000
@@ -0,0 +1,44 @@
+// getApiKeyUsage/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const ApiKeyService = require('../shared/services/apiKeyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getApiKeyUsageHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    const keyId = context.bindingData.keyId;
+    if (!keyId) {
+        throw new ValidationError('API key ID is required');
+    }
+
+    // Defaults to the last 30 days
+    const usage = await ApiKeyService.getUsageSummary(keyId, {
+        from: req.query.from,
+        to: req.query.to
+    });
+
+    return {
+        message: 'API key usage retrieved successfully',
+        data: usage
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getApiKeyUsageHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,36 @@
+// getApiKeys/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const ApiKeyService = require('../shared/services/apiKeyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getApiKeysHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    const apiKeys = await ApiKeyService.listKeys({
+        includeRevoked: req.query.includeRevoked === 'true'
+    });
+
+    return {
+        message: 'API keys retrieved successfully',
+        data: apiKeys
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getApiKeysHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,36 @@
+// getDataRoom/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDataRoomHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    // Investors only get the folders and documents they've been granted
+    const dataRoom = await DataRoomService.getDataRoom(req.user, dealId);
+
+    return {
+        message: 'Data room retrieved successfully',
+        data: dataRoom
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDataRoomHandler, {
+    requireAuth: true,
+    roles: ['investor', 'admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
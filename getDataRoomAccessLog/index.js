@@ -0,0 +1,41 @@
+// getDataRoomAccessLog/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDataRoomAccessLogHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER, constants.ADMIN_ROLES.ANALYST]);
+
+    const { dealId } = context.bindingData;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const result = await DataRoomService.getAccessLog(dealId, req.query);
+
+    return {
+        message: 'Access log retrieved successfully',
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDataRoomAccessLogHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -4,6 +4,7 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
 const DealsService = require('../shared/services/dealService');
 
 async function getDealHandler(context, req) {
@@ -15,7 +16,8 @@ async function getDealHandler(context, req) {
         throw new ValidationError('Deal ID is required');
     }
     
-    const deal = await DealsService.getDealById(dealId);
+    // Private deals are only visible to allowed investors; NDA deals come back as a teaser until accepted
+    const deal = await DealsService.getVisibleDeal(dealId, req.user);
     
     return {
         message: 'Deal retrieved successfully',
@@ -25,6 +27,8 @@ async function getDealHandler(context, req) {
 
 module.exports = azureFunctionWrapper(getDealHandler, {
     requireAuth: false,
+    optionalAuth: true,
+    apiKeyScope: constants.API_KEYS.SCOPES.DEALS_READ,
     validateInput: null,
     enableCors: true,
     timeout: 10000
@@ -0,0 +1,40 @@
+// getDealCommitments/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CommitmentService = require('../shared/services/commitmentService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDealCommitmentsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.DEAL_MANAGER, constants.ADMIN_ROLES.ANALYST]);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const ledger = await CommitmentService.getDealLedger(dealId, { status: req.query.status });
+
+    return {
+        message: 'Deal commitments retrieved successfully',
+        data: ledger
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDealCommitmentsHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,43 @@
+// getDealNdaAcceptances/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const NdaService = require('../shared/services/ndaService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDealNdaAcceptancesHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.DEAL_MANAGER, constants.ADMIN_ROLES.ANALYST]);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const [nda, acceptances] = await Promise.all([
+        NdaService.getCurrent(dealId),
+        NdaService.listAcceptances(dealId, { version: req.query.version })
+    ]);
+
+    return {
+        message: 'NDA acceptances retrieved successfully',
+        data: { nda, acceptances }
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDealNdaAcceptancesHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,40 @@
+// getDealStatusHistory/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DealsService = require('../shared/services/dealService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDealStatusHistoryHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.DEAL_MANAGER, constants.ADMIN_ROLES.ANALYST]);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const history = await DealsService.getStatusHistory(dealId);
+
+    return {
+        message: 'Deal status history retrieved successfully',
+        data: history
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDealStatusHistoryHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 10000
+});
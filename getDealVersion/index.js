@@ -0,0 +1,40 @@
+// getDealVersion/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DealsService = require('../shared/services/dealService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDealVersionHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const { dealId, version } = context.bindingData;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    if (version === undefined || version === null) {
+        throw new ValidationError('Version is required');
+    }
+
+    // Investors see the version as they would have seen the deal then: same visibility and NDA rules
+    const result = await DealsService.getDealVersion(dealId, version, req.user);
+
+    return {
+        message: `Deal version ${result.version} retrieved successfully`,
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDealVersionHandler, {
+    requireAuth: true,
+    roles: ['admin', 'investor'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
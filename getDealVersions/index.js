@@ -0,0 +1,40 @@
+// getDealVersions/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DealVersionService = require('../shared/services/dealVersionService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getDealVersionsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.DEAL_MANAGER, constants.ADMIN_ROLES.ANALYST]);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const history = await DealVersionService.listVersions(dealId);
+
+    return {
+        message: 'Deal versions retrieved successfully',
+        data: history
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getDealVersionsHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -8,7 +8,9 @@ const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
 const FundingRequest = require('../models/fundingRequest');
 const FounderInvestorMatch = require('../models/founderInvestorMatch');
+const CurrencyService = require('../shared/services/currencyService');
 const authenticateToken = require('../shared/middleware/authenticateToken');
+const config = require('../shared/config/config');
 
 // Main function handler
 async function getFundingRequestsHandler(context, req) {
@@ -46,11 +48,15 @@ async function getFundingRequestsHandler(context, req) {
         const status = req.query.status;
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
-        const sortBy = req.query.sortBy || 'createdAt';
+        // Amount sorts use the base-currency value so USD and INR requests compare correctly
+        const sortBy = req.query.sortBy === 'fundingAmount' ? 'fundingAmountBase' : (req.query.sortBy || 'createdAt');
         const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
         const fundingStage = req.query.fundingStage;
         const minAmount = req.query.minAmount ? parseFloat(req.query.minAmount) : null;
         const maxAmount = req.query.maxAmount ? parseFloat(req.query.maxAmount) : null;
+        const amountCurrency = req.query.amountCurrency
+            ? CurrencyService.normaliseCode(req.query.amountCurrency, 'amountCurrency')
+            : CurrencyService.BASE;
 
         // Validate pagination parameters
         if (page < 1) {
@@ -75,10 +81,11 @@ async function getFundingRequestsHandler(context, req) {
             filter.fundingStage = fundingStage;
         }
 
+        // Amount range in amountCurrency, compared against the base-currency value
         if (minAmount !== null || maxAmount !== null) {
-            filter.fundingAmount = {};
-            if (minAmount !== null) filter.fundingAmount.$gte = minAmount;
-            if (maxAmount !== null) filter.fundingAmount.$lte = maxAmount;
+            filter.fundingAmountBase = {};
+            if (minAmount !== null) filter.fundingAmountBase.$gte = await CurrencyService.boundToBase(minAmount, amountCurrency, 'minAmount');
+            if (maxAmount !== null) filter.fundingAmountBase.$lte = await CurrencyService.boundToBase(maxAmount, amountCurrency, 'maxAmount');
         }
 
         // Calculate skip value for pagination
@@ -249,7 +256,8 @@ async function getFundingRequestsHandler(context, req) {
                         status: status || 'all',
                         fundingStage,
                         minAmount,
-                        maxAmount
+                        maxAmount,
+                        amountCurrency
                     },
                     sortInfo: {
                         primarySort: "Status Priority (Open → Allotted → Closed)",
@@ -268,7 +276,7 @@ async function getFundingRequestsHandler(context, req) {
             body: {
                 success: false,
                 message: error.message || 'Failed to fetch funding requests',
-                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+                error: config.isDevelopment ? error.stack : undefined
             }
         };
     }
@@ -0,0 +1,33 @@
+// getFxRates/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CurrencyService = require('../shared/services/currencyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getFxRatesHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user);
+
+    const rates = await CurrencyService.listRates({ currency: req.query.currency });
+
+    return {
+        message: 'FX rates retrieved successfully',
+        data: rates
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getFxRatesHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -6,6 +6,7 @@ const {
 const authenticateToken = require('../shared/middleware/authenticateToken');
 const dbConfig = require('../shared/config/db.config');
 const HotDealsService = require('../shared/services/hotDealService');
+const DealsService = require('../shared/services/dealService');
 
 async function getHotDealsByCategoryHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
@@ -22,6 +23,8 @@ async function getHotDealsByCategoryHandler(context, req) {
     }
     
     const result = await HotDealsService.getCategoryDeals(category);
+    result.deals = await DealsService.presentDeals(result.deals, authenticatedUser);
+    result.currentDealsCount = result.deals.length;
     
     return {
         message: 'Hot deals retrieved successfully',
@@ -0,0 +1,40 @@
+// getInvitation/index.js
+const {
+    azureFunctionWrapper,
+    validateEmail,
+    validateRequired,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const InvitationService = require('../shared/services/invitationService');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+
+// Main function handler
+async function getInvitationHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Claim link parameters
+    const validatedEmail = validateEmail(req.query.email);
+    const validatedToken = validateRequired(req.query.token, 'token');
+
+    // Marks the invitation as opened and returns the profile to confirm
+    const invitation = await InvitationService.openInvitation(validatedEmail, validatedToken);
+
+    return {
+        message: 'Invitation retrieved successfully',
+        data: invitation
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getInvitationHandler, {
+    requireAuth: false,
+    validateInput: null,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 15000
+});
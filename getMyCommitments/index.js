@@ -0,0 +1,29 @@
+// getMyCommitments/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CommitmentService = require('../shared/services/commitmentService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getMyCommitmentsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const commitments = await CommitmentService.listForInvestor(req.user._id);
+
+    return {
+        message: 'Commitments retrieved successfully',
+        data: commitments
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getMyCommitmentsHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
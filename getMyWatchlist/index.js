@@ -0,0 +1,43 @@
+// getMyWatchlist/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const WatchlistService = require('../shared/services/watchlistService');
+const DealsService = require('../shared/services/dealService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getMyWatchlistHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const watches = await WatchlistService.listForInvestor(req.user._id);
+
+    // Same visibility and NDA rules as the deals page; deals the investor can no longer see are left out
+    const deals = await DealsService.presentDeals(watches.map(watch => watch.dealId), req.user);
+    const dealsById = new Map(deals.map(deal => [deal._id.toString(), deal]));
+
+    const watchlist = watches
+        .filter(watch => watch.dealId && dealsById.has(watch.dealId._id.toString()))
+        .map(watch => ({
+            _id: watch._id,
+            emailAlerts: watch.emailAlerts,
+            createdAt: watch.createdAt,
+            deal: dealsById.get(watch.dealId._id.toString())
+        }));
+
+    return {
+        message: 'Watchlist retrieved successfully',
+        data: watchlist
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getMyWatchlistHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -4,7 +4,7 @@ const {
     ValidationError,
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
-const AuthService = require('../shared/services/authService');
+const mongoose = require('mongoose');
 const dbConfig = require('../shared/config/db.config');
 const Notification = require('../models/notification');
 
@@ -13,12 +13,8 @@ async function getNotificationsHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
-    // Get authenticated user
-    const user = await AuthService.authenticate(req);
-    
-    if (!user) {
-        throw new ValidationError('Authentication required');
-    }
+    // Authenticated user attached by the wrapper
+    const user = req.user;
     
     // Extract query parameters
     const page = parseInt(req.query.page) || 1;
@@ -40,7 +36,7 @@ async function getNotificationsHandler(context, req) {
     
     // Build filter query
     const filter = {
-        recipientId: user._id,
+        recipientId: new mongoose.Types.ObjectId(user._id), // cast explicitly, aggregate() doesn't
         recipientType: user.role
     };
     
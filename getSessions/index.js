@@ -0,0 +1,32 @@
+// getSessions/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const SessionService = require('../shared/services/sessionService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function getSessionsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+
+    // The session making this request is flagged as current
+    const sessions = await SessionService.listForUser(user._id, user.sessionId);
+
+    return {
+        message: 'Sessions retrieved successfully',
+        data: sessions
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(getSessionsHandler, {
+    requireAuth: true,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -5,6 +5,7 @@ const {
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
 const dbConfig = require('../shared/config/db.config');
 
 // Main function handler
@@ -12,6 +13,10 @@ async function getUsersByRoleHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser);
+    
     // Get role parameter from the route
     const role = context.bindingData.role;
     
@@ -77,7 +82,8 @@ async function getUsersByRoleHandler(context, req) {
 
 // Export wrapped function
 module.exports = azureFunctionWrapper(getUsersByRoleHandler, {
-    requireAuth: false, // Set to true if admin auth is required
+    requireAuth: true,
+    roles: ['admin'],
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -6,14 +6,15 @@ const {
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
 
 // Main function handler
 async function googleCallbackHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
-    // Process the Google OAuth callback data
-    const result = await AuthService.handleGoogleCallback(req.body);
+    // Verify the Google ID token and sign the user in
+    const result = await AuthService.handleGoogleCallback(req.body, RequestHelper.getClientInfo(req));
     
     // Customize message if account was reactivated
     const message = result.user.wasReactivated
@@ -35,10 +36,10 @@ function validateGoogleCallbackInput(req) {
         throw new ValidationError('Request body is required');
     }
     
-    // Basic validation - AuthService will handle detailed validation
-    const { email } = req.body;
-    if (!email) {
-        throw new ValidationError('Email is required in Google callback data');
+    // Basic validation - AuthService verifies the token itself
+    const { idToken } = req.body;
+    if (!idToken) {
+        throw new ValidationError('Google ID token is required in Google callback data');
     }
 }
 
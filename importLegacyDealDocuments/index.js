@@ -0,0 +1,42 @@
+// importLegacyDealDocuments/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function importLegacyDealDocumentsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId } = context.bindingData;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const result = await DataRoomService.importLegacyDocuments(authenticatedUser, dealId);
+
+    return {
+        message: result.imported.length > 0
+            ? `Moved ${result.imported.length} legacy document(s) to the data room`
+            : 'No legacy documents were moved',
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(importLegacyDealDocumentsHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    enableCors: true,
+    timeout: constants.TIMEOUTS.UPLOAD
+});
@@ -4,6 +4,8 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const HotDealsService = require('../shared/services/hotDealService');
 
@@ -12,10 +14,12 @@ async function initializeHotDealsCategoriesHandler(context, req) {
 
     const authenticatedUser = await authenticateToken(context, req);
 
-    if (!authenticatedUser || authenticatedUser.role !== 'admin') {
-        throw new ValidationError('Only admins can initialize hot deals categories');
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
     }
     
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+    
     const result = await HotDealsService.initializeCategories(authenticatedUser._id);
     
     return result;
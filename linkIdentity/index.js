@@ -0,0 +1,49 @@
+// linkIdentity/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const IdentityService = require('../shared/services/identityService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function linkIdentityHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+    const { provider, idToken, code, redirectUri } = req.body;
+
+    // Google sends an ID token; LinkedIn sends an authorization code
+    const identity = await IdentityService.resolveIdentity(provider, { idToken, code, redirectUri });
+    const identities = await IdentityService.linkIdentity(user._id, user.role, identity);
+
+    return {
+        message: `${provider === 'google' ? 'Google' : 'LinkedIn'} account linked successfully`,
+        data: { identities }
+    };
+}
+
+// Input validation function
+function validateLinkIdentityInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { provider } = req.body;
+    if (!IdentityService.LINKABLE_PROVIDERS.includes(provider)) {
+        throw new ValidationError(`Provider must be one of: ${IdentityService.LINKABLE_PROVIDERS.join(', ')}`);
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(linkIdentityHandler, {
+    requireAuth: true,
+    roles: ['founder', 'investor'],
+    allowImpersonation: false,
+    validateInput: validateLinkIdentityInput,
+    enableCors: true,
+    timeout: 20000
+});
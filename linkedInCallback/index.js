@@ -8,6 +8,7 @@ const AuthService = require('../shared/services/authService');
 const cacheService = require('../shared/services/cacheService');
 const dbConfig = require('../shared/config/db.config');
 const constants = require('../shared/config/constants');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
 
 // Main function handler
 async function linkedInCallbackHandler(context, req) {
@@ -56,13 +57,13 @@ async function linkedInCallbackHandler(context, req) {
     }
     
     // Get redirect URI from constants
-    const redirectUri = constants.LINKEDIN_REDIRECT_URI || 'https://sintracap-app.azurewebsites.net/api/linkedin-callback';
+    const redirectUri = constants.LINKEDIN_REDIRECT_URI;
     
     // Exchange the code for token and user data
-    const result = await AuthService.completeLinkedInAuth(code, redirectUri, role);
+    const result = await AuthService.completeLinkedInAuth(code, redirectUri, role, RequestHelper.getClientInfo(req));
     isNewUser = result.isNewUser;
     
-    const frontendUrl = constants.FRONTEND_URL || 'https://sintra.capital';
+    const frontendUrl = constants.FRONTEND_URL;
     let redirectUrl;
     
     context.log('LinkedIn callback result:', { 
@@ -72,12 +73,15 @@ async function linkedInCallbackHandler(context, req) {
         hasToken: !!result.token 
     });
 
-    if (isNewUser) {
+    if (result.twoFactorRequired) {
+        // Existing user with 2FA: the frontend completes login via auth/2fa/verify
+        redirectUrl = `${frontendUrl}/login?twoFactorRequired=true&pendingToken=${encodeURIComponent(result.pendingToken)}`;
+    } else if (isNewUser) {
         // Redirect to signup page for new users
         redirectUrl = `${frontendUrl}/signup?token=${encodeURIComponent(result.token || 'null')}&user=${encodeURIComponent(JSON.stringify(result.user))}`;
     } else {
         // Redirect to login page for existing users
-        redirectUrl = `${frontendUrl}/login?token=${encodeURIComponent(result.token || 'null')}&user=${encodeURIComponent(JSON.stringify(result.user))}`;
+        redirectUrl = `${frontendUrl}/login?token=${encodeURIComponent(result.token || 'null')}&refreshToken=${encodeURIComponent(result.refreshToken || 'null')}&user=${encodeURIComponent(JSON.stringify(result.user))}`;
     }
     
     // Set redirect response
@@ -97,7 +101,7 @@ async function linkedInCallbackHandler(context, req) {
 function handleLinkedInError(error, context, req) {
     context.log.error('LinkedIn callback error:', error);
     
-    const frontendUrl = constants.FRONTEND_URL || 'https://sintra.capital';
+    const frontendUrl = constants.FRONTEND_URL;
     const errorMessage = encodeURIComponent(error.message || 'Authentication failed');
     
     // Default to login page for errors
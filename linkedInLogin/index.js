@@ -28,7 +28,7 @@ function linkedInLoginWrapper(handler) {
             context.log.error("LinkedIn auth initiation error:", error);
             
             // Redirect to frontend error page
-            const frontendUrl = constants.FRONTEND_URL || 'https://sintra.capital';
+            const frontendUrl = constants.FRONTEND_URL;
             const errorMessage = encodeURIComponent(error.message || 'Failed to initiate LinkedIn authentication');
             
             context.res = {
@@ -68,8 +68,8 @@ async function linkedInLoginHandler(context, req) {
     await cacheService.set(state, stateData, 600);
     
     // LinkedIn OAuth parameters from constants
-    const clientId = constants.LINKEDIN_CLIENT_ID || '86yfv12jlk4udi';
-    const redirectUri = constants.LINKEDIN_REDIRECT_URI || 'https://sintracap-app.azurewebsites.net/api/linkedin-callback';
+    const clientId = constants.LINKEDIN_CLIENT_ID;
+    const redirectUri = constants.LINKEDIN_REDIRECT_URI;
     const scope = 'openid email profile';
     
     // Construct LinkedIn authorization URL with state parameter
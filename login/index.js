@@ -8,6 +8,8 @@ const {
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
 
 // Main function handler
 async function loginHandler(context, req) {
@@ -30,7 +32,7 @@ async function loginHandler(context, req) {
     context.log('Login attempt for email:', validatedEmail);
     
     // Perform login
-    const result = await AuthService.login(validatedEmail, validatedPassword);
+    const result = await AuthService.login(validatedEmail, validatedPassword, RequestHelper.getClientInfo(req));
     
     context.log('Login successful for:', validatedEmail);
     return result;
@@ -74,5 +76,9 @@ module.exports = azureFunctionWrapper(loginHandler, {
     requireAuth: false,
     validateInput: validateLoginInput,
     enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
     timeout: 15000
 });
\ No newline at end of file
@@ -0,0 +1,41 @@
+// logout/index.js
+const { 
+    azureFunctionWrapper, 
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function logoutHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    const { refreshToken } = req.body || {};
+    
+    if (refreshToken) {
+        // Revoke the session the refresh token belongs to
+        await AuthService.logout({ refreshToken });
+    } else {
+        // Fall back to the session of the access token
+        const authenticatedUser = await authenticateToken(context, req);
+        if (!authenticatedUser) {
+            return; // Response already set by authenticateToken middleware
+        }
+        
+        await AuthService.logout({ sessionId: authenticatedUser.sessionId });
+    }
+    
+    return {
+        message: 'Logged out successfully'
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(logoutHandler, {
+    requireAuth: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
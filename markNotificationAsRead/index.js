@@ -4,7 +4,6 @@ const {
     ValidationError,
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
-const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
 const Notification = require('../models/notification');
 
@@ -13,12 +12,8 @@ async function markNotificationAsReadHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
-    // Get authenticated user
-    const user = await AuthService.authenticate(req);
-    
-    if (!user) {
-        throw new ValidationError('Authentication required');
-    }
+    // Authenticated user attached by the wrapper
+    const user = req.user;
     
     // Get notification ID from route parameter
     const notificationId = context.bindingData.notificationId;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const AdminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true
+  },
+  password: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    default: 'admin'
+  },
+  adminRole: {
+    type: String,
+    enum: ['super-admin', 'deal-manager', 'analyst'],
+    default: 'analyst'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0 // consecutive lockouts, used to lengthen the next one
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null, // encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null, // encrypted secret awaiting confirmation during enrollment
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      default: [], // SHA-256 hashes, removed once used
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null // stops a code from being replayed within its window
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null // null for the bootstrapped super-admin
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+AdminSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Never expose the password hash
+AdminSchema.methods.toSafeObject = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    adminRole: this.adminRole,
+    isActive: this.isActive,
+    twoFactorEnabled: !!(this.twoFactor && this.twoFactor.enabled),
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+AdminSchema.index({ adminRole: 1, isActive: 1 });
+
+module.exports = mongoose.model('Admin', AdminSchema);
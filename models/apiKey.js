@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  partnerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, shown in the admin UI to tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once, at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.values(constants.API_KEYS.SCOPES)
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimit: {
+    windowMs: {
+      type: Number,
+      default: constants.API_KEYS.DEFAULT_RATE_LIMIT.WINDOW_MS
+    },
+    max: {
+      type: Number,
+      default: constants.API_KEYS.DEFAULT_RATE_LIMIT.MAX_REQUESTS
+    }
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null never expires
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Instance methods
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiKeySchema.methods.toSafeObject = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    partnerName: this.partnerName,
+    keyPrefix: this.keyPrefix,
+    scopes: this.scopes,
+    rateLimit: this.rateLimit,
+    usageCount: this.usageCount,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Indexes for better performance
+ApiKeySchema.index({ partnerName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One record per successful partner API call, used for billing
+const ApiKeyUsageSchema = new mongoose.Schema({
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  partnerName: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  functionName: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    default: null
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for billing reports
+ApiKeyUsageSchema.index({ apiKeyId: 1, createdAt: -1 });
+ApiKeyUsageSchema.index({ partnerName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKeyUsage', ApiKeyUsageSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive account actions (data exports, deletions, ...)
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // null for system actions
+  },
+  actorRole: {
+    type: String,
+    enum: ['founder', 'investor', 'admin', 'system'],
+    required: true
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  subjectRole: {
+    type: String,
+    enum: ['founder', 'investor', 'admin', null],
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ subjectId: 1, createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every data room link handed out
+const DataRoomAccessLogSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataRoomDocument',
+    required: true
+  },
+  documentName: String,
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataRoomFolder'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userRole: {
+    type: String,
+    enum: ['investor', 'admin'],
+    required: true
+  },
+  userEmail: String,
+  // Set when an admin opened the file while viewing the platform as this investor
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['view', 'download'],
+    required: true
+  },
+  linkExpiresAt: Date,
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DataRoomAccessLogSchema.index({ dealId: 1, createdAt: -1 });
+DataRoomAccessLogSchema.index({ documentId: 1, createdAt: -1 });
+DataRoomAccessLogSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DataRoomAccessLog', DataRoomAccessLogSchema);
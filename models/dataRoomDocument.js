@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
+
+// A file in a deal's data room, stored in the private data room container
+const DataRoomDocumentSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataRoomFolder',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  blobName: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: {
+    type: Number, // in bytes
+    default: 0
+  },
+  // Narrows the folder's rule for this document; when inherit is true only the folder rule applies
+  access: {
+    inherit: {
+      type: Boolean,
+      default: true
+    },
+    allInvestors: {
+      type: Boolean,
+      default: false
+    },
+    investorIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvestorProfile'
+    }],
+    investorTypes: [{
+      type: String,
+      enum: constants.INVESTOR_TYPES
+    }]
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DataRoomDocumentSchema.index({ dealId: 1, folderId: 1 });
+
+DataRoomDocumentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Never expose the storage location; files are read through short-lived links
+DataRoomDocumentSchema.methods.toSafeObject = function() {
+  const document = this.toObject();
+  delete document.blobName;
+  return document;
+};
+
+module.exports = mongoose.model('DataRoomDocument', DataRoomDocumentSchema);
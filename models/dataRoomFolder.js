@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
+
+// A folder in a deal's data room. Its access rule is the outer gate for every document inside.
+const DataRoomFolderSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Who can see the folder; nobody but admins until something is granted
+  access: {
+    allInvestors: {
+      type: Boolean,
+      default: false
+    },
+    investorIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvestorProfile'
+    }],
+    investorTypes: [{
+      type: String,
+      enum: constants.INVESTOR_TYPES
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DataRoomFolderSchema.index({ dealId: 1, name: 1 }, { unique: true });
+
+DataRoomFolderSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('DataRoomFolder', DataRoomFolderSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
 
 const DealMediaSchema = new mongoose.Schema({
   name: {
@@ -25,6 +26,35 @@ const DealMediaSchema = new mongoose.Schema({
   }
 });
 
+// One entry per lifecycle transition, appended by DealsService.changeStatus
+const DealStatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null // null for the status a deal was created with
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  changedBy: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    name: String,
+    adminRole: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const DealSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -38,6 +68,13 @@ const DealSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // Copy of company for the text index; empty while the deal is behind an NDA
+  // so confidential names can't be found by searching. Maintained on save.
+  searchCompany: {
+    type: String,
+    default: null,
+    select: false
+  },
   description: {
     type: String,
     required: false,
@@ -107,6 +144,10 @@ const DealSchema = new mongoose.Schema({
     displayText: {
       type: String,
       required: false // e.g., "₹500 Cr"
+    },
+    baseValue: {
+      type: Number,
+      default: null // value in constants.CURRENCY.BASE at the current FX rate, see CurrencyService
     }
   },
   type: {
@@ -121,6 +162,16 @@ const DealSchema = new mongoose.Schema({
     enum: ['Active', 'Pipeline', 'Closing Soon', 'Closed', 'Suspended'],
     default: 'Pipeline'
   },
+  statusHistory: [DealStatusChangeSchema],
+  // Content version, bumped on every edit; see DealVersion for the diffs
+  version: {
+    type: Number,
+    default: 0
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
   duration: {
     type: String,
     required: false,
@@ -147,6 +198,10 @@ const DealSchema = new mongoose.Schema({
     displayText: {
       type: String,
       required: false // e.g., "₹5 Cr"
+    },
+    baseValue: {
+      type: Number,
+      default: null // value in constants.CURRENCY.BASE at the current FX rate, see CurrencyService
     }
   },
   adminSelected: {
@@ -167,9 +222,26 @@ const DealSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Click-through NDA; investors see a redacted teaser until they accept the current version
+  nda: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    version: {
+      type: Number,
+      default: 0 // 0 = no NDA text attached yet
+    },
+    updatedAt: Date
+  },
   targetInvestors: [{
     type: String,
-    enum: ['HNI', 'Family Office', 'Institutional', 'Retail', 'Angel', 'VC', 'PE']
+    enum: constants.INVESTOR_TYPES
+  }],
+  // Private deals are also visible to these investors, whatever their investor type
+  allowedInvestorIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestorProfile'
   }],
   geography: {
     type: String,
@@ -204,6 +276,10 @@ const DealSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    watcherCount: {
+      type: Number,
+      default: 0 // investors following the deal, kept in step by WatchlistService
+    },
     lastViewed: Date
   },
   createdBy: {
@@ -227,12 +303,23 @@ DealSchema.index({ status: 1 });
 DealSchema.index({ adminSelected: 1 });
 DealSchema.index({ createdAt: -1 });
 DealSchema.index({ 'amount.value': 1 });
+DealSchema.index({ 'amount.baseValue': 1 });
+DealSchema.index({ 'minInvestment.baseValue': 1 });
 DealSchema.index({ tags: 1 });
 DealSchema.index({ targetInvestors: 1 });
+DealSchema.index({ allowedInvestorIds: 1 });
+DealSchema.index(
+  { title: 'text', searchCompany: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'deal_text_search',
+    weights: { title: 10, searchCompany: 6, tags: 4, description: 1 }
+  }
+);
 
 // Pre-save middleware
 DealSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.searchCompany = this.nda && this.nda.required ? null : (this.company || null);
   next();
 });
 
@@ -274,19 +361,21 @@ DealSchema.statics.findActiveDeals = function() {
   }).sort({ createdAt: -1 });
 };
 
-DealSchema.statics.searchDeals = function(searchTerm, filters = {}) {
-  const query = {
-    isPublic: true,
-    $or: [
-      { title: { $regex: searchTerm, $options: 'i' } },
-      { company: { $regex: searchTerm, $options: 'i' } },
-      { description: { $regex: searchTerm, $options: 'i' } },
-      { tags: { $regex: searchTerm, $options: 'i' } }
-    ],
-    ...filters
-  };
-  
-  return this.find(query).sort({ createdAt: -1 });
+// Fill in searchCompany for deals saved before it existed, or changed without a save.
+// Same rule as the pre-save hook: deals behind an NDA stay out of the index.
+DealSchema.statics.backfillSearchCompany = async function() {
+  const [indexed, hidden] = await Promise.all([
+    this.updateMany(
+      { 'nda.required': { $ne: true } },
+      [{ $set: { searchCompany: { $ifNull: ['$company', null] } } }]
+    ),
+    this.updateMany(
+      { 'nda.required': true, searchCompany: { $ne: null } },
+      { $set: { searchCompany: null } }
+    )
+  ]);
+
+  return { indexed: indexed.modifiedCount || 0, hidden: hidden.modifiedCount || 0 };
 };
 
 module.exports = mongoose.model('Deal', DealSchema);
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// One change to a commitment: the investor's amount edits and admin status moves
+const CommitmentEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    min: 0
+  },
+  currency: String,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  actorRole: {
+    type: String,
+    enum: ['investor', 'admin']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An investor's expression of interest in a deal (soft commitment), one per investor per deal
+const DealCommitmentSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  investorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestorProfile',
+    required: true
+  },
+  amount: {
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+      enum: ['INR', 'USD', 'EUR', 'GBP']
+    }
+  },
+  status: {
+    type: String,
+    enum: ['indicated', 'confirmed', 'allocated', 'withdrawn'],
+    default: 'indicated'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  history: [CommitmentEventSchema],
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DealCommitmentSchema.index({ dealId: 1, investorId: 1 }, { unique: true });
+DealCommitmentSchema.index({ dealId: 1, status: 1 });
+DealCommitmentSchema.index({ investorId: 1, createdAt: -1 });
+
+DealCommitmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+DealCommitmentSchema.methods.addEvent = function(actor, note = null) {
+  this.history.push({
+    status: this.status,
+    value: this.amount.value,
+    currency: this.amount.currency,
+    note,
+    actorId: actor._id,
+    actorRole: actor.role
+  });
+  return this;
+};
+
+module.exports = mongoose.model('DealCommitment', DealCommitmentSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Every NDA text ever attached to a deal, kept so an acceptance can be matched to the exact wording
+const DealNdaSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 50000
+  },
+  textHash: {
+    type: String,
+    required: true // SHA-256 of the text
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DealNdaSchema.index({ dealId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('DealNda', DealNdaSchema);
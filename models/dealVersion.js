@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One field changed by an edit; from/to are the plain values before and after
+const DealFieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Every edit to a deal's content, recorded by DealVersionService. Version N holds the
+// changes that turned version N-1 into N; version 0 is the deal as created.
+const DealVersionSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  changes: {
+    type: [DealFieldChangeSchema],
+    required: true
+  },
+  material: {
+    type: Boolean,
+    default: false // changed a field investors rely on, e.g. returns or minimum ticket
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  revertOf: {
+    type: Number,
+    default: null // set when this edit restored an earlier version
+  },
+  changedBy: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    name: String,
+    adminRole: String
+  },
+  investorsNotified: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DealVersionSchema.index({ dealId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('DealVersion', DealVersionSchema);
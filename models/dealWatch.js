@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An investor following a deal; see WatchlistService for the alerts it triggers
+const DealWatchSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  investorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestorProfile',
+    required: true
+  },
+  emailAlerts: {
+    type: Boolean,
+    default: false // in-app notifications are always sent; email only when asked for
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DealWatchSchema.index({ dealId: 1, investorId: 1 }, { unique: true });
+DealWatchSchema.index({ investorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DealWatch', DealWatchSchema);
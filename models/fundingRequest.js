@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
 
 const FundingRequestSchema = new mongoose.Schema({
   founderId: {
@@ -6,10 +7,22 @@ const FundingRequestSchema = new mongoose.Schema({
     ref: 'CompanyProfile',
     required: true
   },
+  fundingAmount: {
+    type: Number,
+    min: 0
+  },
   currency: {
     type: String,
+    uppercase: true,
+    trim: true,
+    enum: constants.CURRENCY.SUPPORTED,
     default: 'USD'
   },
+  // fundingAmount in constants.CURRENCY.BASE at the current FX rate, see CurrencyService
+  fundingAmountBase: {
+    type: Number,
+    default: null
+  },
   fundingStage: {
     type: String,
     enum: ['Pre-Seed', 'Seed', 'Series A', 'Series B', 'Series C', 'Series D+', 'Bridge/Convertible', 'Growth/Late Stage'],
@@ -118,6 +131,7 @@ FundingRequestSchema.statics.findActiveByFounder = function(founderId) {
 };
 // Indexes for better performance
 FundingRequestSchema.index({ founderId: 1, status: 1 });
+FundingRequestSchema.index({ fundingAmountBase: 1 });
 FundingRequestSchema.index({ founderId: 1, createdAt: -1 });
 FundingRequestSchema.index({ contactedInvestors: 1 });
 FundingRequestSchema.index({ status: 1, createdAt: -1 });
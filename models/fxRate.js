@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
+
+// Admin-maintained FX rate table. A rate applies from effectiveFrom until the next
+// entry for the same currency, so the history is kept rather than overwritten.
+const FxRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    enum: constants.CURRENCY.SUPPORTED.filter(code => code !== constants.CURRENCY.BASE)
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0 // units of the base currency per 1 unit of currency
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FxRateSchema.index({ currency: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', FxRateSchema);
@@ -96,8 +96,8 @@ HotDealsSchema.statics.findByCategory = function(category) {
     .populate({
       path: 'dealIds',
       model: 'Deal',
-      match: { isPublic: true },
-      select: 'title company category subcategory amount type status duration returns minInvestment description adminSelected priority analytics'
+      // Private deals are filtered per viewer by DealsService.presentDeals
+      select: 'title company category subcategory amount type status duration returns minInvestment description adminSelected priority analytics nda isPublic targetInvestors allowedInvestorIds'
     })
     .populate('createdBy updatedBy', 'fullName email');
 };
@@ -107,8 +107,8 @@ HotDealsSchema.statics.getAllActiveCategories = function() {
     .populate({
       path: 'dealIds',
       model: 'Deal',
-      match: { isPublic: true, status: { $in: ['Active', 'Pipeline', 'Closing Soon'] } },
-      select: 'title company category subcategory amount type status duration returns minInvestment description adminSelected priority analytics'
+      match: { status: { $in: ['Active', 'Pipeline', 'Closing Soon'] } },
+      select: 'title company category subcategory amount type status duration returns minInvestment description adminSelected priority analytics nda isPublic targetInvestors allowedInvestorIds'
     })
     .populate('createdBy updatedBy', 'fullName email');
 };
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Proof of an investor's click-through consent to one version of a deal's NDA
+const NdaAcceptanceSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true
+  },
+  ndaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DealNda',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  textHash: {
+    type: String,
+    required: true
+  },
+  investorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestorProfile',
+    required: true
+  },
+  investorEmail: String,
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NdaAcceptanceSchema.index({ dealId: 1, investorId: 1, version: 1 }, { unique: true });
+NdaAcceptanceSchema.index({ investorId: 1 });
+
+module.exports = mongoose.model('NdaAcceptance', NdaAcceptanceSchema);
@@ -30,7 +30,9 @@ const NotificationSchema = new mongoose.Schema({
       'document_verified',
       'profile_verified',
       'general',
-      'investors_assigned'
+      'investors_assigned',
+      'deal_updated',
+      'deal_watch_alert'
     ],
     required: true
   },
@@ -48,7 +50,7 @@ const NotificationSchema = new mongoose.Schema({
   },
   relatedEntityType: {
     type: String,
-    enum: ['funding_request', 'match', 'document', 'profile'],
+    enum: ['funding_request', 'match', 'document', 'profile', 'deal'],
     default: null
   },
   isRead: {
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['founder', 'investor', 'admin'],
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the secret half of the refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the secret the last refresh rotated out; seeing it again means the token was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  // Bumped on every refresh so access tokens issued before a rotation stop working
+  generation: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Where the session was started, shown in the user's device list
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  device: {
+    type: String,
+    default: null
+  },
+  lastIpAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when an admin is viewing the platform as this user
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  impersonationReason: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Instance methods
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Indexes for better performance
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove sessions once they expire
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -56,6 +56,26 @@ const CompanyProfileSchema = new mongoose.Schema({
   providerId: {
     type: String
   },
+  // Every sign-in provider attached to this account; `provider` above is the one used at signup
+  linkedIdentities: {
+    type: [{
+      provider: {
+        type: String,
+        enum: ['google', 'linkedin'],
+        required: true
+      },
+      providerId: {
+        type: String,
+        required: true
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    default: []
+  },
   fundingRaised: {
     amount: Number,
     currency: { type: String, default: 'USD' },
@@ -197,6 +217,7 @@ const CompanyProfileSchema = new mongoose.Schema({
       message: 'Invalid subcategory for the selected category'
     }
   },
+  // SHA-256 of the emailed code or magic-link token
   emailVerificationToken: {
     type: String,
     default: null
@@ -205,10 +226,109 @@ const CompanyProfileSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  emailVerificationMethod: {
+    type: String,
+    enum: ['code', 'link'],
+    default: 'code'
+  },
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  // Requested email change, applied once the new address is confirmed
+  pendingEmailChange: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+    },
+    codeHash: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // SHA-256 of the emailed reset token; cleared once used
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0 // consecutive lockouts, used to lengthen the next one
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Set when the account was deleted and its personal data anonymised
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null, // encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null, // encrypted secret awaiting confirmation during enrollment
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      default: [], // SHA-256 hashes, removed once used
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null // stops a code from being replayed within its window
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+CompanyProfileSchema.index({ 'linkedIdentities.provider': 1, 'linkedIdentities.providerId': 1 });
+
 module.exports = mongoose.model('CompanyProfile', CompanyProfileSchema);
\ No newline at end of file
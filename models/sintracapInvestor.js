@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const constants = require('../shared/config/constants');
 
 const InvestmentSchema = new mongoose.Schema({
   companyName: String,
@@ -69,6 +70,12 @@ const InvestorProfileSchema = new mongoose.Schema({
   amountRange: {
     type: String
   },
+  // Set by admins; grants access to deals and data rooms targeted at this category
+  investorType: {
+    type: String,
+    enum: [...constants.INVESTOR_TYPES, null],
+    default: null
+  },
   role: {
     type: String,
     default: 'investor'
@@ -77,6 +84,43 @@ const InvestorProfileSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Invite-and-claim state for investors imported by an admin
+  invitation: {
+    status: {
+      type: String,
+      enum: ['not-sent', 'sent', 'opened', 'claimed', 'expired'],
+      default: 'not-sent'
+    },
+    tokenHash: {
+      type: String,
+      default: null // SHA-256 of the claim token; cleared once claimed
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    sentCount: {
+      type: Number,
+      default: 0
+    },
+    openedAt: {
+      type: Date,
+      default: null
+    },
+    claimedAt: {
+      type: Date,
+      default: null
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
   previousInvestments: [InvestmentSchema],
   notableExits: [String],
   isVerifiedByAdmin: {
@@ -118,6 +162,26 @@ const InvestorProfileSchema = new mongoose.Schema({
     enum: ['google', 'linkedin', 'email'],
     default: 'email',
   },
+  // Every sign-in provider attached to this account; `provider` above is the one used at signup
+  linkedIdentities: {
+    type: [{
+      provider: {
+        type: String,
+        enum: ['google', 'linkedin'],
+        required: true
+      },
+      providerId: {
+        type: String,
+        required: true
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    default: []
+  },
   signupStatus: {
     type: String,
     enum: ['pre-signup', 'role-selected', 'complete'],
@@ -128,6 +192,7 @@ const InvestorProfileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // SHA-256 of the emailed code or magic-link token
   emailVerificationToken: {
     type: String,
     default: null
@@ -136,6 +201,103 @@ const InvestorProfileSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  emailVerificationMethod: {
+    type: String,
+    enum: ['code', 'link'],
+    default: 'code'
+  },
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  // Requested email change, applied once the new address is confirmed
+  pendingEmailChange: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+    },
+    codeHash: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // SHA-256 of the emailed reset token; cleared once used
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0 // consecutive lockouts, used to lengthen the next one
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Set when the account was deleted and its personal data anonymised
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null, // encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null, // encrypted secret awaiting confirmation during enrollment
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      default: [], // SHA-256 hashes, removed once used
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null // stops a code from being replayed within its window
+    }
+  },
   linkedIn: {
     type: String,
     default: null
@@ -214,7 +376,10 @@ InvestorProfileSchema.index({ email: 1 });
 InvestorProfileSchema.index({ investmentInterests: 1 });
 InvestorProfileSchema.index({ location: 1 });
 InvestorProfileSchema.index({ amountRange: 1 });
+InvestorProfileSchema.index({ investorType: 1 });
 InvestorProfileSchema.index({ isVerifiedByAdmin: 1, emailVerified: 1 });
 InvestorProfileSchema.index({ 'contactHistory.fundingRequestId': 1 });
+InvestorProfileSchema.index({ 'linkedIdentities.provider': 1, 'linkedIdentities.providerId': 1 });
+InvestorProfileSchema.index({ 'invitation.status': 1 });
 
 module.exports = mongoose.model('InvestorProfile', InvestorProfileSchema);
\ No newline at end of file
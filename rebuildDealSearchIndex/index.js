@@ -0,0 +1,40 @@
+// rebuildDealSearchIndex/index.js
+const {
+    azureFunctionWrapper,
+    DatabaseError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const Deal = require('../models/deal');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function rebuildDealSearchIndexHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    let result;
+    try {
+        result = await Deal.backfillSearchCompany();
+    } catch (error) {
+        throw new DatabaseError('Failed to rebuild the deal search index');
+    }
+
+    return {
+        message: `Deal search index rebuilt: ${result.indexed} deal(s) indexed by company, ${result.hidden} NDA deal(s) hidden`,
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(rebuildDealSearchIndexHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    enableCors: true,
+    timeout: 60000
+});
@@ -3,7 +3,6 @@ const {
     ValidationError,
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
-const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
 const FundingRequest = require('../models/fundingRequest');
 const FounderInvestorMatch = require('../models/founderInvestorMatch');
@@ -14,12 +13,8 @@ async function refreshFundingAllotmentHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
-    // Get authenticated user (founder)
-    const user = await AuthService.authenticate(req);
-    
-    if (!user || user.role !== 'founder') {
-        throw new ValidationError('Only founders can refresh funding allotments');
-    }
+    // Authenticated founder attached by the wrapper
+    const user = req.user;
     
     // Get funding request ID from route parameter
     const fundingRequestId = context.bindingData.fundingRequestId;
@@ -161,6 +156,7 @@ async function refreshFundingAllotmentHandler(context, req) {
 // Export wrapped function
 module.exports = azureFunctionWrapper(refreshFundingAllotmentHandler, {
     requireAuth: true,
+    roles: ['founder'],
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -0,0 +1,48 @@
+// refreshToken/index.js
+const { 
+    azureFunctionWrapper, 
+    validateRequired,
+    ValidationError,
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
+const dbConfig = require('../shared/config/db.config');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
+
+// Main function handler
+async function refreshTokenHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    // Extract and validate refresh token
+    const { refreshToken } = req.body;
+    const validatedRefreshToken = validateRequired(refreshToken, 'refreshToken');
+    
+    // Rotate the refresh token and issue a new access token
+    const result = await AuthService.refreshTokens(validatedRefreshToken, RequestHelper.getClientInfo(req));
+    
+    return {
+        message: 'Token refreshed successfully',
+        data: result
+    };
+}
+
+// Input validation function
+function validateRefreshTokenInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+    
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw new ValidationError('Refresh token is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(refreshTokenHandler, {
+    requireAuth: false,
+    validateInput: validateRefreshTokenInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -4,6 +4,8 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const HotDealsService = require('../shared/services/hotDealService');
 
@@ -11,10 +13,12 @@ async function removeDealFromHotDealsHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
     
     const authenticatedUser = await authenticateToken(context, req);
-    if (!authenticatedUser || authenticatedUser.role !== 'admin') {
-        throw new ValidationError('Only admins can remove deals from hot deals');
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
     }
     
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+    
     const category = context.bindingData.category;
     const dealId = context.bindingData.dealId;
     
@@ -26,7 +30,7 @@ async function removeDealFromHotDealsHandler(context, req) {
         throw new ValidationError('Deal ID is required');
     }
     
-    const result = await HotDealsService.removeDealFromCategory(category, dealId, user._id);
+    const result = await HotDealsService.removeDealFromCategory(category, dealId, authenticatedUser._id);
     
     return {
         message: 'Deal removed from hot deals successfully',
@@ -88,6 +88,7 @@ async function removeInvestorFromFundingHandler(context, req) {
 
 module.exports = azureFunctionWrapper(removeInvestorFromFundingHandler, {
     requireAuth: true,
+    allowImpersonation: false,
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -4,6 +4,8 @@ const {
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
 const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const OnboardingService = require('../shared/services/onboardingService');
 
@@ -12,9 +14,11 @@ async function removeQuestionHandler(context, req) {
 
     const authenticatedUser = await authenticateToken(context, req);
 
-    if (!authenticatedUser || authenticatedUser.role !== 'admin') {
-        throw new ValidationError('Only admins can remove questions');
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
     }
+    
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
 
     const { questionId } = req.params;
 
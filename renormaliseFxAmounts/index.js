@@ -0,0 +1,35 @@
+// renormaliseFxAmounts/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CurrencyService = require('../shared/services/currencyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function renormaliseFxAmountsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    // Fills in base values for amounts saved before they existed, at the current rates
+    const result = await CurrencyService.renormaliseAll();
+
+    return {
+        message: `Stored amounts converted to ${CurrencyService.BASE}: ${result.deals} deal amount(s), ${result.fundingRequests} funding request(s) updated`,
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(renormaliseFxAmountsHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    enableCors: true,
+    timeout: 60000
+});
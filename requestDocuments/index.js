@@ -7,6 +7,8 @@ const {
     DatabaseError,
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const mongoose = require('mongoose');
 
@@ -15,6 +17,10 @@ async function requestDocumentsHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
     // Extract and validate input
     const { userId, documents, role } = req.body;
     
@@ -81,7 +87,7 @@ async function requestDocumentsHandler(context, req) {
         
         // Record in activity log (non-blocking)
         try {
-            await recordDocumentActivity(validatedUserId, validatedRole, documentRequests, req.body.adminId);
+            await recordDocumentActivity(validatedUserId, validatedRole, documentRequests, authenticatedUser._id);
         } catch (historyError) {
             context.log.error('Failed to record document request history:', historyError);
             // Don't fail the main operation for logging errors
@@ -182,7 +188,8 @@ function validateRequestDocumentsInput(req) {
 
 // Export wrapped function
 module.exports = azureFunctionWrapper(requestDocumentsHandler, {
-    requireAuth: false, // Set to true if admin auth is required
+    requireAuth: true,
+    roles: ['admin'],
     validateInput: validateRequestDocumentsInput,
     enableCors: true,
     timeout: 20000
@@ -0,0 +1,52 @@
+// requestEmailChange/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const EmailChangeService = require('../shared/services/emailChangeService');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function requestEmailChangeHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+    const { newEmail, password } = req.body;
+
+    // The email only switches once the code sent to the new address is confirmed
+    const result = await EmailChangeService.requestChange(user._id, user.role, { newEmail, password }, req);
+
+    return {
+        message: 'Verification code sent to the new email address',
+        data: result
+    };
+}
+
+// Input validation function
+function validateRequestEmailChangeInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    if (!req.body.newEmail) {
+        throw new ValidationError('New email is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(requestEmailChangeHandler, {
+    requireAuth: true,
+    roles: ['founder', 'investor'],
+    allowImpersonation: false,
+    validateInput: validateRequestEmailChangeInput,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 20000
+});
@@ -0,0 +1,51 @@
+// resendInvitations/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const InvitationService = require('../shared/services/invitationService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function resendInvitationsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    const { investorIds } = req.body;
+
+    // Issues a fresh claim link to every investor that hasn't claimed their account
+    const results = await InvitationService.resendInvitations(investorIds, authenticatedUser._id);
+
+    return {
+        message: `Invitations sent: ${results.sent.length}, skipped: ${results.skipped.length}, failed: ${results.failed.length}`,
+        data: results
+    };
+}
+
+// Input validation function
+function validateResendInvitationsInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { investorIds } = req.body;
+    if (!Array.isArray(investorIds) || investorIds.length === 0) {
+        throw new ValidationError('investorIds must be a non-empty array');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(resendInvitationsHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateResendInvitationsInput,
+    enableCors: true,
+    timeout: 60000
+});
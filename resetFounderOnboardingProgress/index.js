@@ -23,6 +23,7 @@ async function resetFounderOnboardingHandler(context, req) {
 
 module.exports = azureFunctionWrapper(resetFounderOnboardingHandler, {
     requireAuth: true,
+    allowImpersonation: false,
     validateInput: null,
     enableCors: true,
     timeout: 15000
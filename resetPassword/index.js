@@ -0,0 +1,59 @@
+// resetPassword/index.js
+const { 
+    azureFunctionWrapper, 
+    validateEmail,
+    validateRequired,
+    ValidationError,
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+
+// Main function handler
+async function resetPasswordHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    // Extract and validate input
+    const { email, token, newPassword } = req.body;
+    const validatedEmail = validateEmail(email);
+    const validatedToken = validateRequired(token, 'token');
+    const validatedPassword = validateRequired(newPassword, 'newPassword');
+    
+    // Reset the password and revoke existing sessions
+    await AuthService.resetPassword(validatedEmail, validatedToken, validatedPassword);
+    
+    return {
+        message: 'Password reset successfully. Please sign in with your new password'
+    };
+}
+
+// Input validation function
+function validateResetPasswordInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+    
+    const { email, token, newPassword } = req.body;
+    
+    if (!email || !token || !newPassword) {
+        throw new ValidationError('Email, token and new password are required');
+    }
+    
+    if (typeof newPassword !== 'string') {
+        throw new ValidationError('New password must be a string');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(resetPasswordHandler, {
+    requireAuth: false,
+    validateInput: validateResetPasswordInput,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 15000
+});
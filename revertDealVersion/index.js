@@ -0,0 +1,62 @@
+// revertDealVersion/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DealsService = require('../shared/services/dealService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function revertDealVersionHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, version } = context.bindingData;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    if (version === undefined || version === null) {
+        throw new ValidationError('Version is required');
+    }
+
+    const { reason, notifyInvestors } = req.body || {};
+    const deal = await DealsService.revertToVersion(dealId, version, authenticatedUser, {
+        reason,
+        notifyInvestors: notifyInvestors === true
+    });
+
+    return {
+        message: `Deal reverted to version ${version}; saved as version ${deal.version}`,
+        data: deal
+    };
+}
+
+// Input validation function
+function validateRevertDealVersionInput(req) {
+    const { reason, notifyInvestors } = req.body || {};
+
+    if (reason !== undefined && typeof reason !== 'string') {
+        throw new ValidationError('reason must be a string');
+    }
+
+    if (notifyInvestors !== undefined && typeof notifyInvestors !== 'boolean') {
+        throw new ValidationError('notifyInvestors must be a boolean value');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(revertDealVersionHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateRevertDealVersionInput,
+    enableCors: true,
+    timeout: 15000
+});
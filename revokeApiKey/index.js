@@ -0,0 +1,41 @@
+// revokeApiKey/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const ApiKeyService = require('../shared/services/apiKeyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function revokeApiKeyHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    const keyId = context.bindingData.keyId;
+    if (!keyId) {
+        throw new ValidationError('API key ID is required');
+    }
+
+    const apiKey = await ApiKeyService.revokeKey(keyId, authenticatedUser, req);
+
+    return {
+        message: 'API key revoked successfully',
+        data: apiKey
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(revokeApiKeyHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,33 @@
+// revokeOtherSessions/index.js
+const {
+    azureFunctionWrapper,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const SessionService = require('../shared/services/sessionService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function revokeOtherSessionsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+
+    // Sign out everywhere except the device making this request
+    const revokedCount = await SessionService.revokeOtherSessions(user._id, user.sessionId);
+
+    return {
+        message: `Signed out of ${revokedCount} other session${revokedCount !== 1 ? 's' : ''}`,
+        data: { revokedCount }
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(revokeOtherSessionsHandler, {
+    requireAuth: true,
+    allowImpersonation: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,42 @@
+// revokeSession/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const SessionService = require('../shared/services/sessionService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function revokeSessionHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+
+    const sessionId = context.bindingData.sessionId;
+    if (!sessionId) {
+        throw new ValidationError('Session ID is required');
+    }
+
+    // Only the user's own sessions can be revoked
+    await SessionService.revokeUserSession(user._id, sessionId);
+
+    return {
+        message: 'Session revoked successfully',
+        data: {
+            sessionId,
+            current: sessionId === user.sessionId
+        }
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(revokeSessionHandler, {
+    requireAuth: true,
+    allowImpersonation: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
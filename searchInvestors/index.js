@@ -6,6 +6,7 @@ const {
 } = require('../shared/middleware/errorHandler');
 const dbConfig = require('../shared/config/db.config');
 const InvestorProfile = require('../models/sintracapInvestor');
+const config = require('../shared/config/config');
 
 // Main function handler
 async function searchInvestorsHandler(context, req) {
@@ -266,7 +267,7 @@ async function searchInvestorsHandler(context, req) {
             body: {
                 success: false,
                 message: error.message || 'Failed to search investors',
-                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+                error: config.isDevelopment ? error.stack : undefined
             }
         };
     }
@@ -3,48 +3,23 @@ const {
     azureFunctionWrapper, 
     validateEmail,
     ValidationError,
-    NotFoundError,
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
-const sintracapFounder = require('../models/sintracapFounder');
-const sintracapInvestor = require('../models/sintracapInvestor');
+const constants = require('../shared/config/constants');
 
 // Main function handler
 async function sendMailVerificationHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
-    // Extract and validate email
-    const { email } = req.body;
+    // Extract and validate email; mode is 'code' (default) or 'link' for a magic link
+    const { email, mode } = req.body;
     const validatedEmail = validateEmail(email);
     
-    // Find user in both collections
-    let user = await sintracapInvestor.findOne({ email: validatedEmail });
-    if (!user) {
-        user = await sintracapFounder.findOne({ email: validatedEmail });
-    }
-    
-    if (!user) {
-        throw new NotFoundError('User not found');
-    }
-    
-    // Check if already verified
-    if (user.emailVerified) {
-        throw new ValidationError('Email already verified');
-    }
-    
-    // Generate and send verification email
-    const verificationToken = AuthService.generateVerificationToken();
-    
-    // Update user with verification token
-    user.emailVerificationToken = verificationToken;
-    user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-    await user.save();
-    
-    // Send verification email
-    await AuthService.sendVerificationEmail(validatedEmail, verificationToken);
+    // Generate and send verification email (subject to the resend cooldown)
+    await AuthService.emailVerification(validatedEmail, { mode: mode || constants.EMAIL_VERIFICATION.MODE });
     
     return {
         message: 'Verification email sent successfully'
@@ -68,5 +43,9 @@ module.exports = azureFunctionWrapper(sendMailVerificationHandler, {
     requireAuth: false,
     validateInput: validateSendMailVerificationInput,
     enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
     timeout: 20000
 });
\ No newline at end of file
@@ -0,0 +1,62 @@
+// setDealNda/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const NdaService = require('../shared/services/ndaService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function setDealNdaHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const { text, required } = req.body;
+    const nda = await NdaService.setNda(authenticatedUser, dealId, { text, required });
+
+    return {
+        message: nda.required ? `NDA version ${nda.version} is now required for this deal` : 'NDA is no longer required for this deal',
+        data: nda
+    };
+}
+
+// Input validation function
+function validateSetDealNdaInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { text, required } = req.body;
+    if (text === undefined && required === undefined) {
+        throw new ValidationError('text or required is required');
+    }
+
+    if (text !== undefined && typeof text !== 'string') {
+        throw new ValidationError('text must be a string');
+    }
+
+    if (required !== undefined && typeof required !== 'boolean') {
+        throw new ValidationError('required must be a boolean value');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(setDealNdaHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateSetDealNdaInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,59 @@
+// setFxRate/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CurrencyService = require('../shared/services/currencyService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function setFxRateHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { currency, rate, effectiveFrom, note } = req.body;
+    const result = await CurrencyService.setRate(authenticatedUser, { currency, rate, effectiveFrom, note });
+
+    return {
+        message: result.isCurrent
+            ? `${result.rate.currency} rate set to ${result.rate.rate} ${CurrencyService.BASE}; stored amounts have been converted at the new rate`
+            : `${result.rate.currency} rate recorded in the rate history`,
+        data: result
+    };
+}
+
+// Input validation function
+function validateSetFxRateInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { currency, rate, note } = req.body;
+    if (!currency) {
+        throw new ValidationError('currency is required');
+    }
+
+    if (typeof rate !== 'number') {
+        throw new ValidationError('rate must be a number');
+    }
+
+    if (note !== undefined && typeof note !== 'string') {
+        throw new ValidationError('note must be a string');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(setFxRateHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateSetFxRateInput,
+    enableCors: true,
+    timeout: 30000
+});
@@ -0,0 +1,47 @@
+// setInvestorType/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const InvestorService = require('../shared/services/InvestorService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function setInvestorTypeHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    requireAdminRole(req.user, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const investorId = context.bindingData.investorId;
+    if (!investorId) {
+        throw new ValidationError('Investor ID is required');
+    }
+
+    const investor = await InvestorService.setInvestorType(investorId, req.body.investorType);
+
+    return {
+        message: 'Investor type updated successfully',
+        data: investor
+    };
+}
+
+// Input validation function
+function validateSetInvestorTypeInput(req) {
+    if (!req.body || req.body.investorType === undefined) {
+        throw new ValidationError('investorType is required (use null to clear it)');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(setInvestorTypeHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateSetInvestorTypeInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,256 @@
+// shared/config/config.js
+
+/**
+ * Every setting the Function App reads from its environment (Application
+ * Settings in Azure, local.settings.json locally). Nothing else should read
+ * process.env directly.
+ *
+ * Secrets have no defaults: a missing secret stops the app at cold start
+ * instead of silently falling back to a shared value.
+ *
+ * Field options:
+ * - type: 'string' | 'int' | 'url' | 'list' (comma separated)
+ * - required: fail when unset
+ * - secret: value is never included in error reports
+ * - default, min, minLength, oneOf: optional constraints
+ */
+const SCHEMA = {
+  // Runtime
+  NODE_ENV: { type: 'string', default: 'production' },
+
+  // Database
+  MONGODB_URI: { type: 'string', required: true, secret: true },
+
+  // JWT and sessions
+  JWT_SECRET: { type: 'string', required: true, secret: true, minLength: 32 },
+  ACCESS_TOKEN_EXPIRE: { type: 'string', default: '15m' },
+  REFRESH_TOKEN_EXPIRE_DAYS: { type: 'int', default: 30, min: 1 },
+
+  // Two-factor authentication
+  TWO_FACTOR_ISSUER: { type: 'string', default: 'SintraCap' },
+  TWO_FACTOR_ENCRYPTION_KEY: { type: 'string', secret: true, minLength: 32 }, // falls back to JWT_SECRET
+
+  // Azure Blob Storage
+  AZURE_STORAGE_CONNECTION_STRING: { type: 'string', required: true, secret: true },
+  AZURE_CONTAINER_NAME: { type: 'string', default: 'sintracap-media' },
+  PITCH_DECK_CONTAINER_NAME: { type: 'string', default: 'generated-pitch-decks' },
+  DATA_ROOM_CONTAINER_NAME: { type: 'string', default: 'deal-data-rooms' }, // private; read through short-lived links only
+
+  // Pitch deck generator
+  PITCH_DECK_API_BASE: { type: 'url', default: 'https://pitchdeck.happytree-df551ac3.southindia.azurecontainerapps.io/api' },
+
+  // Azure OpenAI
+  OPENAI_API_KEY: { type: 'string', required: true, secret: true },
+  OPENAI_ENDPOINT: { type: 'url', default: 'https://generic-gpt-40-mini.openai.azure.com/openai/deployments/gpt-4o-mini/chat/completions?api-version=2025-01-01-preview' },
+
+  // Email microservice
+  EMAIL_SERVICE_URL: { type: 'url', default: 'https://otpmicroservice.azurewebsites.net/api/send-email' },
+  EMAIL_USER: { type: 'string', required: true },
+  HOST_PASS: { type: 'string', required: true, secret: true },
+  EMAIL_FROM: { type: 'string', default: 'SintraCap <no-reply@sintracap.com>' },
+
+  // Google sign-in; ID tokens must be issued to one of these OAuth client IDs
+  GOOGLE_CLIENT_IDS: { type: 'list', required: true },
+
+  // LinkedIn OAuth
+  LINKEDIN_CLIENT_ID: { type: 'string', required: true },
+  LINKEDIN_CLIENT_SECRET: { type: 'string', required: true, secret: true },
+  LINKEDIN_REDIRECT_URI: { type: 'url', default: 'http://localhost:7071/api/linkedin-callback' },
+
+  // Frontend
+  FRONTEND_URL: { type: 'url', default: 'http://localhost:5173' },
+
+  // First super-admin bootstrap; disabled unless both are set
+  ADMIN_EMAILS: { type: 'list', default: [] },
+  ADMIN_PASSWORD: { type: 'string', secret: true, minLength: 12 },
+
+  // Header a fronting proxy (e.g. Azure Front Door) sets to the caller's IP.
+  // Leave unset unless every request passes through that proxy; callers can forge it otherwise.
+  TRUSTED_PROXY_HEADER: { type: 'string', oneOf: ['x-azure-clientip', 'client-ip'] },
+
+  // Rate limiting
+  RATE_LIMIT_WINDOW: { type: 'int', default: 900000, min: 1000 },
+  RATE_LIMIT_MAX_REQUESTS: { type: 'int', default: 100, min: 1 },
+  RATE_LIMIT_AUTH_WINDOW: { type: 'int', default: 900000, min: 1000 },
+  RATE_LIMIT_AUTH_MAX_REQUESTS: { type: 'int', default: 10, min: 1 },
+
+  // Account lockout
+  LOCKOUT_MAX_FAILED_ATTEMPTS: { type: 'int', default: 5, min: 1 },
+  LOCKOUT_BASE_MINUTES: { type: 'int', default: 15, min: 1 },
+  LOCKOUT_MAX_MINUTES: { type: 'int', default: 1440, min: 1 },
+
+  // Account emails and links
+  PASSWORD_RESET_EXPIRE_MINUTES: { type: 'int', default: 60, min: 1 },
+  INVITATION_EXPIRE_DAYS: { type: 'int', default: 14, min: 1 },
+  EMAIL_VERIFICATION_MODE: { type: 'string', default: 'code', oneOf: ['code', 'link'] },
+  EMAIL_VERIFICATION_EXPIRE_MINUTES: { type: 'int', default: 1440, min: 1 },
+  EMAIL_VERIFICATION_MAX_ATTEMPTS: { type: 'int', default: 5, min: 1 },
+  EMAIL_VERIFICATION_RESEND_COOLDOWN: { type: 'int', default: 60, min: 0 },
+  EMAIL_CHANGE_EXPIRE_MINUTES: { type: 'int', default: 30, min: 1 },
+
+  // Deal data rooms
+  DATA_ROOM_LINK_EXPIRE_MINUTES: { type: 'int', default: 10, min: 1 }
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration. Fix these application settings and restart:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Helper to parse and check one raw environment value against its schema entry.
+ * Returns { value } or { problem }.
+ */
+const parseValue = (key, rule, raw) => {
+  const shown = rule.secret ? '' : ` (got "${raw}")`;
+
+  switch (rule.type) {
+    case 'int': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) {
+        return { problem: `${key} must be an integer${shown}` };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { problem: `${key} must be at least ${rule.min}${shown}` };
+      }
+      return { value };
+    }
+    case 'url': {
+      try {
+        new URL(raw);
+      } catch (error) {
+        return { problem: `${key} must be a valid URL${shown}` };
+      }
+      return { value: raw.replace(/\/$/, '') };
+    }
+    case 'list':
+      return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+    default: {
+      if (rule.minLength && raw.length < rule.minLength) {
+        return { problem: `${key} must be at least ${rule.minLength} characters long` };
+      }
+      if (rule.oneOf && !rule.oneOf.includes(raw)) {
+        return { problem: `${key} must be one of: ${rule.oneOf.join(', ')}${shown}` };
+      }
+      return { value: raw };
+    }
+  }
+};
+
+/**
+ * Read and validate every setting, reporting all problems at once
+ */
+const loadConfig = (env = process.env) => {
+  const values = {};
+  const problems = [];
+
+  Object.entries(SCHEMA).forEach(([key, rule]) => {
+    const raw = env[key] === undefined ? '' : String(env[key]).trim();
+
+    if (raw === '') {
+      if (rule.required) {
+        problems.push(`${key} is required`);
+      }
+      values[key] = rule.default !== undefined ? rule.default : null;
+      return;
+    }
+
+    const { value, problem } = parseValue(key, rule, raw);
+    if (problem) {
+      problems.push(problem);
+    } else {
+      values[key] = value;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return Object.freeze(values);
+};
+
+// Validated once per cold start; a bad configuration fails every function loudly
+const values = loadConfig();
+
+class Config {
+  /**
+   * Get a single validated setting by its environment variable name
+   */
+  static get(key) {
+    if (!Object.prototype.hasOwnProperty.call(SCHEMA, key)) {
+      throw new Error(`Unknown configuration key: ${key}`);
+    }
+    return values[key];
+  }
+
+  static get isDevelopment() {
+    return values.NODE_ENV === 'development';
+  }
+
+  static get database() {
+    return { uri: values.MONGODB_URI };
+  }
+
+  static get jwt() {
+    return {
+      secret: values.JWT_SECRET,
+      accessTokenExpire: values.ACCESS_TOKEN_EXPIRE,
+      refreshTokenExpireDays: values.REFRESH_TOKEN_EXPIRE_DAYS
+    };
+  }
+
+  static get storage() {
+    return {
+      connectionString: values.AZURE_STORAGE_CONNECTION_STRING,
+      containerName: values.AZURE_CONTAINER_NAME,
+      pitchDeckContainerName: values.PITCH_DECK_CONTAINER_NAME,
+      dataRoomContainerName: values.DATA_ROOM_CONTAINER_NAME
+    };
+  }
+
+  static get openai() {
+    return {
+      apiKey: values.OPENAI_API_KEY,
+      endpoint: values.OPENAI_ENDPOINT
+    };
+  }
+
+  static get pitchDeck() {
+    return { apiBase: values.PITCH_DECK_API_BASE };
+  }
+
+  static get email() {
+    return {
+      serviceUrl: values.EMAIL_SERVICE_URL,
+      user: values.EMAIL_USER,
+      password: values.HOST_PASS,
+      from: values.EMAIL_FROM
+    };
+  }
+
+  static get google() {
+    return {
+      clientIds: values.GOOGLE_CLIENT_IDS
+    };
+  }
+
+  static get linkedin() {
+    return {
+      clientId: values.LINKEDIN_CLIENT_ID,
+      clientSecret: values.LINKEDIN_CLIENT_SECRET,
+      redirectUri: values.LINKEDIN_REDIRECT_URI
+    };
+  }
+
+  static get frontendUrl() {
+    return values.FRONTEND_URL;
+  }
+}
+
+module.exports = Config;
+module.exports.ConfigError = ConfigError;
+module.exports.loadConfig = loadConfig;
@@ -1,20 +1,23 @@
 // shared/config/constants.js
+// Environment-driven values come from the validated config module
+const config = require('./config');
+
 module.exports = {
   // JWT Configuration
-  JWT_SECRET: process.env.JWT_SECRET || "ca51115b3649b930af268e54aa42c1d273eecbcba63a2ac8d199e0333a0d2706",
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '30d',
+  JWT_SECRET: config.jwt.secret,
+  ACCESS_TOKEN_EXPIRE: config.jwt.accessTokenExpire,
+  REFRESH_TOKEN_EXPIRE_DAYS: config.jwt.refreshTokenExpireDays,
   
   // Email Configuration
-  EMAIL_FROM: process.env.EMAIL_FROM || "himanshu@actofit.com",
-  HOST_PASS: process.env.HOST_PASS || "lxcd fqtv xtpf zxen",
+  EMAIL_FROM: config.email.from,
   
   // LinkedIn OAuth Configuration
-  LINKEDIN_CLIENT_ID: process.env.LINKEDIN_CLIENT_ID || '86yfv12jlk4udi',
-  LINKEDIN_CLIENT_SECRET: process.env.LINKEDIN_CLIENT_SECRET || 'WPL_AP1.NoBYiQ67C1jTiIR0.N+xZ1Q==',
-  LINKEDIN_REDIRECT_URI: process.env.LINKEDIN_REDIRECT_URI || 'http://localhost:7071/api/linkedin-callback',
+  LINKEDIN_CLIENT_ID: config.linkedin.clientId,
+  LINKEDIN_CLIENT_SECRET: config.linkedin.clientSecret,
+  LINKEDIN_REDIRECT_URI: config.linkedin.redirectUri,
   
   // Frontend URLs
-  FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
+  FRONTEND_URL: config.frontendUrl,
   
   // API Configuration
   API_VERSION: 'v1',
@@ -23,8 +26,9 @@ module.exports = {
   APP_NAME: 'SintraCap',
   
   // Admin Configuration
-  ADMIN_EMAILS: process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : ['sintracap@admin.com', 'admin@sintracap.com'],
-  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || 'Test@123',
+  // Only used to bootstrap the first super-admin while the admins collection is empty
+  ADMIN_EMAILS: config.get('ADMIN_EMAILS'),
+  ADMIN_PASSWORD: config.get('ADMIN_PASSWORD'),
   
   // Roles
   ROLES: {
@@ -33,6 +37,13 @@ module.exports = {
     ADMIN: 'admin'
   },
   
+  // Admin sub-roles
+  ADMIN_ROLES: {
+    SUPER_ADMIN: 'super-admin',
+    DEAL_MANAGER: 'deal-manager',
+    ANALYST: 'analyst'
+  },
+  
   // Status
   SIGNUP_STATUS: {
     PRE_SIGNUP: 'pre-signup',
@@ -47,10 +58,114 @@ module.exports = {
     REJECTED: 'rejected'
   },
   
+  // Investor categories, matched against Deal.targetInvestors
+  INVESTOR_TYPES: ['HNI', 'Family Office', 'Institutional', 'Retail', 'Angel', 'VC', 'PE'],
+  
+  // Money. Amounts in other currencies are also stored converted to BASE at the
+  // current admin-maintained FX rate, so deals and funding requests compare correctly.
+  CURRENCY: {
+    BASE: 'INR',
+    SUPPORTED: ['INR', 'USD', 'EUR', 'GBP']
+  },
+  
+  // Investor soft commitments on deals
+  COMMITMENT_STATUS: {
+    INDICATED: 'indicated',
+    CONFIRMED: 'confirmed',
+    ALLOCATED: 'allocated',
+    WITHDRAWN: 'withdrawn'
+  },
+  
+  // Client IP header set by a fronting proxy; unset means only the last x-forwarded-for hop is used
+  TRUSTED_PROXY_HEADER: config.get('TRUSTED_PROXY_HEADER'),
+  
   // Rate Limiting
   RATE_LIMIT: {
-    WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW) || 900000, // 15 minutes
-    MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+    WINDOW_MS: config.get('RATE_LIMIT_WINDOW'), // 15 minutes
+    MAX_REQUESTS: config.get('RATE_LIMIT_MAX_REQUESTS'),
+    // Stricter limits for credential and account-lookup endpoints
+    AUTH: {
+      WINDOW_MS: config.get('RATE_LIMIT_AUTH_WINDOW'), // 15 minutes
+      MAX_REQUESTS: config.get('RATE_LIMIT_AUTH_MAX_REQUESTS')
+    }
+  },
+  
+  // Account Lockout (failed logins)
+  ACCOUNT_LOCKOUT: {
+    MAX_FAILED_ATTEMPTS: config.get('LOCKOUT_MAX_FAILED_ATTEMPTS'),
+    BASE_LOCK_MINUTES: config.get('LOCKOUT_BASE_MINUTES'), // doubles with each consecutive lockout
+    MAX_LOCK_MINUTES: config.get('LOCKOUT_MAX_MINUTES')
+  },
+  
+  // Password Reset
+  PASSWORD_RESET: {
+    TOKEN_EXPIRE_MINUTES: config.get('PASSWORD_RESET_EXPIRE_MINUTES')
+  },
+  
+  // Investor Invitations (bulk import)
+  INVITATION: {
+    EXPIRE_DAYS: config.get('INVITATION_EXPIRE_DAYS')
+  },
+  
+  // Partner API keys for programmatic read access
+  API_KEYS: {
+    HEADER: 'x-api-key',
+    PREFIX: 'sck_',
+    SCOPES: {
+      DEALS_READ: 'deals:read',
+      HOT_DEALS_READ: 'hot-deals:read'
+    },
+    DEFAULT_RATE_LIMIT: {
+      WINDOW_MS: 60000, // 1 minute
+      MAX_REQUESTS: 60
+    }
+  },
+  
+  // Deal data rooms (private documents behind short-lived links)
+  DATA_ROOM: {
+    LINK_EXPIRE_MINUTES: config.get('DATA_ROOM_LINK_EXPIRE_MINUTES'),
+    MAX_FILE_SIZE: 25 * 1024 * 1024, // 25MB
+    MAX_FILES: 10,
+    ALLOWED_TYPES: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/csv',
+      'image/png',
+      'image/jpeg'
+    ]
+  },
+  
+  // Admin "view as user" sessions
+  IMPERSONATION: {
+    DEFAULT_MINUTES: 30,
+    MAX_MINUTES: 120
+  },
+  
+  // Email Verification
+  EMAIL_VERIFICATION: {
+    MODE: config.get('EMAIL_VERIFICATION_MODE'), // 'code' or 'link'
+    CODE_LENGTH: 6,
+    EXPIRE_MINUTES: config.get('EMAIL_VERIFICATION_EXPIRE_MINUTES'), // 24 hours
+    MAX_ATTEMPTS: config.get('EMAIL_VERIFICATION_MAX_ATTEMPTS'),
+    RESEND_COOLDOWN_SECONDS: config.get('EMAIL_VERIFICATION_RESEND_COOLDOWN')
+  },
+  
+  // Changing the login email of an account
+  EMAIL_CHANGE: {
+    EXPIRE_MINUTES: config.get('EMAIL_CHANGE_EXPIRE_MINUTES')
+  },
+  
+  // Two-Factor Authentication
+  TWO_FACTOR: {
+    ISSUER: config.get('TWO_FACTOR_ISSUER'),
+    ENCRYPTION_KEY: config.get('TWO_FACTOR_ENCRYPTION_KEY'),
+    PENDING_TOKEN_EXPIRE: '5m',
+    BACKUP_CODE_COUNT: 10
   },
   
   // Timeouts (in milliseconds)
@@ -75,6 +190,7 @@ module.exports = {
   // Error Messages
   ERRORS: {
     UNAUTHORIZED: 'Unauthorized access',
+    FORBIDDEN: 'You do not have permission to perform this action',
     NOT_FOUND: 'Resource not found',
     VALIDATION_FAILED: 'Validation failed',
     SERVER_ERROR: 'Internal server error',
@@ -87,6 +203,12 @@ module.exports = {
     INVALID_CREDENTIALS: 'Invalid credentials',
     EMAIL_ALREADY_VERIFIED: 'Email already verified',
     TOKEN_EXPIRED: 'Token has expired',
+    SESSION_REVOKED: 'Session is no longer valid. Please sign in again',
+    TWO_FACTOR_REQUIRED: 'Two-factor authentication has not been completed',
+    INVALID_TWO_FACTOR_CODE: 'Invalid two-factor authentication code',
+    ACCOUNT_LOCKED: 'Too many failed login attempts. Please try again later',
+    INVALID_API_KEY: 'Invalid or revoked API key',
+    IMPERSONATION_READ_ONLY: 'This action is not available while impersonating a user',
     DATABASE_ERROR: 'Database operation failed'
   },
   
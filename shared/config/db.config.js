@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('./config');
 
 // Database connection
 module.exports = async function connectDB() {
@@ -8,8 +9,8 @@ module.exports = async function connectDB() {
             return mongoose.connection;
         }
 
-        // Use the MONGODB_URI environment variable from Function App settings
-        const conn = await mongoose.connect(process.env.MONGODB_URI, {
+        // MONGODB_URI from Function App settings, validated at cold start
+        const conn = await mongoose.connect(config.database.uri, {
             useNewUrlParser: true,
             useUnifiedTopology: true,
         });
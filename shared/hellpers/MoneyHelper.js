@@ -0,0 +1,107 @@
+// shared/hellpers/MoneyHelper.js
+
+const SYMBOLS = {
+    INR: '₹',
+    USD: '$',
+    EUR: '€',
+    GBP: '£'
+};
+
+// Currency markers accepted before or after the number, lower-cased
+const CURRENCY_MARKERS = {
+    '₹': 'INR', 'rs': 'INR', 'rs.': 'INR', 'inr': 'INR',
+    '$': 'USD', 'us$': 'USD', 'usd': 'USD',
+    '€': 'EUR', 'eur': 'EUR',
+    '£': 'GBP', 'gbp': 'GBP'
+};
+
+// Scale words, lower-cased. Only whole words count, so "million" is never read as lakh.
+const UNITS = {
+    'k': 1e3, 'thousand': 1e3,
+    'l': 1e5, 'lac': 1e5, 'lacs': 1e5, 'lakh': 1e5, 'lakhs': 1e5,
+    'cr': 1e7, 'crs': 1e7, 'crore': 1e7, 'crores': 1e7,
+    'm': 1e6, 'mn': 1e6, 'mil': 1e6, 'million': 1e6, 'millions': 1e6,
+    'b': 1e9, 'bn': 1e9, 'billion': 1e9, 'billions': 1e9,
+    't': 1e12, 'tn': 1e12, 'trillion': 1e12, 'trillions': 1e12
+};
+
+// Largest unit first; amounts below the last step are written out in full
+const NOTATIONS = {
+    indian: [{ size: 1e7, suffix: ' Cr' }, { size: 1e5, suffix: ' L' }],
+    international: [{ size: 1e12, suffix: 'T' }, { size: 1e9, suffix: 'B' }, { size: 1e6, suffix: 'M' }, { size: 1e3, suffix: 'K' }]
+};
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const markerPattern = Object.keys(CURRENCY_MARKERS).sort((a, b) => b.length - a.length).map(escape).join('|');
+const unitPattern = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+
+// [currency] number [unit] [currency], e.g. "₹5 Cr", "$1.5M", "50 lakh INR", "Rs. 1,00,000"
+const MONEY_PATTERN = new RegExp(
+    `^(${markerPattern})?\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*(${unitPattern})?\\.?\\s*(${markerPattern})?$`,
+    'i'
+);
+
+class MoneyHelper {
+    /**
+     * Read an amount written in Indian or international notation
+     * @param {string} text - e.g. "₹5 Cr", "₹50 L", "$1.5M", "€2B", "Rs 1,00,000"
+     * @param {string} defaultCurrency - Used when the text has no currency marker
+     * @returns {{value: number, currency: string}|null} - null when the text isn't an amount
+     */
+    static parse(text, defaultCurrency = 'INR') {
+        const match = String(text || '').trim().match(MONEY_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const [, prefix, number, unit, suffix] = match;
+        if (prefix && suffix) {
+            return null;
+        }
+
+        const value = parseFloat(number.replace(/,/g, ''));
+        const multiplier = unit ? UNITS[unit.toLowerCase()] : 1;
+        const marker = (prefix || suffix || '').toLowerCase();
+
+        return {
+            value: Math.round(value * multiplier * 100) / 100,
+            currency: marker ? CURRENCY_MARKERS[marker] : defaultCurrency
+        };
+    }
+
+    /**
+     * Write an amount in short form, e.g. 50000000 INR -> "₹5 Cr", 1500000 USD -> "$1.5M"
+     * @param {number} value - Amount in currency units
+     * @param {string} currency - ISO code
+     * @param {Object} options - notation: 'indian' | 'international' (defaults to indian for INR),
+     *   locale: number formatting locale (defaults to en-IN / en-US to match the notation)
+     * @returns {string}
+     */
+    static format(value, currency = 'INR', options = {}) {
+        const notation = options.notation || (currency === 'INR' ? 'indian' : 'international');
+        const steps = NOTATIONS[notation];
+        if (!steps) {
+            throw new Error(`Unknown notation: ${notation}`);
+        }
+
+        const locale = options.locale || (notation === 'indian' ? 'en-IN' : 'en-US');
+        let index = steps.findIndex(candidate => Math.abs(value) >= candidate.size);
+        if (index === -1) {
+            index = steps.length;
+        }
+
+        // Rounding to two decimals can carry an amount up to the next unit ("1,000K"); write it in that unit instead
+        const size = index < steps.length ? steps[index].size : 1;
+        if (index > 0 && Math.round(Math.abs(value) / size * 100) / 100 >= steps[index - 1].size / size) {
+            index -= 1;
+        }
+
+        const step = steps[index];
+        const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 })
+            .format(step ? value / step.size : value);
+
+        return `${SYMBOLS[currency] || `${currency} `}${number}${step ? step.suffix : ''}`;
+    }
+}
+
+module.exports = MoneyHelper;
@@ -5,18 +5,18 @@ const FormData = require('form-data');
 const { v4: uuidv4 } = require('uuid');
 const { ValidationError } = require('../middleware/errorHandler');
 const CompanyProfile = require('../../models/sintracapFounder');
+const config = require('../config/config');
 
 class PitchDeckGeneratorHelper {
-    static PITCH_DECK_API_BASE = 'https://pitchdeck.happytree-df551ac3.southindia.azurecontainerapps.io/api';
-    static AZURE_CONTAINER_NAME = 'generated-pitch-decks';
+    static PITCH_DECK_API_BASE = config.pitchDeck.apiBase;
+    static AZURE_CONTAINER_NAME = config.storage.pitchDeckContainerName;
     
     /**
      * Get Azure Blob Service Client with better error handling
      * @returns {Object} Azure Blob Service Client
      */
     static getBlobServiceClient() {
-        const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING || 
-            "DefaultEndpointsProtocol=https;AccountName=sintracap;AccountKey=kGfGEuu7WUkWUkqXkvdceqzbTjI0a/dI+oEyboCIZDDkBdOtFo60E38hGLKnEzM8AB8Ww2qxi7UZ+AStrcDDHw==;EndpointSuffix=core.windows.net";
+        const connectionString = config.storage.connectionString;
         
         if (!connectionString) {
             throw new Error('Azure Storage connection string is not configured');
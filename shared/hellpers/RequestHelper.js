@@ -0,0 +1,101 @@
+// shared/hellpers/RequestHelper.js
+const constants = require('../config/constants');
+
+/**
+ * Helper to drop the port from an IPv4 address ("1.2.3.4:5678"); IPv6 addresses are left untouched
+ */
+const stripPort = (address) => {
+    const trimmed = address.trim();
+    return /^[\d.]+:\d+$/.test(trimmed) ? trimmed.split(':')[0] : trimmed;
+};
+
+class RequestHelper {
+    /**
+     * Get the client IP of a request. The last x-forwarded-for entry is the one the
+     * platform appended; earlier entries come from the caller and can be forged.
+     * The header named by TRUSTED_PROXY_HEADER is only read when that setting is on,
+     * i.e. when every request arrives through the proxy that sets it.
+     * @param {Object} req - Azure Functions request
+     * @returns {string}
+     */
+    static getClientIp(req) {
+        const headers = req.headers || {};
+
+        const proxyHeader = constants.TRUSTED_PROXY_HEADER;
+        if (proxyHeader && headers[proxyHeader]) {
+            return stripPort(headers[proxyHeader]);
+        }
+
+        const forwardedFor = headers['x-forwarded-for'];
+        if (forwardedFor) {
+            const hops = forwardedFor.split(',').filter(hop => hop.trim());
+            if (hops.length > 0) {
+                return stripPort(hops[hops.length - 1]);
+            }
+        }
+
+        return 'unknown';
+    }
+
+    /**
+     * Get the user agent of a request
+     * @param {Object} req - Azure Functions request
+     * @returns {string}
+     */
+    static getUserAgent(req) {
+        const headers = req.headers || {};
+        return headers['user-agent'] || 'unknown';
+    }
+
+    /**
+     * Get a short, human-readable device label from a user agent ("Chrome on Windows")
+     * @param {string} userAgent - User-Agent header
+     * @returns {string}
+     */
+    static getDeviceLabel(userAgent) {
+        if (!userAgent || userAgent === 'unknown') {
+            return 'Unknown device';
+        }
+
+        // Order matters: Edge and Opera user agents also mention Chrome, Chrome mentions Safari
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        const system = systems.find(([token]) => userAgent.includes(token));
+
+        if (!browser && !system) {
+            return 'Unknown device';
+        }
+        if (!browser) {
+            return system[1];
+        }
+        return system ? `${browser[1]} on ${system[1]}` : browser[1];
+    }
+
+    /**
+     * Get the metadata recorded with a login session
+     * @param {Object} req - Azure Functions request
+     * @returns {Object} - { ipAddress, userAgent, device }
+     */
+    static getClientInfo(req) {
+        const userAgent = RequestHelper.getUserAgent(req);
+        return {
+            ipAddress: RequestHelper.getClientIp(req),
+            userAgent,
+            device: RequestHelper.getDeviceLabel(userAgent)
+        };
+    }
+
+    /**
+     * Get the partner API key sent with a request, if any
+     * @param {Object} req - Azure Functions request
+     * @returns {string|null}
+     */
+    static getApiKey(req) {
+        const headers = req.headers || {};
+        return headers[constants.API_KEYS.HEADER] || null;
+    }
+}
+
+module.exports = RequestHelper;
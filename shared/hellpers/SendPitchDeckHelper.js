@@ -5,6 +5,7 @@ const { ValidationError } = require('../middleware/errorHandler');
 const { EmailApiService } = require('../services/EmailApiService');
 const FounderInvestorMatch = require('../../models/founderInvestorMatch');
 const InvestorProfile = require('../../models/sintracapInvestor');
+const config = require('../config/config');
 
 class SendPitchDeckHelper {
     /**
@@ -12,7 +13,7 @@ class SendPitchDeckHelper {
      * @returns {Object} Azure Blob Service Client
      */
     static getBlobServiceClient() {
-        const connectionString = "DefaultEndpointsProtocol=https;AccountName=sintracap;AccountKey=kGfGEuu7WUkWUkqXkvdceqzbTjI0a/dI+oEyboCIZDDkBdOtFo60E38hGLKnEzM8AB8Ww2qxi7UZ+AStrcDDHw==;EndpointSuffix=core.windows.net";
+        const connectionString = config.storage.connectionString;
         
         if (!connectionString) {
             throw new Error('Azure Storage connection string is not configured');
@@ -0,0 +1,40 @@
+// shared/hellpers/TokenHelper.js
+const crypto = require('crypto');
+
+class TokenHelper {
+    /**
+     * Hash a token before it is stored. Tokens handed out to users
+     * (refresh tokens, reset links, codes) are only ever persisted hashed.
+     * @param {string} token - Plain token
+     * @returns {string} - SHA-256 hex digest
+     */
+    static hash(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Generate a URL-safe random token
+     * @param {number} bytes - Number of random bytes
+     * @returns {string} - base64url encoded token
+     */
+    static generateToken(bytes = 32) {
+        return crypto.randomBytes(bytes).toString('base64url');
+    }
+
+    /**
+     * Constant-time comparison of a plain token against a stored hash
+     * @param {string} token - Plain token supplied by the user
+     * @param {string} storedHash - Hash previously produced by TokenHelper.hash
+     * @returns {boolean}
+     */
+    static matchesHash(token, storedHash) {
+        if (!token || !storedHash) {
+            return false;
+        }
+        const tokenHash = Buffer.from(TokenHelper.hash(token), 'hex');
+        const expected = Buffer.from(storedHash, 'hex');
+        return tokenHash.length === expected.length && crypto.timingSafeEqual(tokenHash, expected);
+    }
+}
+
+module.exports = TokenHelper;
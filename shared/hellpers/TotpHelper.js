@@ -0,0 +1,169 @@
+// shared/hellpers/TotpHelper.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+class TotpHelper {
+    /**
+     * Encode a buffer as RFC 4648 base32 (no padding), the format authenticator apps expect
+     * @param {Buffer} buffer
+     * @returns {string}
+     */
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode an RFC 4648 base32 string
+     * @param {string} input
+     * @returns {Buffer}
+     */
+    static base32Decode(input) {
+        const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 character');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Generate a new random base32 TOTP secret (160 bits)
+     * @returns {string}
+     */
+    static generateSecret() {
+        return TotpHelper.base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Current TOTP time step
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {number}
+     */
+    static getTimeStep(timestamp = Date.now()) {
+        return Math.floor(timestamp / 1000 / TIME_STEP_SECONDS);
+    }
+
+    /**
+     * Generate the HOTP code for a given counter (RFC 4226)
+     * @param {string} secret - base32 secret
+     * @param {number} counter - Time step
+     * @returns {string} - Zero-padded code
+     */
+    static generateCode(secret, counter) {
+        const counterBuffer = Buffer.alloc(8);
+        counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', TotpHelper.base32Decode(secret)).update(counterBuffer).digest();
+        const offset = hmac[hmac.length - 1] & 0xf;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+    }
+
+    /**
+     * Verify a TOTP code, allowing for one step of clock drift either way
+     * @param {string} secret - base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {number} window - Number of steps accepted before/after the current one
+     * @returns {number|null} - The matching time step, or null when the code is wrong
+     */
+    static verifyCode(secret, code, window = 1) {
+        const normalizedCode = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(normalizedCode)) {
+            return null;
+        }
+
+        const currentStep = TotpHelper.getTimeStep();
+        for (let step = currentStep - window; step <= currentStep + window; step++) {
+            const expected = Buffer.from(TotpHelper.generateCode(secret, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(normalizedCode))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the otpauth:// URI that authenticator apps scan as a QR code
+     * @param {string} secret - base32 secret
+     * @param {string} accountName - Usually the user's email
+     * @param {string} issuer - Name shown in the authenticator app
+     * @returns {string}
+     */
+    static buildOtpAuthUrl(secret, accountName, issuer) {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(CODE_DIGITS),
+            period: String(TIME_STEP_SECONDS)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Encrypt a TOTP secret for storage (AES-256-GCM)
+     * @param {string} secret - base32 secret
+     * @param {string} key - Encryption key material
+     * @returns {string} - "iv:authTag:ciphertext" in base64
+     */
+    static encryptSecret(secret, key) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+    }
+
+    /**
+     * Decrypt a TOTP secret produced by encryptSecret
+     * @param {string} payload - "iv:authTag:ciphertext" in base64
+     * @param {string} key - Encryption key material
+     * @returns {string} - base32 secret
+     */
+    static decryptSecret(payload, key) {
+        const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = TotpHelper;
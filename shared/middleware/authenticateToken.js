@@ -2,78 +2,124 @@ const jwt = require('jsonwebtoken');
 const constants = require('../config/constants');
 const sintracapFounder = require('../../models/sintracapFounder');
 const sintracapInvestor = require('../../models/sintracapInvestor');
+const SessionService = require('../services/sessionService');
+const AdminService = require('../services/adminService');
+const ImpersonationService = require('../services/impersonationService');
+const { AuthError } = require('./errorHandler');
 
 /**
- * Middleware to authenticate JWT token
- * Adapted for Azure Functions context
+ * Verify the bearer token of a request and load the user it belongs to.
+ * Throws AuthError for any missing, invalid, pending-2FA or revoked token.
+ *
+ * For an impersonation session the target user is returned with an `impersonator`
+ * property holding the admin, and the request is written to the audit log.
  */
-const authenticateToken = async (context, req) => {
+const resolveUser = async (req) => {
+  // Extract token from headers
+  const authHeader = req.headers['authorization'] || req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1]; // Get the token part
+
+  if (!token) {
+    throw new AuthError('Access token is required');
+  }
+
+  // Verify the token
+  let decoded;
   try {
+    decoded = jwt.verify(token, constants.JWT_SECRET);
+  } catch (error) {
+    throw new AuthError('Invalid or expired token');
+  }
 
-    // Extract token from headers
-    const authHeader = req.headers['authorization'] || req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Get the token part
-
-    if (!token) {
-      context.res = {
-        status: 401,
-        body: {
-          success: false,
-          message: "Access token is required",
-        },
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      };
-      return false;
-    }
+  // Pending-2FA tokens only prove the password step and must not reach protected routes
+  if (decoded.twoFactorPending) {
+    throw new AuthError(constants.ERRORS.TWO_FACTOR_REQUIRED);
+  }
 
-    // Verify the token
-    const decoded = jwt.verify(token, constants.JWT_SECRET);
-    if(decoded.role == "admin") {
-      const currentUser = {
-        _id: decoded.userId,
-        email: decoded.email,
-        name: decoded.name,
-        role: decoded.role
-      };
-    // Attach user to the request for other functions to use
-    return currentUser;
-    }
-    // Fetch user details from the database
-    let sintracapUser = await sintracapFounder.findById(decoded.userId).select("-password");
-    if(!sintracapUser) {
-      sintracapUser = await sintracapInvestor.findById(decoded.userId).select("-password");
+  // Reject tokens whose session was revoked, expired or rotated by a refresh
+  const session = await SessionService.getActiveSession(decoded.sid, decoded.gen);
+  if (!session) {
+    throw new AuthError(constants.ERRORS.SESSION_REVOKED);
+  }
+
+  if (decoded.role == "admin") {
+    const admin = await AdminService.getActiveAdminById(decoded.userId);
+    if (!admin) {
+      throw new AuthError('Admin account not found or deactivated');
     }
-    if (!sintracapUser) {
-      context.res = {
-        status: 404,
-        body: {
-          success: false,
-          message: "User not found",
-        },
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      };
-      return null;
+    return {
+      _id: admin._id.toString(),
+      email: admin.email,
+      name: admin.name,
+      role: decoded.role,
+      adminRole: admin.adminRole,
+      sessionId: session._id.toString()
+    };
+  }
+
+  // Fetch user details from the database
+  let sintracapUser = await sintracapFounder.findById(decoded.userId).select("-password");
+  if (!sintracapUser) {
+    sintracapUser = await sintracapInvestor.findById(decoded.userId).select("-password");
+  }
+  if (!sintracapUser || sintracapUser.deletedAt) {
+    throw new AuthError(constants.ERRORS.USER_NOT_FOUND);
+  }
+
+  const user = {
+    _id: sintracapUser._id.toString(),
+    email: sintracapUser.email,
+    name: sintracapUser.name,
+    role: sintracapUser.role,
+    sessionId: session._id.toString()
+  };
+
+  if (session.impersonatedBy) {
+    // The impersonation ends as soon as the admin loses access
+    const admin = await AdminService.getActiveAdminById(session.impersonatedBy);
+    if (!admin) {
+      throw new AuthError(constants.ERRORS.SESSION_REVOKED);
     }
-    const currentUser = {
-      _id: sintracapUser._id.toString(),
-      email: sintracapUser.email,
-      name: sintracapUser.name,
-      role: sintracapUser.role,
+
+    user.impersonator = {
+      _id: admin._id.toString(),
+      email: admin.email,
+      name: admin.name,
+      adminRole: admin.adminRole
     };
+
+    await ImpersonationService.recordRequest(user, req);
+  }
+
+  return user;
+};
+
+/**
+ * Middleware to authenticate JWT token
+ * Adapted for Azure Functions context
+ *
+ * Returns the current user, or sets a 401 response on the context and returns null.
+ * New handlers should prefer the wrapper's `requireAuth` / `roles` options, which
+ * attach the user to `req.user`.
+ */
+const authenticateToken = async (context, req) => {
+  // Already authenticated by the wrapper's requireAuth / roles options
+  if (req.user) {
+    return req.user;
+  }
+
+  try {
     // Attach user to the request for other functions to use
-    return currentUser;
+    req.user = await resolveUser(req);
+    return req.user;
   } catch (error) {
     context.log.error("JWT Verification Error:", error.message);
 
     context.res = {
-      status: 403,
+      status: error.statusCode || 401,
       body: {
         success: false,
-        message: "Invalid or expired token",
+        message: error.isOperational ? error.message : "Invalid or expired token",
       },
       headers: {
         'Content-Type': 'application/json'
@@ -84,3 +130,4 @@ const authenticateToken = async (context, req) => {
 };
 
 module.exports = authenticateToken;
+module.exports.resolveUser = resolveUser;
@@ -0,0 +1,25 @@
+// shared/middleware/authorizeAdmin.js
+const constants = require('../config/constants');
+const { ForbiddenError } = require('./errorHandler');
+
+/**
+ * Ensure the authenticated user is an admin holding one of the allowed sub-roles.
+ * Super-admins are always allowed. An empty list allows any admin.
+ */
+const requireAdminRole = (user, allowedRoles = []) => {
+  if (!user || user.role !== constants.ROLES.ADMIN) {
+    throw new ForbiddenError('Admin access required');
+  }
+
+  if (user.adminRole === constants.ADMIN_ROLES.SUPER_ADMIN) {
+    return user;
+  }
+
+  if (allowedRoles.length > 0 && !allowedRoles.includes(user.adminRole)) {
+    throw new ForbiddenError(`This action requires one of the following admin roles: ${[...new Set([constants.ADMIN_ROLES.SUPER_ADMIN, ...allowedRoles])].join(', ')}`);
+  }
+
+  return user;
+};
+
+module.exports = requireAdminRole;
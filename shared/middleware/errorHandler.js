@@ -1,4 +1,7 @@
 // shared/middleware/errorHandler.js
+const constants = require('../config/constants');
+const rateLimiter = require('./rateLimiter');
+const RequestHelper = require('../hellpers/RequestHelper');
 
 // Simple Custom Errors
 class AppError extends Error {
@@ -27,6 +30,19 @@ class AuthError extends AppError {
     }
 }
 
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied') {
+        super(message, 403);
+    }
+}
+
+class RateLimitError extends AppError {
+    constructor(message = 'Too many requests, please try again later', retryAfterSeconds = null) {
+        super(message, 429);
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
 // Simple Response Helper
 const createResponse = (success, data, message = null, statusCode = 200) => {
     return {
@@ -112,8 +128,13 @@ const parseRequestBody = (req, context) => {
 const azureFunctionWrapper = (handler, options = {}) => {
     const { 
         requireAuth = false, 
+        optionalAuth = false,
+        roles = null,
+        allowImpersonation = true,
+        apiKeyScope = null,
         enableCors = true, 
         validateInput = null,
+        rateLimit = {},
         timeout = 30000 
     } = options;
 
@@ -126,7 +147,7 @@ const azureFunctionWrapper = (handler, options = {}) => {
                         'Content-Type': 'application/json',
                         'Access-Control-Allow-Origin': '*',
                         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-                        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+                        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key'
                     }
                 };
             }
@@ -137,23 +158,84 @@ const azureFunctionWrapper = (handler, options = {}) => {
                 return;
             }
 
-            // Run custom input validation if provided
-            if (validateInput && typeof validateInput === 'function') {
-                validateInput(req);
+            // Partner API key, accepted on routes that declare the scope it must grant.
+            // Keyed requests are limited per key instead of per IP.
+            const partnerKey = apiKeyScope ? RequestHelper.getApiKey(req) : null;
+            if (partnerKey) {
+                // Required lazily: the service depends on this module's error classes
+                const ApiKeyService = require('../services/apiKeyService');
+                req.apiKey = await ApiKeyService.authenticate(partnerKey, apiKeyScope);
+
+                const limit = await rateLimiter.consume(context, req, ApiKeyService.rateLimitFor(req.apiKey));
+                context.res.headers = {
+                    ...context.res.headers,
+                    'X-RateLimit-Limit': String(limit.limit),
+                    'X-RateLimit-Remaining': String(limit.remaining)
+                };
+                if (!limit.allowed) {
+                    throw new RateLimitError(undefined, limit.retryAfterSeconds);
+                }
             }
 
-            // Basic auth check (if required)
-            if (requireAuth) {
-                const authHeader = req.headers.authorization;
-                if (!authHeader) {
-                    throw new AuthError('Authorization header required');
+            // Per-route rate limit; defaults to constants.RATE_LIMIT, pass false to disable
+            if (rateLimit && !partnerKey) {
+                const limit = await rateLimiter.consume(context, req, rateLimit);
+                context.res.headers = {
+                    ...context.res.headers,
+                    'X-RateLimit-Limit': String(limit.limit),
+                    'X-RateLimit-Remaining': String(limit.remaining)
+                };
+                if (!limit.allowed) {
+                    throw new RateLimitError(undefined, limit.retryAfterSeconds);
                 }
-                // Add your token validation logic here
-                // req.user = await validateToken(authHeader);
+            }
+
+            // Authenticate once and attach the user to the request.
+            // `roles` implies requireAuth; `optionalAuth` lets anonymous callers through.
+            // A valid API key stands in for a user login, but never for a role.
+            if (req.apiKey && !roles) {
+                req.user = null;
+            } else if (requireAuth || roles || optionalAuth) {
+                // Required lazily: authenticateToken depends on services that import this module
+                const { resolveUser } = require('./authenticateToken');
+                const hasToken = !!(req.headers && req.headers.authorization);
+
+                if (requireAuth || roles || hasToken) {
+                    try {
+                        req.user = await resolveUser(req);
+                    } catch (error) {
+                        if (requireAuth || roles) {
+                            throw error;
+                        }
+                        req.user = null;
+                    }
+                } else {
+                    req.user = null;
+                }
+
+                if (roles && !roles.includes(req.user.role)) {
+                    throw new ForbiddenError(constants.ERRORS.FORBIDDEN);
+                }
+
+                // Destructive routes opt out of admin "view as user" sessions
+                if (!allowImpersonation && req.user && req.user.impersonator) {
+                    throw new ForbiddenError(constants.ERRORS.IMPERSONATION_READ_ONLY);
+                }
+            }
+
+            // Run custom input validation if provided
+            if (validateInput && typeof validateInput === 'function') {
+                validateInput(req);
             }
 
             // Execute main handler
             const result = await handler(context, req);
+
+            // Bill the partner for calls that succeeded
+            if (req.apiKey) {
+                const ApiKeyService = require('../services/apiKeyService');
+                await ApiKeyService.recordUsage(req.apiKey, apiKeyScope, context, req);
+            }
             
             // Set success response if not already set
             if (!context.res.body) {
@@ -178,6 +260,10 @@ const azureFunctionWrapper = (handler, options = {}) => {
             const statusCode = error.statusCode || 500;
             const message = error.isOperational ? error.message : 'Internal server error';
             
+            if (error.retryAfterSeconds) {
+                context.res.headers = { ...context.res.headers, 'Retry-After': String(error.retryAfterSeconds) };
+            }
+            
             context.res.status = statusCode;
             context.res.body = createResponse(false, null, message, statusCode);
         }
@@ -190,6 +276,8 @@ module.exports = {
     ValidationError,
     DatabaseError,
     AuthError,
+    ForbiddenError,
+    RateLimitError,
     
     // Helpers
     createResponse,
@@ -0,0 +1,85 @@
+// shared/middleware/rateLimiter.js
+const constants = require('../config/constants');
+const RequestHelper = require('../hellpers/RequestHelper');
+
+/**
+ * Default counter store. Counts live in this instance's memory, so limits are
+ * per function host; plug in a shared store (e.g. Redis) with setStore() to
+ * enforce them across instances.
+ *
+ * A store only needs `increment(key, windowMs)` resolving to `{ count, resetAt }`
+ * and `reset(key)`.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+      this.prune(now);
+    }
+
+    counter.count += 1;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  // Drop expired windows so the map doesn't grow without bound
+  prune(now) {
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replace the counter store used by every rate-limited route
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Count a request against its route limit.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - Azure Functions request
+ * @param {Object} options - { name, windowMs, max, keyGenerator }
+ * @returns {Promise<Object>} - { allowed, limit, remaining, retryAfterSeconds }
+ */
+const consume = async (context, req, options = {}) => {
+  const {
+    name = (context.executionContext && context.executionContext.functionName) || req.url,
+    windowMs = constants.RATE_LIMIT.WINDOW_MS,
+    max = constants.RATE_LIMIT.MAX_REQUESTS,
+    keyGenerator = RequestHelper.getClientIp
+  } = options;
+
+  const key = `rate-limit:${name}:${keyGenerator(req)}`;
+  const { count, resetAt } = await store.increment(key, windowMs);
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+  };
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  setStore,
+  consume
+};
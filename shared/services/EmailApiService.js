@@ -1,15 +1,16 @@
 const axios = require('axios');
+const config = require('../config/config');
 
 class EmailApiService {
     // Static configuration
     static emailConfig = {
-        apiUrl: process.env.EMAIL_SERVICE_URL || 'https://otpmicroservice.azurewebsites.net/api/send-email',
+        apiUrl: config.email.serviceUrl,
         defaultCredentials: {
             service: "gmail",
-            user: process.env.EMAIL_USER,
-            password: process.env.HOST_PASS
+            user: config.email.user,
+            password: config.email.password
         },
-        defaultFrom: process.env.EMAIL_FROM || "ActoFit Team <himanshu@actofit.com>",
+        defaultFrom: config.email.from,
         timeout: 120000 // 2 minutes timeout
     };
 
@@ -25,7 +26,7 @@ class EmailApiService {
                 subject,
                 htmlTemplate,
                 textTemplate,
-                from,
+                from = EmailApiService.emailConfig.defaultFrom,
                 cc = null,
                 bcc = null,
                 attachments = null,
@@ -422,6 +423,333 @@ This is an automated message. Please do not reply to this email.
     `.trim();
     }
 
+    /**
+     * Static method to wrap body content in the standard Sintracap email layout
+     * @param {string} title - Document title
+     * @param {string} bodyHtml - Inner HTML for the email body
+     * @returns {string} - HTML template
+     */
+    static createSintracapEmailLayout(title, bodyHtml) {
+        return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>
+          body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #1f2937; background-color: #f9fafb; margin: 0; padding: 0; }
+          .container { max-width: 600px; margin: 0 auto; padding: 40px 20px; }
+          .email-wrapper { background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05); overflow: hidden; }
+          .email-header { background-color: #1e40af; padding: 30px; text-align: center; }
+          .logo { width: 160px; height: auto; }
+          .email-body { padding: 40px 30px; }
+          h1 { font-size: 22px; font-weight: 600; color: #111827; margin: 0 0 16px; }
+          p { margin: 0 0 24px; font-size: 16px; color: #4b5563; }
+          .token-container { background-color: #f3f4f6; border-radius: 6px; padding: 16px; margin-bottom: 24px; text-align: center; }
+          .verification-token { font-family: monospace; font-size: 18px; letter-spacing: 2px; font-weight: 600; color: #111827; }
+          .button { display: inline-block; background-color: #1e40af; color: #ffffff !important; text-decoration: none; padding: 12px 28px; border-radius: 6px; font-weight: 600; }
+          .email-footer { background-color: #f9fafb; padding: 24px; text-align: center; font-size: 14px; color: #6b7280; border-top: 1px solid #e5e7eb; }
+          .help-text { font-size: 13px; margin-top: 16px; }
+          .help-text a { color: #2563eb; text-decoration: none; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="email-wrapper">
+            <div class="email-header">
+              <img src="https://sintracap.blob.core.windows.net/sintracap-logo/Sintracap.jpg" alt="Sintracap" class="logo">
+            </div>
+            <div class="email-body">
+              ${bodyHtml}
+              <p>Best regards,<br>The Sintracap Team</p>
+            </div>
+            <div class="email-footer">
+              <p>© ${new Date().getFullYear()} Sintracap. All rights reserved.</p>
+              <p class="help-text">
+                Need help? Contact our support team at <a href="mailto:support@sintracap.com">support@sintracap.com</a>
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+    }
+
+    /**
+     * Static method to generate HTML template for the password reset link email
+     * @param {string} resetLink - Link to the frontend reset page
+     * @param {number} expiresInMinutes - Link lifetime
+     * @returns {string} - HTML template
+     */
+    static createPasswordResetEmailTemplate(resetLink, expiresInMinutes) {
+        return EmailApiService.createSintracapEmailLayout('Reset Your Password', `
+              <h1>Reset your password</h1>
+              <p>Hi there,</p>
+              <p>We received a request to reset the password for your Sintracap account. Click the button below to choose a new password:</p>
+              <p style="text-align: center;"><a href="${resetLink}" class="button">Reset password</a></p>
+              <p>This link can only be used once and expires in ${expiresInMinutes} minutes. Resetting your password will sign you out of all devices.</p>
+              <p>If you didn't request a password reset, you can safely ignore this email. Your password will remain unchanged.</p>
+        `);
+    }
+
+    /**
+     * Static method to generate plain text template for the password reset link email
+     * @param {string} resetLink - Link to the frontend reset page
+     * @param {number} expiresInMinutes - Link lifetime
+     * @returns {string} - Plain text template
+     */
+    static createPasswordResetEmailTextTemplate(resetLink, expiresInMinutes) {
+        return `
+Sintracap - Password Reset Request
+
+Hi there,
+
+We received a request to reset the password for your Sintracap account. Open the link below to choose a new password:
+
+${resetLink}
+
+IMPORTANT INFORMATION:
+- This link can only be used once and expires in ${expiresInMinutes} minutes
+- Resetting your password will sign you out of all devices
+- If you didn't request a password reset, you can safely ignore this email
+
+Best regards,
+The Sintracap Team
+
+---
+© ${new Date().getFullYear()} Sintracap. All rights reserved.
+    `.trim();
+    }
+
+    /**
+     * Static method to generate HTML template for the magic-link verification email
+     * @param {string} verificationLink - Link to the frontend verification page
+     * @param {number} expiresInMinutes - Link lifetime
+     * @returns {string} - HTML template
+     */
+    static createVerificationLinkEmailTemplate(verificationLink, expiresInMinutes) {
+        return EmailApiService.createSintracapEmailLayout('Email Verification', `
+              <h1>Verify your email address</h1>
+              <p>Hi there,</p>
+              <p>Thanks for signing up for Sintracap! Click the button below to verify your email address:</p>
+              <p style="text-align: center;"><a href="${verificationLink}" class="button">Verify email</a></p>
+              <p>This link expires in ${expiresInMinutes} minutes.</p>
+              <p>If you didn't create an account with Sintracap, you can safely ignore this email.</p>
+        `);
+    }
+
+    /**
+     * Static method to generate plain text template for the magic-link verification email
+     * @param {string} verificationLink - Link to the frontend verification page
+     * @param {number} expiresInMinutes - Link lifetime
+     * @returns {string} - Plain text template
+     */
+    static createVerificationLinkEmailTextTemplate(verificationLink, expiresInMinutes) {
+        return `
+Sintracap - Email Verification Required
+
+Hi there,
+
+Thanks for signing up for Sintracap! Open the link below to verify your email address:
+
+${verificationLink}
+
+IMPORTANT INFORMATION:
+- This link expires in ${expiresInMinutes} minutes
+- If you didn't create an account with Sintracap, you can safely ignore this email
+
+Best regards,
+The Sintracap Team
+
+---
+© ${new Date().getFullYear()} Sintracap. All rights reserved.
+    `.trim();
+    }
+
+    /**
+     * Static method to generate HTML template for the investor invitation email
+     * @param {string} fullName - Investor name
+     * @param {string} claimLink - Link to the frontend claim page
+     * @param {number} expiresInDays - Link lifetime
+     * @returns {string} - HTML template
+     */
+    static createInvitationEmailTemplate(fullName, claimLink, expiresInDays) {
+        return EmailApiService.createSintracapEmailLayout('You are invited to Sintracap', `
+              <h1>You're invited to Sintracap</h1>
+              <p>Hi ${fullName || 'there'},</p>
+              <p>The Sintracap team has set up an investor profile for you. Click the button below to review your profile, choose a password and activate your account:</p>
+              <p style="text-align: center;"><a href="${claimLink}" class="button">Claim your account</a></p>
+              <p>This invitation can only be used once and expires in ${expiresInDays} days.</p>
+              <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+        `);
+    }
+
+    /**
+     * Static method to generate plain text template for the investor invitation email
+     * @param {string} fullName - Investor name
+     * @param {string} claimLink - Link to the frontend claim page
+     * @param {number} expiresInDays - Link lifetime
+     * @returns {string} - Plain text template
+     */
+    static createInvitationEmailTextTemplate(fullName, claimLink, expiresInDays) {
+        return `
+Sintracap - You're Invited
+
+Hi ${fullName || 'there'},
+
+The Sintracap team has set up an investor profile for you. Open the link below to review your profile, choose a password and activate your account:
+
+${claimLink}
+
+IMPORTANT INFORMATION:
+- This invitation can only be used once and expires in ${expiresInDays} days
+- If you weren't expecting this invitation, you can safely ignore this email
+
+Best regards,
+The Sintracap Team
+
+---
+© ${new Date().getFullYear()} Sintracap. All rights reserved.
+    `.trim();
+    }
+
+    /**
+     * Static method to generate HTML template for the code sent to a new email address
+     * @param {string} code - Verification code
+     * @param {number} expiresInMinutes - Code lifetime
+     * @returns {string} - HTML template
+     */
+    static createEmailChangeCodeEmailTemplate(code, expiresInMinutes) {
+        return EmailApiService.createSintracapEmailLayout('Confirm Your New Email', `
+              <h1>Confirm your new email address</h1>
+              <p>Hi there,</p>
+              <p>We received a request to use this address for a Sintracap account. Enter the code below to confirm the change:</p>
+              <p style="text-align: center; font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+              <p>This code expires in ${expiresInMinutes} minutes. Once confirmed, you'll be signed out of all other devices.</p>
+              <p>If you didn't request this change, you can safely ignore this email.</p>
+        `);
+    }
+
+    /**
+     * Static method to generate plain text template for the code sent to a new email address
+     * @param {string} code - Verification code
+     * @param {number} expiresInMinutes - Code lifetime
+     * @returns {string} - Plain text template
+     */
+    static createEmailChangeCodeEmailTextTemplate(code, expiresInMinutes) {
+        return `
+Sintracap - Confirm Your New Email
+
+Hi there,
+
+We received a request to use this address for a Sintracap account. Enter the code below to confirm the change:
+
+${code}
+
+IMPORTANT INFORMATION:
+- This code expires in ${expiresInMinutes} minutes
+- Once confirmed, you'll be signed out of all other devices
+- If you didn't request this change, you can safely ignore this email
+
+Best regards,
+The Sintracap Team
+
+---
+© ${new Date().getFullYear()} Sintracap. All rights reserved.
+    `.trim();
+    }
+
+    /**
+     * Static method to generate HTML template for the security notice sent to the old email address
+     * @param {string} maskedNewEmail - New address, partially hidden
+     * @param {boolean} completed - Whether the change has gone through or was only requested
+     * @returns {string} - HTML template
+     */
+    static createEmailChangeNoticeEmailTemplate(maskedNewEmail, completed) {
+        return EmailApiService.createSintracapEmailLayout('Email Change Notice', `
+              <h1>${completed ? 'Your email address was changed' : 'Email change requested'}</h1>
+              <p>Hi there,</p>
+              <p>${completed
+                  ? `The email address of your Sintracap account was changed to <strong>${maskedNewEmail}</strong> and all devices were signed out.`
+                  : `Someone asked to change the email address of your Sintracap account to <strong>${maskedNewEmail}</strong>. Nothing changes until the new address is confirmed.`}</p>
+              <p>If this wasn't you, reset your password immediately and contact the Sintracap team.</p>
+        `);
+    }
+
+    /**
+     * Static method to generate plain text template for the security notice sent to the old email address
+     * @param {string} maskedNewEmail - New address, partially hidden
+     * @param {boolean} completed - Whether the change has gone through or was only requested
+     * @returns {string} - Plain text template
+     */
+    static createEmailChangeNoticeEmailTextTemplate(maskedNewEmail, completed) {
+        return `
+Sintracap - ${completed ? 'Your Email Address Was Changed' : 'Email Change Requested'}
+
+Hi there,
+
+${completed
+    ? `The email address of your Sintracap account was changed to ${maskedNewEmail} and all devices were signed out.`
+    : `Someone asked to change the email address of your Sintracap account to ${maskedNewEmail}. Nothing changes until the new address is confirmed.`}
+
+If this wasn't you, reset your password immediately and contact the Sintracap team.
+
+Best regards,
+The Sintracap Team
+
+---
+© ${new Date().getFullYear()} Sintracap. All rights reserved.
+    `.trim();
+    }
+
+    /**
+     * Static method to generate HTML template for an alert about a watched deal
+     * @param {string} dealTitle - Deal title
+     * @param {string[]} changes - One line per change
+     * @param {string} dealLink - Link to the deal page
+     * @returns {string} - HTML template
+     */
+    static createDealWatchAlertEmailTemplate(dealTitle, changes, dealLink) {
+        return EmailApiService.createSintracapEmailLayout('Deal Update', `
+              <h1>${dealTitle} has been updated</h1>
+              <p>Hi there,</p>
+              <p>A deal on your watchlist has changed:</p>
+              <ul>${changes.map(change => `<li>${change}</li>`).join('')}</ul>
+              <p style="text-align: center;"><a href="${dealLink}" class="button">View deal</a></p>
+              <p>You're receiving this because you turned on email alerts for this deal. You can turn them off from your watchlist.</p>
+        `);
+    }
+
+    /**
+     * Static method to generate plain text template for an alert about a watched deal
+     * @param {string} dealTitle - Deal title
+     * @param {string[]} changes - One line per change
+     * @param {string} dealLink - Link to the deal page
+     * @returns {string} - Plain text template
+     */
+    static createDealWatchAlertEmailTextTemplate(dealTitle, changes, dealLink) {
+        return `
+Sintracap - ${dealTitle} Has Been Updated
+
+Hi there,
+
+A deal on your watchlist has changed:
+${changes.map(change => `- ${change}`).join('\n')}
+
+${dealLink}
+
+You're receiving this because you turned on email alerts for this deal. You can turn them off from your watchlist.
+
+Best regards,
+The Sintracap Team
+
+---
+© ${new Date().getFullYear()} Sintracap. All rights reserved.
+    `.trim();
+    }
+
 }
 
 module.exports = {
@@ -1,5 +1,7 @@
 const InvestorProfile = require('../../models/sintracapInvestor');
 const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const { ValidationError } = require('../middleware/errorHandler');
 
 class InvestorService {
     static async validateInvestorIds(investorIds) {
@@ -102,6 +104,34 @@ class InvestorService {
             .limit(criteria.limit || 50)
             .lean();
     }
+
+    /**
+     * Set the category an investor belongs to (HNI, Family Office, ...)
+     * @param {String} investorId - Investor ID
+     * @param {String|null} investorType - One of constants.INVESTOR_TYPES, or null to clear it
+     * @returns {Object} - {_id, fullName, email, investorType}
+     */
+    static async setInvestorType(investorId, investorType) {
+        if (!mongoose.Types.ObjectId.isValid(investorId)) {
+            throw new ValidationError('Invalid investor ID');
+        }
+
+        if (investorType !== null && !constants.INVESTOR_TYPES.includes(investorType)) {
+            throw new ValidationError(`investorType must be one of: ${constants.INVESTOR_TYPES.join(', ')}`);
+        }
+
+        const investor = await InvestorProfile.findOneAndUpdate(
+            { _id: investorId, deletedAt: null },
+            { $set: { investorType, updatedAt: new Date() } },
+            { new: true }
+        ).select('_id fullName email investorType');
+
+        if (!investor) {
+            throw new ValidationError('Investor not found');
+        }
+
+        return investor;
+    }
 }
 
 module.exports = InvestorService;
\ No newline at end of file
@@ -0,0 +1,228 @@
+// shared/services/accountDataService.js
+const mongoose = require('mongoose');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const CompanyProfile = require('../../models/sintracapFounder');
+const FounderOnboardingProgress = require('../../models/founderOnboardingProgress');
+const FounderInvestorMatch = require('../../models/founderInvestorMatch');
+const Notification = require('../../models/notification');
+const DealCommitment = require('../../models/dealCommitment');
+const DealWatch = require('../../models/dealWatch');
+const UploadService = require('./uploadService');
+const SessionService = require('./sessionService');
+const CommitmentService = require('./commitmentService');
+const WatchlistService = require('./watchlistService');
+const AuditService = require('./auditService');
+const TokenHelper = require('../hellpers/TokenHelper');
+const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
+
+// Secrets and internal state that never leave the server, even in an export
+const SECRET_PROFILE_FIELDS = [
+  'password',
+  'emailVerificationToken',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'pendingEmailChange',
+  'twoFactor',
+  'failedLoginAttempts',
+  'lockoutCount',
+  'lockUntil',
+  '__v'
+];
+
+// Identifying fields cleared on deletion, per role
+const PII_FIELDS = {
+  founder: ['phone', 'address', 'linkedIn', 'website', 'logoURL', 'description', 'providerId'],
+  investor: ['phone', 'linkedIn', 'company', 'designation', 'bio', 'location', 'photoURL']
+};
+
+/**
+ * Helper to get the profile model for a role
+ */
+const getModelForRole = (role) => {
+  if (role === 'investor') return InvestorProfile;
+  if (role === 'founder') return CompanyProfile;
+  throw new ValidationError('Invalid role specified');
+};
+
+/**
+ * Helper to extract blob name from a storage URL ("/<container>/<blob path>")
+ */
+const extractBlobNameFromUrl = (url) => {
+  try {
+    const pathParts = new URL(url).pathname.split('/');
+    pathParts.shift(); // Remove empty string
+    pathParts.shift(); // Remove container name
+    return pathParts.join('/') || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class AccountDataService {
+  /**
+   * Build a JSON bundle of everything stored about a founder or investor
+   */
+  static async exportUserData(userId, role, req = null) {
+    const user = await AccountDataService.getUser(userId, role);
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    try {
+      const profile = user.toObject();
+      SECRET_PROFILE_FIELDS.forEach(field => delete profile[field]);
+      if (profile.invitation) {
+        delete profile.invitation.tokenHash;
+      }
+
+      const { documents = [], pitchDeckDocuments, contactHistory } = profile;
+      delete profile.documents;
+      delete profile.pitchDeckDocuments;
+      delete profile.contactHistory;
+
+      const matchFilter = role === 'founder' ? { founderId: userObjectId } : { investorId: userObjectId };
+
+      const [onboarding, matches, notifications, commitments, watchlist] = await Promise.all([
+        role === 'founder' ? FounderOnboardingProgress.find({ founderId: String(userId) }).lean() : [],
+        FounderInvestorMatch.find(matchFilter).lean(),
+        Notification.find({ recipientId: userObjectId }).sort({ createdAt: -1 }).lean(),
+        role === 'investor' ? DealCommitment.find({ investorId: userObjectId }).lean() : [],
+        role === 'investor' ? DealWatch.find({ investorId: userObjectId }).lean() : []
+      ]);
+
+      const bundle = {
+        exportedAt: new Date(),
+        role,
+        profile,
+        documents,
+        matches,
+        notifications
+      };
+
+      if (role === 'founder') {
+        bundle.pitchDeckDocuments = pitchDeckDocuments || [];
+        bundle.onboarding = onboarding;
+      } else {
+        bundle.contactHistory = contactHistory || [];
+        bundle.commitments = commitments;
+        bundle.watchlist = watchlist;
+      }
+
+      await AuditService.record({
+        action: 'account.exported',
+        actor: { _id: user._id, role },
+        subject: { _id: user._id, role }
+      }, req);
+
+      return bundle;
+    } catch (error) {
+      if (error instanceof DatabaseError) {
+        throw error;
+      }
+      throw new DatabaseError('Failed to export account data');
+    }
+  }
+
+  /**
+   * Delete an account at the user's request.
+   * Uploaded files are removed from storage, personal data is anonymised in place
+   * (so other users' matches and funding records keep a valid reference), every
+   * session is revoked and an audit record without PII is kept.
+   */
+  static async deleteAccount(userId, role, { confirmEmail, reason } = {}, req = null) {
+    const user = await AccountDataService.getUser(userId, role);
+
+    if (!confirmEmail || confirmEmail.toLowerCase().trim() !== user.email) {
+      throw new ValidationError('Please confirm your email address to delete your account');
+    }
+
+    // Remove uploaded files first; a failed delete is recorded but doesn't block the request
+    const fileUrls = [
+      ...(user.documents || []).map(doc => doc.url),
+      ...(role === 'founder' ? (user.pitchDeckDocuments || []).map(doc => doc.url) : []),
+      role === 'founder' ? user.logoURL : user.photoURL
+    ].filter(Boolean);
+
+    const uploadService = new UploadService();
+    const blobResults = { deleted: 0, failed: 0 };
+    for (const url of fileUrls) {
+      const blobName = extractBlobNameFromUrl(url);
+      const deleted = blobName ? await uploadService.deleteFile(blobName) : false;
+      blobResults[deleted ? 'deleted' : 'failed']++;
+    }
+
+    const originalEmailHash = TokenHelper.hash(user.email);
+
+    try {
+      PII_FIELDS[role].forEach(field => {
+        user[field] = null;
+      });
+
+      if (role === 'founder') {
+        user.companyName = 'Deleted account';
+        user.pitchDeckDocuments = [];
+      } else {
+        user.fullName = 'Deleted account';
+        user.previousInvestments = [];
+        user.notableExits = [];
+        user.contactHistory = [];
+      }
+
+      user.email = `deleted-${user._id}@deleted.sintracap.invalid`;
+      user.documents = [];
+      user.requestedDocuments = [];
+      user.linkedIdentities = [];
+      user.password = null;
+      user.emailVerificationToken = null;
+      user.passwordResetToken = null;
+      user.pendingEmailChange = { email: null, codeHash: null, expiresAt: null, attempts: 0, requestedAt: null };
+      user.twoFactor = { enabled: false, secret: null, pendingSecret: null, backupCodes: [], enabledAt: null, lastUsedStep: null };
+      user.deletedAt = new Date();
+      await user.save();
+
+      if (role === 'founder') {
+        await FounderOnboardingProgress.deleteMany({ founderId: String(user._id) });
+      } else {
+        // Open soft commitments no longer count towards a deal; allocations stay on the ledger
+        const openCommitments = await DealCommitment.find({ investorId: user._id, status: { $in: ['indicated', 'confirmed'] } });
+        for (const commitment of openCommitments) {
+          await CommitmentService.applyWithdrawal(commitment, { _id: user._id, role }, 'Account deleted');
+        }
+        await WatchlistService.deleteAllForInvestor(user._id);
+      }
+      await Notification.deleteMany({ recipientId: user._id });
+      await SessionService.revokeAllForUser(user._id, 'account-deleted');
+    } catch (error) {
+      throw new DatabaseError('Failed to delete account');
+    }
+
+    await AuditService.record({
+      action: 'account.deleted',
+      actor: { _id: user._id, role },
+      subject: { _id: user._id, role },
+      metadata: {
+        emailHash: originalEmailHash,
+        reason: reason || null,
+        filesDeleted: blobResults.deleted,
+        filesFailed: blobResults.failed
+      }
+    }, req);
+
+    return { deletedAt: user.deletedAt, filesDeleted: blobResults.deleted, filesFailed: blobResults.failed };
+  }
+
+  /**
+   * Get a live (not deleted) profile by ID and role
+   */
+  static async getUser(userId, role) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const user = await getModelForRole(role).findById(userId);
+    if (!user || user.deletedAt) {
+      throw new ValidationError('User not found');
+    }
+    return user;
+  }
+}
+
+module.exports = AccountDataService;
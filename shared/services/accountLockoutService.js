@@ -0,0 +1,61 @@
+// shared/services/accountLockoutService.js
+const constants = require('../config/constants');
+const { RateLimitError } = require('../middleware/errorHandler');
+
+class AccountLockoutService {
+  /**
+   * Throw when the account is still inside a lockout period
+   */
+  static assertNotLocked(account) {
+    if (account.lockUntil && account.lockUntil > new Date()) {
+      const retryAfterSeconds = Math.ceil((account.lockUntil.getTime() - Date.now()) / 1000);
+      throw new RateLimitError(constants.ERRORS.ACCOUNT_LOCKED, retryAfterSeconds);
+    }
+  }
+
+  /**
+   * Record a failed login. Once the attempt limit is reached the account is
+   * locked, and each consecutive lockout lasts twice as long as the previous one.
+   * The counter is incremented in the database so parallel attempts all count.
+   */
+  static async recordFailure(account) {
+    const { MAX_FAILED_ATTEMPTS, BASE_LOCK_MINUTES, MAX_LOCK_MINUTES } = constants.ACCOUNT_LOCKOUT;
+    const Model = account.constructor;
+
+    const counted = await Model.findOneAndUpdate(
+      { _id: account._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true, projection: { failedLoginAttempts: 1, lockoutCount: 1 } }
+    );
+
+    if (!counted || counted.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+      return;
+    }
+
+    // Conditional on the count we saw, so only one of several parallel attempts sets the lock
+    const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** (counted.lockoutCount || 0), MAX_LOCK_MINUTES);
+    await Model.updateOne(
+      { _id: account._id, failedLoginAttempts: counted.failedLoginAttempts },
+      {
+        $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+        $inc: { lockoutCount: 1 }
+      }
+    );
+  }
+
+  /**
+   * Clear failure counters after a successful login
+   */
+  static async recordSuccess(account) {
+    if (!account.failedLoginAttempts && !account.lockoutCount && !account.lockUntil) {
+      return;
+    }
+
+    account.failedLoginAttempts = 0;
+    account.lockoutCount = 0;
+    account.lockUntil = null;
+    await account.save();
+  }
+}
+
+module.exports = AccountLockoutService;
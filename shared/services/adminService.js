@@ -0,0 +1,191 @@
+// shared/services/adminService.js
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const Admin = require('../../models/admin');
+const AccountLockoutService = require('./accountLockoutService');
+const { ValidationError, DatabaseError, AuthError } = require('../middleware/errorHandler');
+
+const ADMIN_ROLE_VALUES = Object.values(constants.ADMIN_ROLES);
+
+/**
+ * Helper function to hash password
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Helper to validate a new admin password
+ */
+const validatePassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    throw new ValidationError('Password is required');
+  }
+  if (password.length < constants.VALIDATION.MIN_PASSWORD_LENGTH || password.length > constants.VALIDATION.MAX_PASSWORD_LENGTH) {
+    throw new ValidationError(`Password must be between ${constants.VALIDATION.MIN_PASSWORD_LENGTH} and ${constants.VALIDATION.MAX_PASSWORD_LENGTH} characters`);
+  }
+};
+
+class AdminService {
+  /**
+   * Verify admin credentials and return the admin document
+   */
+  static async verifyCredentials(email, password) {
+    await AdminService.bootstrapSuperAdmin(email, password);
+
+    const admin = await Admin.findOne({ email });
+    if (!admin || !admin.isActive) {
+      throw new AuthError('Invalid admin credentials');
+    }
+
+    AccountLockoutService.assertNotLocked(admin);
+
+    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    if (!isPasswordValid) {
+      await AccountLockoutService.recordFailure(admin);
+      throw new AuthError('Invalid admin credentials');
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    return admin;
+  }
+
+  /**
+   * Create the first super-admin from the configured ADMIN_EMAILS / ADMIN_PASSWORD.
+   * Does nothing once any admin account exists.
+   */
+  static async bootstrapSuperAdmin(email, password) {
+    try {
+      const adminCount = await Admin.estimatedDocumentCount();
+      if (adminCount > 0) {
+        return null;
+      }
+
+      const adminEmails = constants.ADMIN_EMAILS || [];
+      if (!adminEmails.includes(email) || password !== constants.ADMIN_PASSWORD) {
+        return null;
+      }
+
+      const admin = await Admin.create({
+        name: 'Sintracap Admin',
+        email,
+        password: await hashPassword(password),
+        adminRole: constants.ADMIN_ROLES.SUPER_ADMIN
+      });
+      return admin;
+    } catch (error) {
+      throw new DatabaseError('Failed to bootstrap admin account');
+    }
+  }
+
+  /**
+   * Get an active admin by ID
+   */
+  static async getActiveAdminById(adminId) {
+    if (!mongoose.Types.ObjectId.isValid(adminId)) {
+      return null;
+    }
+    return Admin.findOne({ _id: adminId, isActive: true }).select('-password');
+  }
+
+  /**
+   * List admin accounts
+   */
+  static async listAdmins() {
+    try {
+      const admins = await Admin.find().sort({ createdAt: -1 });
+      return admins.map(admin => admin.toSafeObject());
+    } catch (error) {
+      throw new DatabaseError('Failed to fetch admins');
+    }
+  }
+
+  /**
+   * Create a new admin account
+   */
+  static async createAdmin(adminData, createdBy) {
+    const { name, email, password, adminRole = constants.ADMIN_ROLES.ANALYST } = adminData;
+
+    if (!name || !email) {
+      throw new ValidationError('Name and email are required');
+    }
+    validatePassword(password);
+
+    if (!ADMIN_ROLE_VALUES.includes(adminRole)) {
+      throw new ValidationError(`Invalid admin role. Valid roles: ${ADMIN_ROLE_VALUES.join(', ')}`);
+    }
+
+    const existingAdmin = await Admin.findOne({ email });
+    if (existingAdmin) {
+      throw new ValidationError(constants.ERRORS.EMAIL_ALREADY_EXISTS);
+    }
+
+    try {
+      const admin = await Admin.create({
+        name,
+        email,
+        password: await hashPassword(password),
+        adminRole,
+        createdBy
+      });
+      return admin.toSafeObject();
+    } catch (error) {
+      throw new DatabaseError('Failed to create admin');
+    }
+  }
+
+  /**
+   * Update an admin's name, sub-role or active flag
+   */
+  static async updateAdmin(adminId, updateData, updatedBy) {
+    if (!mongoose.Types.ObjectId.isValid(adminId)) {
+      throw new ValidationError('Invalid admin ID format');
+    }
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      throw new ValidationError('Admin not found');
+    }
+
+    const { name, adminRole, isActive, password } = updateData;
+
+    if (adminRole !== undefined && !ADMIN_ROLE_VALUES.includes(adminRole)) {
+      throw new ValidationError(`Invalid admin role. Valid roles: ${ADMIN_ROLE_VALUES.join(', ')}`);
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      throw new ValidationError('isActive must be a boolean value');
+    }
+
+    // Keep at least one active super-admin around
+    const losesSuperAdmin = admin.adminRole === constants.ADMIN_ROLES.SUPER_ADMIN &&
+      ((adminRole !== undefined && adminRole !== constants.ADMIN_ROLES.SUPER_ADMIN) || isActive === false);
+    if (losesSuperAdmin) {
+      const superAdminCount = await Admin.countDocuments({ adminRole: constants.ADMIN_ROLES.SUPER_ADMIN, isActive: true });
+      if (superAdminCount <= 1) {
+        throw new ValidationError('Cannot demote or deactivate the last active super-admin');
+      }
+    }
+
+    if (name !== undefined) admin.name = name;
+    if (adminRole !== undefined) admin.adminRole = adminRole;
+    if (isActive !== undefined) admin.isActive = isActive;
+    if (password !== undefined) {
+      validatePassword(password);
+      admin.password = await hashPassword(password);
+    }
+
+    try {
+      await admin.save();
+      return admin.toSafeObject();
+    } catch (error) {
+      throw new DatabaseError('Failed to update admin');
+    }
+  }
+}
+
+module.exports = AdminService;
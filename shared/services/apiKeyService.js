@@ -0,0 +1,235 @@
+// shared/services/apiKeyService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const ApiKey = require('../../models/apiKey');
+const ApiKeyUsage = require('../../models/apiKeyUsage');
+const TokenHelper = require('../hellpers/TokenHelper');
+const RequestHelper = require('../hellpers/RequestHelper');
+const AuditService = require('./auditService');
+const { ValidationError, DatabaseError, AuthError, ForbiddenError } = require('../middleware/errorHandler');
+
+const VALID_SCOPES = Object.values(constants.API_KEYS.SCOPES);
+
+/**
+ * Helper to validate an optional per-key rate limit
+ */
+const parseRateLimit = (rateLimit = {}) => {
+  const windowMs = rateLimit.windowMs === undefined ? constants.API_KEYS.DEFAULT_RATE_LIMIT.WINDOW_MS : parseInt(rateLimit.windowMs);
+  const max = rateLimit.max === undefined ? constants.API_KEYS.DEFAULT_RATE_LIMIT.MAX_REQUESTS : parseInt(rateLimit.max);
+
+  if (!Number.isInteger(windowMs) || windowMs < 1000) {
+    throw new ValidationError('rateLimit.windowMs must be at least 1000');
+  }
+
+  if (!Number.isInteger(max) || max < 1) {
+    throw new ValidationError('rateLimit.max must be a positive integer');
+  }
+
+  return { windowMs, max };
+};
+
+class ApiKeyService {
+  static get VALID_SCOPES() {
+    return VALID_SCOPES;
+  }
+
+  /**
+   * Create a partner API key. The plain key is returned only here;
+   * afterwards only its hash and prefix are stored.
+   */
+  static async createKey(admin, { name, partnerName, scopes, rateLimit, expiresAt }, req = null) {
+    if (!name || !partnerName) {
+      throw new ValidationError('name and partnerName are required');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError('At least one scope is required');
+    }
+
+    const invalidScopes = scopes.filter(scope => !VALID_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new ValidationError(`Invalid scopes: ${invalidScopes.join(', ')}. Allowed: ${VALID_SCOPES.join(', ')}`);
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        throw new ValidationError('expiresAt must be a future date');
+      }
+    }
+
+    const keyRateLimit = parseRateLimit(rateLimit);
+    const plainKey = `${constants.API_KEYS.PREFIX}${TokenHelper.generateToken(32)}`;
+
+    let apiKey;
+    try {
+      apiKey = await ApiKey.create({
+        name: name.trim(),
+        partnerName: partnerName.trim(),
+        keyPrefix: plainKey.substring(0, constants.API_KEYS.PREFIX.length + 6),
+        keyHash: TokenHelper.hash(plainKey),
+        scopes: [...new Set(scopes)],
+        rateLimit: keyRateLimit,
+        expiresAt: expiryDate,
+        createdBy: admin._id
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to create API key');
+    }
+
+    await AuditService.record({
+      action: 'api-key.created',
+      actor: { _id: admin._id, role: 'admin' },
+      metadata: { apiKeyId: apiKey._id, partnerName: apiKey.partnerName, scopes: apiKey.scopes }
+    }, req);
+
+    return { apiKey: plainKey, ...apiKey.toSafeObject() };
+  }
+
+  /**
+   * List API keys, newest first
+   */
+  static async listKeys({ includeRevoked = false } = {}) {
+    const query = includeRevoked ? {} : { revokedAt: null };
+
+    try {
+      const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+      return apiKeys.map(apiKey => apiKey.toSafeObject());
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve API keys');
+    }
+  }
+
+  /**
+   * Revoke an API key; requests using it are rejected immediately
+   */
+  static async revokeKey(keyId, admin, req = null) {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      throw new ValidationError('Invalid API key ID');
+    }
+
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      throw new ValidationError('API key not found');
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = admin._id;
+
+      try {
+        await apiKey.save();
+      } catch (error) {
+        throw new DatabaseError('Failed to revoke API key');
+      }
+
+      await AuditService.record({
+        action: 'api-key.revoked',
+        actor: { _id: admin._id, role: 'admin' },
+        metadata: { apiKeyId: apiKey._id, partnerName: apiKey.partnerName }
+      }, req);
+    }
+
+    return apiKey.toSafeObject();
+  }
+
+  /**
+   * Resolve the key sent by a partner and check it grants the route's scope
+   */
+  static async authenticate(plainKey, scope) {
+    const apiKey = await ApiKey.findOne({ keyHash: TokenHelper.hash(plainKey) });
+    if (!apiKey || !apiKey.isActive()) {
+      throw new AuthError(constants.ERRORS.INVALID_API_KEY);
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      throw new ForbiddenError(`This API key is missing the ${scope} scope`);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Options for rateLimiter.consume that count requests per key
+   */
+  static rateLimitFor(apiKey) {
+    return {
+      name: 'api-key',
+      windowMs: apiKey.rateLimit.windowMs,
+      max: apiKey.rateLimit.max,
+      keyGenerator: () => apiKey._id.toString()
+    };
+  }
+
+  /**
+   * Log a successful call for billing.
+   * Failures are logged but never fail the partner's request.
+   */
+  static async recordUsage(apiKey, scope, context, req) {
+    try {
+      await Promise.all([
+        ApiKeyUsage.create({
+          apiKeyId: apiKey._id,
+          partnerName: apiKey.partnerName,
+          scope,
+          functionName: (context.executionContext && context.executionContext.functionName) || null,
+          method: req.method,
+          url: req.originalUrl || req.url,
+          ipAddress: RequestHelper.getClientIp(req)
+        }),
+        ApiKey.updateOne({ _id: apiKey._id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } })
+      ]);
+    } catch (error) {
+      context.log.error('Failed to record API key usage:', error.message);
+    }
+  }
+
+  /**
+   * Summarise a key's calls per day and per scope over a date range, for billing
+   */
+  static async getUsageSummary(keyId, { from, to } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      throw new ValidationError('Invalid API key ID');
+    }
+
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      throw new ValidationError('API key not found');
+    }
+
+    const endDate = to ? new Date(to) : new Date();
+    const startDate = from ? new Date(from) : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+      throw new ValidationError('Invalid date range');
+    }
+
+    try {
+      const daily = await ApiKeyUsage.aggregate([
+        { $match: { apiKeyId: apiKey._id, createdAt: { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: {
+              day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+              scope: '$scope'
+            },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.day': 1, '_id.scope': 1 } }
+      ]);
+
+      return {
+        apiKey: apiKey.toSafeObject(),
+        from: startDate,
+        to: endDate,
+        totalCalls: daily.reduce((sum, entry) => sum + entry.count, 0),
+        daily: daily.map(entry => ({ day: entry._id.day, scope: entry._id.scope, count: entry.count }))
+      };
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve API key usage');
+    }
+  }
+}
+
+module.exports = ApiKeyService;
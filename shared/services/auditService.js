@@ -0,0 +1,31 @@
+// shared/services/auditService.js
+const AuditLog = require('../../models/auditLog');
+const RequestHelper = require('../hellpers/RequestHelper');
+const { DatabaseError } = require('../middleware/errorHandler');
+
+class AuditService {
+  /**
+   * Write an audit record
+   * @param {Object} entry - { action, actor: { _id, role }, subject: { _id, role }, metadata }
+   * @param {Object} req - Optional request, used for IP address and user agent
+   */
+  static async record({ action, actor = null, subject = null, metadata = {} }, req = null) {
+    try {
+      return await AuditLog.create({
+        action,
+        actorId: actor ? actor._id : null,
+        actorRole: actor ? actor.role : 'system',
+        subjectId: subject ? subject._id : null,
+        subjectRole: subject ? subject.role : null,
+        metadata,
+        ipAddress: req ? RequestHelper.getClientIp(req) : null,
+        userAgent: req ? RequestHelper.getUserAgent(req) : null
+      });
+    } catch (error) {
+      console.error('Failed to write audit record:', action, error.message);
+      throw new DatabaseError('Failed to write audit record');
+    }
+  }
+}
+
+module.exports = AuditService;
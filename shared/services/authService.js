@@ -1,16 +1,36 @@
 // shared/services/authService.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const constants = require('../config/constants');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const axios = require('axios');
-const { ValidationError, DatabaseError, AuthError } = require('../middleware/errorHandler');
+const { ValidationError, DatabaseError, AuthError, RateLimitError } = require('../middleware/errorHandler');
 const OnboardingService = require('./onboardingService'); 
 // Import the models
 const InvestorProfile = require('../../models/sintracapInvestor');
 const CompanyProfile = require('../../models/sintracapFounder');
 const { EmailApiService } = require('./EmailApiService');
+const SessionService = require('./sessionService');
+const AdminService = require('./adminService');
+const TwoFactorService = require('./twoFactorService');
+const AccountLockoutService = require('./accountLockoutService');
+const IdentityService = require('./identityService');
+const TokenHelper = require('../hellpers/TokenHelper');
+
+// Credentials and one-time secrets, never returned by profile listings.
+// TOTP secrets and backup codes are already select: false on the models
+const PRIVATE_PROFILE_FIELDS = [
+  '-password',
+  '-passwordResetToken',
+  '-passwordResetExpires',
+  '-failedLoginAttempts',
+  '-lockoutCount',
+  '-lockUntil',
+  '-emailVerificationToken',
+  '-invitation.tokenHash',
+  '-pendingEmailChange'
+].join(' ');
 
 /**
  * Helper function to hash password
@@ -50,59 +70,151 @@ const findUserByEmail = async (email) => {
   }
 };
 
+/**
+ * Helper to normalise a verification code as typed by the user.
+ * Magic-link tokens are case-sensitive and are compared as-is.
+ */
+const normalizeVerificationToken = (token, method) => {
+  const trimmed = String(token || '').trim();
+  return method === 'code' ? trimmed.toUpperCase() : trimmed;
+};
+
+// Unambiguous characters only (no 0/O, 1/I)
+const VERIFICATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 class AuthService {
   /**
    * Generate verification token
    */
   static generateVerificationToken() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+    let code = '';
+    for (let i = 0; i < constants.EMAIL_VERIFICATION.CODE_LENGTH; i++) {
+      code += VERIFICATION_CODE_ALPHABET[crypto.randomInt(VERIFICATION_CODE_ALPHABET.length)];
+    }
+    return code;
   }
 
   /**
-   * Send email verification
+   * Send email verification.
+   * Sends either a short code or a magic link; only a hash is stored, and a new
+   * email can't be requested until the resend cooldown has passed.
    */
-  static async emailVerification(email) {
+  static async emailVerification(email, { mode = constants.EMAIL_VERIFICATION.MODE } = {}) {
     if (!email) {
       throw new ValidationError('Email is required');
     }
 
-    const { user, role } = await findUserByEmail(email);
+    if (!['code', 'link'].includes(mode)) {
+      throw new ValidationError('Verification mode must be either code or link');
+    }
+
+    const { user } = await findUserByEmail(email);
     if (!user) {
       throw new ValidationError('User not found');
     }
 
+    if (user.emailVerified) {
+      throw new ValidationError(constants.ERRORS.EMAIL_ALREADY_VERIFIED);
+    }
+
+    const cooldownMs = constants.EMAIL_VERIFICATION.RESEND_COOLDOWN_SECONDS * 1000;
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs) {
+      const retryAfterSeconds = Math.ceil((user.emailVerificationSentAt.getTime() + cooldownMs - Date.now()) / 1000);
+      throw new RateLimitError(`Please wait ${retryAfterSeconds} seconds before requesting another verification email`, retryAfterSeconds);
+    }
+
     // Generate verification token
-    const verificationToken = AuthService.generateVerificationToken();
+    const verificationToken = mode === 'link' ? TokenHelper.generateToken() : AuthService.generateVerificationToken();
 
-    // Update user with verification token
-    user.emailVerificationToken = verificationToken;
-    user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    // Update user with the hashed token; a new token resets the attempt counter
+    user.emailVerificationToken = TokenHelper.hash(verificationToken);
+    user.emailVerificationExpires = Date.now() + constants.EMAIL_VERIFICATION.EXPIRE_MINUTES * 60 * 1000;
+    user.emailVerificationMethod = mode;
+    user.emailVerificationAttempts = 0;
+    user.emailVerificationSentAt = new Date();
 
     try {
       await user.save();
-      console.log("...", email, verificationToken);
-      await AuthService.sendVerificationEmail(email, verificationToken);
     } catch (error) {
-      throw new DatabaseError('Failed to send verification email');
+      throw new DatabaseError('Failed to create verification token');
+    }
+
+    await AuthService.sendVerificationEmail(email, verificationToken, mode);
+  }
+
+  /**
+   * Check an emailed verification code or magic-link token.
+   * The pending token is invalidated after too many wrong attempts.
+   */
+  static async verifyEmail(email, token) {
+    if (!email || !token) {
+      throw new ValidationError('Email and token are required');
+    }
+
+    const { user } = await findUserByEmail(email);
+    if (!user || !user.emailVerificationToken) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    // Check if token is expired
+    if (user.emailVerificationExpires && user.emailVerificationExpires < Date.now()) {
+      throw new ValidationError('Verification token has expired');
+    }
+
+    const normalizedToken = normalizeVerificationToken(token, user.emailVerificationMethod);
+    if (!TokenHelper.matchesHash(normalizedToken, user.emailVerificationToken)) {
+      user.emailVerificationAttempts = (user.emailVerificationAttempts || 0) + 1;
+      const remainingAttempts = constants.EMAIL_VERIFICATION.MAX_ATTEMPTS - user.emailVerificationAttempts;
+
+      if (remainingAttempts <= 0) {
+        user.emailVerificationToken = null;
+        user.emailVerificationExpires = null;
+      }
+      await user.save();
+
+      throw new ValidationError(remainingAttempts > 0
+        ? `Invalid verification token. ${remainingAttempts} attempt${remainingAttempts !== 1 ? 's' : ''} remaining`
+        : 'Too many invalid attempts. Please request a new verification email');
     }
+
+    // Mark email as verified
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    user.emailVerificationAttempts = 0;
+
+    try {
+      await user.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to verify email');
+    }
+
+    return { email: user.email, verified: true };
   }
 
   /**
    * Send verification email
    */
-  static async sendVerificationEmail(email, token) {
+  static async sendVerificationEmail(email, token, mode = 'code') {
     if (!email || !token) {
       throw new ValidationError('Email and token are required');
     }
 
     try {
+      const expiresInMinutes = constants.EMAIL_VERIFICATION.EXPIRE_MINUTES;
+      const verificationLink = `${constants.FRONTEND_URL}/verify-email?email=${encodeURIComponent(email)}&token=${encodeURIComponent(token)}`;
+
       // Prepare email data for EmailApiService
       const emailData = {
         to: email,
         subject: "Verify Your Email Address",
-        htmlTemplate: EmailApiService.createVerificationEmailTemplate(token),
-        textTemplate: EmailApiService.createVerificationEmailTextTemplate(token),
-        from: "Sintracap <noreply@actofit.com>", // You can update this to your preferred sender
+        htmlTemplate: mode === 'link'
+          ? EmailApiService.createVerificationLinkEmailTemplate(verificationLink, expiresInMinutes)
+          : EmailApiService.createVerificationEmailTemplate(token),
+        textTemplate: mode === 'link'
+          ? EmailApiService.createVerificationLinkEmailTextTemplate(verificationLink, expiresInMinutes)
+          : EmailApiService.createVerificationEmailTextTemplate(token),
+        from: constants.EMAIL_FROM,
       };
 
       // Send email using EmailApiService
@@ -118,21 +230,40 @@ class AuthService {
   }
 
   /**
-   * Generate JWT tokens for user authentication
+   * Generate JWT tokens for user authentication.
+   * Starts a new session and returns a short-lived access token plus a refresh token.
+   * `clientInfo` (RequestHelper.getClientInfo) is recorded on the session for the user's device list.
    */
-  static async generateTokens(user, role) {
+  static async generateTokens(user, role, clientInfo = null) {
     try {
-      const jwtAccessToken = jwt.sign(
-        { userId: user._id, email: user.email, role },
-        constants.JWT_SECRET,
-        { expiresIn: constants.JWT_EXPIRE }
-      );
-      return { jwtAccessToken };
+      const { jwtAccessToken, refreshToken } = await SessionService.createSession(user, role, clientInfo);
+      return { jwtAccessToken, refreshToken };
     } catch (error) {
       throw new AuthError('Failed to generate authentication token');
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   */
+  static async refreshTokens(refreshToken, clientInfo = null) {
+    const { jwtAccessToken, refreshToken: newRefreshToken } = await SessionService.refreshSession(refreshToken, clientInfo);
+    return { jwtAccessToken, refreshToken: newRefreshToken };
+  }
+
+  /**
+   * Logout - revoke the session behind a refresh token or access token
+   */
+  static async logout({ refreshToken, sessionId }) {
+    if (refreshToken) {
+      await SessionService.revokeByRefreshToken(refreshToken, 'logout');
+    } else if (sessionId) {
+      await SessionService.revokeSession(sessionId, 'logout');
+    } else {
+      throw new ValidationError('Refresh token is required');
+    }
+  }
+
   /**
    * Check if email is available (not already registered)
    */
@@ -185,17 +316,18 @@ class AuthService {
 
         // Get paginated users
         users = await InvestorProfile.find()
+          .select(PRIVATE_PROFILE_FIELDS)
           .sort(sort)
           .skip(skip)
           .limit(limit)
           .lean();
-        console.log("role ,", role, " users ", users);
       } else if (role === 'founder') {
         // Get total count for pagination
         totalCount = await CompanyProfile.countDocuments();
 
         // Get paginated users
         users = await CompanyProfile.find()
+          .select(PRIVATE_PROFILE_FIELDS)
           .sort(sort)
           .skip(skip)
           .limit(limit)
@@ -483,7 +615,7 @@ class AuthService {
   /**
    * Finalize signup
    */
-  static async finalizeSignup(email) {
+  static async finalizeSignup(email, clientInfo = null) {
     const { user, role } = await findUserByEmail(email);
 
     if (!user || user.signupStatus !== 'role-selected') {
@@ -501,14 +633,15 @@ class AuthService {
 
       await OnboardingService.initializeFounderProgress(user._id, user.category, user.subcategory);
       // Generate JWT token
-      const { jwtAccessToken } = await AuthService.generateTokens(user, role);
+      const { jwtAccessToken, refreshToken } = await AuthService.generateTokens(user, role, clientInfo);
 
       return {
         status: 'success',
         userId: user._id,
         username: role === 'investor' ? user.fullName : user.companyName,
         role: role,
-        jwtAccessToken: jwtAccessToken
+        jwtAccessToken: jwtAccessToken,
+        refreshToken: refreshToken
       };
     } catch (error) {
       console.error('Error finalizing signup:', error);
@@ -519,7 +652,7 @@ class AuthService {
   /**
    * User login
    */
-  static async login(email, password) {
+  static async login(email, password, clientInfo = null) {
     if (!email || !password) {
       throw new ValidationError('Email and password are required');
     }
@@ -530,25 +663,32 @@ class AuthService {
       throw new AuthError('Invalid email or password');
     }
 
+    AccountLockoutService.assertNotLocked(user);
+
+    // Accounts created through a provider may never have set a password
+    if (!user.password) {
+      throw new AuthError('This account has no password. Sign in with Google or LinkedIn, or reset your password');
+    }
+
     try {
       // Verify password
       const isPasswordValid = await comparePassword(password, user.password);
       if (!isPasswordValid) {
+        await AccountLockoutService.recordFailure(user);
         throw new AuthError('Invalid email or password');
       }
 
-      // Generate token
-      const { jwtAccessToken } = await AuthService.generateTokens(user, role);
+      // Hold back the session until the second factor is verified
+      if (TwoFactorService.isEnabled(user)) {
+        return {
+          twoFactorRequired: true,
+          pendingToken: TwoFactorService.issuePendingToken(user, role),
+          role: role,
+          email: user.email
+        };
+      }
 
-      return {
-        userId: user._id,
-        jwtAccessToken: jwtAccessToken,
-        role: role,
-        name: role === 'investor' ? user.fullName : user.companyName,
-        email: user.email,
-        success: true,
-        isVerified: user.isVerifiedByAdmin,
-      };
+      return await AuthService.buildLoginResponse(user, role, clientInfo);
     } catch (error) {
       if (error instanceof AuthError) {
         throw error;
@@ -557,6 +697,137 @@ class AuthService {
     }
   }
 
+  /**
+   * Build the response of a completed user login, creating the session
+   */
+  static async buildLoginResponse(user, role, clientInfo = null) {
+    await AccountLockoutService.recordSuccess(user);
+    const { jwtAccessToken, refreshToken } = await AuthService.generateTokens(user, role, clientInfo);
+
+    return {
+      userId: user._id,
+      jwtAccessToken: jwtAccessToken,
+      refreshToken: refreshToken,
+      role: role,
+      name: role === 'investor' ? user.fullName : user.companyName,
+      email: user.email,
+      success: true,
+      isVerified: user.isVerifiedByAdmin,
+    };
+  }
+
+  /**
+   * Second login step: exchange a pending-2FA token and a code for a session
+   */
+  static async verifyTwoFactorLogin(pendingToken, { code, backupCode }, clientInfo = null) {
+    if (!pendingToken) {
+      throw new ValidationError('Pending token is required');
+    }
+
+    const decoded = TwoFactorService.verifyPendingToken(pendingToken, TwoFactorService.PENDING_STAGES.VERIFY);
+    const account = await TwoFactorService.getAccount(decoded.userId, decoded.role);
+    AccountLockoutService.assertNotLocked(account);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    let remainingBackupCodes;
+    try {
+      ({ remainingBackupCodes } = await TwoFactorService.verifyAccountCode(account, { code, backupCode }));
+    } catch (error) {
+      if (error instanceof AuthError) {
+        await AccountLockoutService.recordFailure(account);
+      }
+      throw error;
+    }
+
+    const response = decoded.role === 'admin'
+      ? await AuthService.buildAdminLoginResponse(account, clientInfo)
+      : await AuthService.buildLoginResponse(account, decoded.role, clientInfo);
+
+    if (remainingBackupCodes !== undefined) {
+      response.remainingBackupCodes = remainingBackupCodes;
+    }
+    return response;
+  }
+
+  /**
+   * Start the forgot-password flow.
+   * Always resolves the same way so the endpoint can't be used to discover accounts.
+   */
+  static async requestPasswordReset(email) {
+    if (!email) {
+      throw new ValidationError('Email is required');
+    }
+
+    const { user } = await findUserByEmail(email);
+    if (!user) {
+      return;
+    }
+
+    const resetToken = TokenHelper.generateToken(32);
+    const expiresInMinutes = constants.PASSWORD_RESET.TOKEN_EXPIRE_MINUTES;
+
+    user.passwordResetToken = TokenHelper.hash(resetToken);
+    user.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+    try {
+      await user.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to create password reset token');
+    }
+
+    const resetLink = `${constants.FRONTEND_URL}/reset-password?email=${encodeURIComponent(email)}&token=${encodeURIComponent(resetToken)}`;
+
+    try {
+      await EmailApiService.sendEmail({
+        to: email,
+        subject: 'Reset Your Sintracap Password',
+        htmlTemplate: EmailApiService.createPasswordResetEmailTemplate(resetLink, expiresInMinutes),
+        textTemplate: EmailApiService.createPasswordResetEmailTextTemplate(resetLink, expiresInMinutes),
+        from: constants.EMAIL_FROM
+      });
+    } catch (error) {
+      console.error('Failed to send password reset email:', error.message);
+      throw new DatabaseError('Failed to send password reset email');
+    }
+  }
+
+  /**
+   * Complete the forgot-password flow with the emailed token
+   */
+  static async resetPassword(email, token, newPassword) {
+    if (!email || !token || !newPassword) {
+      throw new ValidationError('Email, token and new password are required');
+    }
+
+    if (newPassword.length < constants.VALIDATION.MIN_PASSWORD_LENGTH || newPassword.length > constants.VALIDATION.MAX_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be between ${constants.VALIDATION.MIN_PASSWORD_LENGTH} and ${constants.VALIDATION.MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    const { user } = await findUserByEmail(email);
+    const isTokenValid = user &&
+      TokenHelper.matchesHash(token, user.passwordResetToken) &&
+      user.passwordResetExpires && user.passwordResetExpires > Date.now();
+
+    if (!isTokenValid) {
+      throw new ValidationError('Invalid or expired password reset token');
+    }
+
+    try {
+      user.password = await hashPassword(newPassword);
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      user.passwordChangedAt = new Date();
+      await user.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to reset password');
+    }
+
+    // Sign the user out everywhere
+    await SessionService.revokeAllForUser(user._id, 'password-reset');
+
+    return { email: user.email };
+  }
+
   /**
    * Toggle user verification status
    */
@@ -672,17 +943,35 @@ class AuthService {
   }
 
   /**
-   * Handle Google OAuth callback
+   * Handle Google OAuth callback. The account ID and email come from the verified
+   * Google ID token, never from the request body.
    */
-  static async handleGoogleCallback(googleUserData) {
-    const { uid, email, displayName, photoURL, role } = googleUserData;
+  static async handleGoogleCallback(googleUserData, clientInfo = null) {
+    const { idToken, role } = googleUserData;
 
-    if (!email) {
-      throw new ValidationError('Email is required from Google data');
+    if (!idToken) {
+      throw new ValidationError('Google ID token is required');
     }
 
+    const claims = await IdentityService.verifyGoogleIdToken(idToken);
+    const { sub: uid, email, email_verified: emailVerified } = claims;
+    const displayName = claims.name || googleUserData.displayName;
+    const photoURL = claims.picture || googleUserData.photoURL;
+
     try {
-      const { user: existingUser, role: existingRole } = await findUserByEmail(email);
+      // Match on the linked Google ID first, then fall back to email with a safe merge
+      let { user: existingUser, role: existingRole } = await IdentityService.findByProviderId('google', uid);
+      if (!existingUser) {
+        ({ user: existingUser, role: existingRole } = await findUserByEmail(email));
+        if (existingUser) {
+          await IdentityService.mergeOnSignIn(existingUser, {
+            provider: 'google',
+            providerId: uid,
+            email,
+            emailVerified
+          });
+        }
+      }
       let wasReactivated = false;
       let isNewUser = false;
       let roleToUse = role || existingRole;
@@ -691,13 +980,14 @@ class AuthService {
         if (roleToUse === 'investor') {
           const newInvestor = new InvestorProfile({
             email: email,
-            emailVerified: true,
+            emailVerified: emailVerified,
             photoURL: photoURL,
             password: await hashPassword(Math.random().toString(36).slice(-12) + Math.random().toString(36).slice(-12)),
             fullName: displayName || '',
             phone: '',
             provider: 'google',
             providerId: uid,
+            linkedIdentities: [{ provider: 'google', providerId: uid, email }],
             agreedToTerms: true,
             signupStatus: 'pre-signup',
             isActive: true
@@ -708,11 +998,12 @@ class AuthService {
           const newCompany = new CompanyProfile({
             email: email,
             logoURL: photoURL,
-            emailVerified: true,
+            emailVerified: emailVerified,
             password: await hashPassword(Math.random().toString(36).slice(-12) + Math.random().toString(36).slice(-12)),
             companyName: displayName || 'Company Name',
             phone: '',
             providerId: uid,
+            linkedIdentities: [{ provider: 'google', providerId: uid, email }],
             agreedToTerms: true,
             signupStatus: 'pre-signup',
             provider: 'google',
@@ -729,10 +1020,6 @@ class AuthService {
           wasReactivated = true;
         }
 
-        if (!existingUser.providerId) {
-          existingUser.providerId = uid;
-        }
-
         if (existingRole === 'investor' && (!existingUser.fullName || existingUser.fullName.trim() === '')) {
           existingUser.fullName = displayName || '';
         } else if (existingRole === 'founder' && (!existingUser.companyName || existingUser.companyName.trim() === '')) {
@@ -744,13 +1031,21 @@ class AuthService {
         roleToUse = existingRole;
       }
 
-      const { jwtAccessToken } = await AuthService.generateTokens(user, roleToUse);
+      let jwtAccessToken = null;
+      let refreshToken = null;
+      let pendingToken = null;
+      const twoFactorRequired = TwoFactorService.isEnabled(user);
+      if (twoFactorRequired) {
+        pendingToken = TwoFactorService.issuePendingToken(user, roleToUse);
+      } else {
+        ({ jwtAccessToken, refreshToken } = await AuthService.generateTokens(user, roleToUse, clientInfo));
+      }
 
       return {
         user: {
           userId: user._id,
           email: user.email,
-          emailVerified: true,
+          emailVerified: user.emailVerified,
           isVerifiedByAdmin: user.isVerifiedByAdmin,
           name: roleToUse === 'investor' ? user.fullName : user.companyName,
           signupStatus: user.signupStatus,
@@ -758,10 +1053,16 @@ class AuthService {
           role: roleToUse
         },
         jwtAccessToken: jwtAccessToken,
+        refreshToken: refreshToken,
+        twoFactorRequired: twoFactorRequired,
+        pendingToken: pendingToken,
         isNewUser: isNewUser,
       };
     } catch (error) {
       console.log("error", error);
+      if (error instanceof ValidationError || error instanceof AuthError) {
+        throw error;
+      }
       throw new DatabaseError('Google authentication failed');
     }
   }
@@ -775,87 +1076,63 @@ class AuthService {
     }
 
     try {
-      const adminEmails = constants.ADMIN_EMAILS || [];
-      if (!adminEmails.includes(email)) {
-        throw new AuthError('Invalid admin credentials');
-      }
+      const admin = await AdminService.verifyCredentials(email, password);
 
-      if (password !== constants.ADMIN_PASSWORD) {
-        throw new AuthError('Invalid admin credentials');
+      // 2FA is mandatory for admins; accounts without it must enroll before getting a session
+      if (!TwoFactorService.isEnabled(admin)) {
+        return {
+          twoFactorSetupRequired: true,
+          pendingToken: TwoFactorService.issuePendingToken(admin, 'admin', TwoFactorService.PENDING_STAGES.SETUP)
+        };
       }
 
-      const adminUser = {
-        _id: new mongoose.Types.ObjectId().toString(),
-        email: email,
-        name: 'Administrator',
-        role: 'admin'
-      };
-
-      const jwtAccessToken = jwt.sign(
-        { userId: adminUser._id, email: adminUser.email, role: 'admin' },
-        constants.JWT_SECRET,
-        { expiresIn: constants.JWT_EXPIRE }
-      );
-
       return {
-        user: {
-          _id: adminUser._id,
-          email: adminUser.email,
-          name: adminUser.name || 'Sintracap Admin',
-          isAdmin: true,
-          profile: {
-            firstName: 'Admin',
-            lastName: '',
-            photoURL: ''
-          }
-        },
-        token: jwtAccessToken
+        twoFactorRequired: true,
+        pendingToken: TwoFactorService.issuePendingToken(admin, 'admin')
       };
     } catch (error) {
-      if (error instanceof ValidationError || error instanceof AuthError) {
+      if (error instanceof ValidationError || error instanceof AuthError || error instanceof RateLimitError) {
         throw error;
       }
       throw new DatabaseError('Admin login failed');
     }
   }
 
+  /**
+   * Build the response of a completed admin login, creating the session
+   */
+  static async buildAdminLoginResponse(admin, clientInfo = null) {
+    await AccountLockoutService.recordSuccess(admin);
+    const { jwtAccessToken, refreshToken } = await AuthService.generateTokens(admin, 'admin', clientInfo);
+
+    return {
+      user: {
+        _id: admin._id,
+        email: admin.email,
+        name: admin.name || 'Sintracap Admin',
+        isAdmin: true,
+        adminRole: admin.adminRole,
+        profile: {
+          firstName: 'Admin',
+          lastName: '',
+          photoURL: ''
+        }
+      },
+      token: jwtAccessToken,
+      refreshToken: refreshToken
+    };
+  }
+
   /**
    * Complete LinkedIn authentication
    */
-  static async completeLinkedInAuth(code, redirectUri, role) {
+  static async completeLinkedInAuth(code, redirectUri, role, clientInfo = null) {
     if (!code || !redirectUri) {
       throw new ValidationError('Code and redirect URI are required');
     }
 
     try {
-      const clientId = process.env.LINKEDIN_CLIENT_ID || '86yfv12jlk4udi';
-      const clientSecret = process.env.LINKEDIN_CLIENT_SECRET || 'WPL_AP1.NoBYiQ67C1jTiIR0.N+xZ1Q==';
-
-      // Exchange code for access token
-      const tokenResponse = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', null, {
-        params: {
-          grant_type: 'authorization_code',
-          code: code,
-          redirect_uri: redirectUri,
-          client_id: clientId,
-          client_secret: clientSecret
-        },
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
-
-      const { access_token } = tokenResponse.data;
-
-      // Get user profile
-      const profileResponse = await axios.get('https://api.linkedin.com/v2/userinfo', {
-        headers: {
-          Authorization: `Bearer ${access_token}`
-        },
-        timeout: 10000
-      });
-
-      const profileData = profileResponse.data;
+      const profileData = await IdentityService.fetchLinkedInProfile(code, redirectUri);
       const email = profileData.email;
 
       if (!email) {
@@ -864,13 +1141,27 @@ class AuthService {
 
       
 
-      const UserModel = role === 'founder' ? CompanyProfile : InvestorProfile;
-      let user = await UserModel.findOne({ email });
+      // Match on the linked LinkedIn ID first, then fall back to email with a safe merge
+      let { user, role: existingRole } = await IdentityService.findByProviderId('linkedin', profileData.sub);
+      if (!user) {
+        ({ user, role: existingRole } = await findUserByEmail(email));
+        if (user && profileData.sub) {
+          await IdentityService.mergeOnSignIn(user, {
+            provider: 'linkedin',
+            providerId: profileData.sub,
+            email,
+            emailVerified: profileData.email_verified === true
+          });
+        }
+      }
       let isNewUser = false;
 
       if (user) {
         // Update existing user
-        user.emailVerified = true;
+        role = existingRole;
+        if (profileData.email_verified === true && user.email === email.toLowerCase()) {
+          user.emailVerified = true;
+        }
         if (role === 'founder' && !user.companyName && profileData.given_name) {
           user.companyName = `${profileData.given_name} ${profileData.family_name}`.trim();
         } else if (role === 'investor' && !user.fullName && profileData.given_name) {
@@ -887,10 +1178,11 @@ class AuthService {
             companyName: `${profileData.given_name} ${profileData.family_name}`.trim(),
             email: email,
             role: 'founder',
-            emailVerified: true,
+            emailVerified: profileData.email_verified === true,
             signupStatus: 'pre-signup',
             provider: 'linkedin',
             linkedIn: profileData.sub ? `https://www.linkedin.com/in/${profileData.sub}` : '',
+            linkedIdentities: profileData.sub ? [{ provider: 'linkedin', providerId: profileData.sub, email }] : [],
           });
         } else {
           user = new InvestorProfile({
@@ -899,24 +1191,31 @@ class AuthService {
             linkedIn: profileData.sub ? `https://www.linkedin.com/in/${profileData.sub}` : '',
             role: 'investor',
             provider: 'linkedin',
-            emailVerified: true,
+            emailVerified: profileData.email_verified === true,
             signupStatus: 'pre-signup',
+            linkedIdentities: profileData.sub ? [{ provider: 'linkedin', providerId: profileData.sub, email }] : [],
           });
         }
         isNewUser = true;
         await user.save();
       }
 
-      let { jwtAccessToken } = await AuthService.generateTokens(user, user.role);
-      if (isNewUser) {
-        jwtAccessToken = null;
+      // New users finish signup first, so they don't get a session yet
+      let jwtAccessToken = null;
+      let refreshToken = null;
+      let pendingToken = null;
+      const twoFactorRequired = !isNewUser && TwoFactorService.isEnabled(user);
+      if (twoFactorRequired) {
+        pendingToken = TwoFactorService.issuePendingToken(user, user.role);
+      } else if (!isNewUser) {
+        ({ jwtAccessToken, refreshToken } = await AuthService.generateTokens(user, user.role, clientInfo));
       }
 
       return {
         user: {
           userId: user._id,
           email: user.email,
-          emailVerified: true,
+          emailVerified: user.emailVerified,
           isVerifiedByAdmin: user.isVerifiedByAdmin,
           name: user.role === 'investor' ? user.fullName : user.companyName,
           signupStatus: user.signupStatus,
@@ -924,10 +1223,13 @@ class AuthService {
           linkedIn: user.linkedIn,
         },
         token: jwtAccessToken,
+        refreshToken: refreshToken,
+        twoFactorRequired: twoFactorRequired,
+        pendingToken: pendingToken,
         isNewUser: isNewUser
       };
     } catch (error) {
-      if (error instanceof ValidationError) {
+      if (error instanceof ValidationError || error instanceof AuthError) {
         throw error;
       }
       throw new DatabaseError('LinkedIn authentication failed');
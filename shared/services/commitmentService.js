@@ -0,0 +1,331 @@
+// shared/services/commitmentService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const Deal = require('../../models/deal');
+const DealCommitment = require('../../models/dealCommitment');
+const NdaService = require('./ndaService');
+const DealAccessService = require('./dealAccessService');
+const CurrencyService = require('./currencyService');
+const MoneyHelper = require('../hellpers/MoneyHelper');
+const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
+
+const { INDICATED, CONFIRMED, ALLOCATED, WITHDRAWN } = constants.COMMITMENT_STATUS;
+
+// Deals that accept new or changed expressions of interest
+const OPEN_DEAL_STATUSES = ['Active', 'Closing Soon'];
+
+// Status moves an admin can make on a commitment
+const ADMIN_TRANSITIONS = {
+  [INDICATED]: [CONFIRMED, WITHDRAWN],
+  [CONFIRMED]: [ALLOCATED, INDICATED, WITHDRAWN],
+  [ALLOCATED]: [CONFIRMED],
+  [WITHDRAWN]: []
+};
+
+/**
+ * Helper to check an ObjectId route parameter
+ */
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${label} ID`);
+  }
+};
+
+/**
+ * Helper to load a deal that is open for commitments
+ */
+const getOpenDeal = async (dealId) => {
+  assertObjectId(dealId, 'deal');
+
+  const deal = await Deal.findById(dealId).select('title status amount minInvestment');
+  if (!deal) {
+    throw new ValidationError('Deal not found');
+  }
+
+  if (!OPEN_DEAL_STATUSES.includes(deal.status)) {
+    throw new ValidationError(`This deal is ${deal.status} and isn't accepting expressions of interest`);
+  }
+
+  return deal;
+};
+
+/**
+ * Helper to get the deal's minimum ticket in the deal's own currency; null when there is none
+ */
+const getMinimumInDealCurrency = async (deal, dealCurrency) => {
+  const minimum = deal.minInvestment && deal.minInvestment.value;
+  if (!minimum) {
+    return null;
+  }
+
+  const minimumCurrency = deal.minInvestment.currency || CurrencyService.BASE;
+  if (minimumCurrency === dealCurrency) {
+    return minimum;
+  }
+
+  const [minimumRate, dealRate] = await Promise.all([
+    CurrencyService.getRate(minimumCurrency),
+    CurrencyService.getRate(dealCurrency)
+  ]);
+  if (minimumRate === null || dealRate === null) {
+    throw new ValidationError(`No FX rate is set to compare ${minimumCurrency} and ${dealCurrency} amounts for this deal`);
+  }
+
+  return Math.round((minimum * minimumRate / dealRate) * 100) / 100;
+};
+
+/**
+ * Helper to validate an indicative amount against the deal's currency and minimum ticket
+ */
+const parseAmount = async (deal, amount, currency) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ValidationError('amount must be a positive number');
+  }
+
+  const dealCurrency = (deal.amount && deal.amount.currency) || CurrencyService.BASE;
+  const amountCurrency = currency ? String(currency).toUpperCase() : dealCurrency;
+  if (amountCurrency !== dealCurrency) {
+    throw new ValidationError(`Amounts for this deal must be in ${dealCurrency}`);
+  }
+
+  const minimum = await getMinimumInDealCurrency(deal, dealCurrency);
+  if (minimum && value < minimum) {
+    throw new ValidationError(`The minimum investment for this deal is ${deal.minInvestment.displayText || MoneyHelper.format(minimum, dealCurrency)}`);
+  }
+
+  return { value, currency: amountCurrency };
+};
+
+/**
+ * Helper to keep the deal's interest counter equal to its open commitments
+ */
+const adjustInterestCount = async (dealId, delta) => {
+  await Deal.updateOne({ _id: dealId }, { $inc: { 'analytics.interestCount': delta } });
+};
+
+class CommitmentService {
+  /**
+   * Record an investor's expression of interest in a deal.
+   * A previously withdrawn commitment is reopened instead of duplicated.
+   */
+  static async submitInterest(investor, dealId, { amount, currency, note }) {
+    await DealAccessService.assertCanView(dealId, investor);
+    const deal = await getOpenDeal(dealId);
+    const parsedAmount = await parseAmount(deal, amount, currency);
+    await NdaService.assertAccepted(deal._id, investor, 'Please accept the NDA for this deal before expressing interest');
+
+    let commitment = await DealCommitment.findOne({ dealId: deal._id, investorId: investor._id });
+    if (commitment && commitment.status !== WITHDRAWN) {
+      throw new ValidationError('You have already expressed interest in this deal. Update your commitment instead');
+    }
+
+    if (!commitment) {
+      commitment = new DealCommitment({ dealId: deal._id, investorId: investor._id });
+    }
+
+    commitment.amount = parsedAmount;
+    commitment.status = INDICATED;
+    commitment.note = note || null;
+    commitment.withdrawnAt = null;
+    commitment.addEvent(investor, note);
+
+    try {
+      await commitment.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError('You have already expressed interest in this deal');
+      }
+      throw new DatabaseError('Failed to record expression of interest');
+    }
+
+    await adjustInterestCount(deal._id, 1);
+    return commitment;
+  }
+
+  /**
+   * Change the indicative amount or note of the investor's own commitment.
+   * A new amount sends a confirmed commitment back to indicated for review.
+   */
+  static async updateInterest(investor, dealId, { amount, currency, note }) {
+    const deal = await getOpenDeal(dealId);
+    const commitment = await CommitmentService.getInvestorCommitment(investor._id, deal._id);
+
+    if (![INDICATED, CONFIRMED].includes(commitment.status)) {
+      throw new ValidationError(`A ${commitment.status} commitment can't be changed`);
+    }
+
+    if (amount !== undefined) {
+      const parsedAmount = await parseAmount(deal, amount, currency);
+      if (parsedAmount.value !== commitment.amount.value) {
+        commitment.amount = parsedAmount;
+        commitment.status = INDICATED;
+      }
+    }
+
+    if (note !== undefined) {
+      commitment.note = note;
+    }
+
+    commitment.addEvent(investor, note);
+
+    try {
+      await commitment.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to update commitment');
+    }
+
+    return commitment;
+  }
+
+  /**
+   * Withdraw the investor's own commitment; allocations are final and need the deal team
+   */
+  static async withdrawInterest(investor, dealId, reason = null) {
+    assertObjectId(dealId, 'deal');
+    const commitment = await CommitmentService.getInvestorCommitment(investor._id, dealId);
+
+    if (commitment.status === WITHDRAWN) {
+      throw new ValidationError('This commitment has already been withdrawn');
+    }
+
+    if (commitment.status === ALLOCATED) {
+      throw new ValidationError('An allocated commitment can only be withdrawn by the deal team');
+    }
+
+    await CommitmentService.applyWithdrawal(commitment, investor, reason);
+    return commitment;
+  }
+
+  /**
+   * List the investor's commitments with a summary of each deal
+   */
+  static async listForInvestor(investorId) {
+    try {
+      return await DealCommitment.find({ investorId })
+        .select('-history')
+        .populate('dealId', 'title company status amount minInvestment')
+        .sort({ updatedAt: -1 })
+        .lean();
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve commitments');
+    }
+  }
+
+  /**
+   * Per-deal ledger for admins: every commitment plus totals soft-circled against the raise
+   */
+  static async getDealLedger(dealId, { status } = {}) {
+    assertObjectId(dealId, 'deal');
+
+    const deal = await Deal.findById(dealId).select('title company status amount minInvestment').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    if (status && !ADMIN_TRANSITIONS[status]) {
+      throw new ValidationError(`Status must be one of: ${Object.keys(ADMIN_TRANSITIONS).join(', ')}`);
+    }
+
+    let commitments;
+    try {
+      commitments = await DealCommitment.find({ dealId })
+        .populate('investorId', 'fullName email')
+        .sort({ createdAt: 1 })
+        .lean();
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve commitments');
+    }
+
+    const byStatus = Object.keys(ADMIN_TRANSITIONS).reduce((totals, key) => {
+      totals[key] = { count: 0, total: 0 };
+      return totals;
+    }, {});
+
+    commitments.forEach(commitment => {
+      byStatus[commitment.status].count += 1;
+      byStatus[commitment.status].total += commitment.amount.value;
+    });
+
+    const softCircled = byStatus[INDICATED].total + byStatus[CONFIRMED].total + byStatus[ALLOCATED].total;
+    const target = (deal.amount && deal.amount.value) || null;
+
+    return {
+      deal,
+      summary: {
+        currency: (deal.amount && deal.amount.currency) || CurrencyService.BASE,
+        target,
+        softCircled,
+        allocated: byStatus[ALLOCATED].total,
+        remaining: target ? Math.max(target - softCircled, 0) : null,
+        percentOfTarget: target ? Math.round((softCircled / target) * 10000) / 100 : null,
+        byStatus
+      },
+      commitments: status ? commitments.filter(commitment => commitment.status === status) : commitments
+    };
+  }
+
+  /**
+   * Move a commitment through indicated -> confirmed -> allocated, or withdraw it
+   */
+  static async updateStatus(admin, dealId, commitmentId, status, note = null) {
+    assertObjectId(dealId, 'deal');
+    assertObjectId(commitmentId, 'commitment');
+
+    const commitment = await DealCommitment.findOne({ _id: commitmentId, dealId });
+    if (!commitment) {
+      throw new ValidationError('Commitment not found');
+    }
+
+    const allowed = ADMIN_TRANSITIONS[commitment.status] || [];
+    if (!allowed.includes(status)) {
+      throw new ValidationError(`Cannot move a commitment from ${commitment.status} to ${status}. Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`);
+    }
+
+    if (status === WITHDRAWN) {
+      await CommitmentService.applyWithdrawal(commitment, admin, note);
+      return commitment;
+    }
+
+    commitment.status = status;
+    commitment.addEvent(admin, note);
+
+    try {
+      await commitment.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to update commitment');
+    }
+
+    return commitment;
+  }
+
+  /**
+   * Get an investor's commitment on a deal
+   */
+  static async getInvestorCommitment(investorId, dealId) {
+    const commitment = await DealCommitment.findOne({ dealId, investorId });
+    if (!commitment) {
+      throw new ValidationError('You have not expressed interest in this deal');
+    }
+    return commitment;
+  }
+
+  /**
+   * Mark a commitment withdrawn and drop it from the deal's interest count
+   */
+  static async applyWithdrawal(commitment, actor, reason = null) {
+    commitment.status = WITHDRAWN;
+    commitment.withdrawnAt = new Date();
+    commitment.addEvent(actor, reason);
+
+    try {
+      await commitment.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to withdraw commitment');
+    }
+
+    await adjustInterestCount(commitment.dealId, -1);
+  }
+}
+
+module.exports = CommitmentService;
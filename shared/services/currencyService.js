@@ -0,0 +1,221 @@
+// shared/services/currencyService.js
+const constants = require('../config/constants');
+const FxRate = require('../../models/fxRate');
+const Deal = require('../../models/deal');
+const FundingRequest = require('../../models/fundingRequest');
+const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
+
+const { BASE, SUPPORTED } = constants.CURRENCY;
+
+// Deal money fields that carry a normalised baseValue
+const DEAL_AMOUNT_FIELDS = ['amount', 'minInvestment'];
+
+/**
+ * Helper to convert with a known rate; null when the currency has no rate yet
+ */
+const applyRate = (value, rate) => {
+  if (value === undefined || value === null || rate === null) {
+    return null;
+  }
+  return Math.round(value * rate * 100) / 100;
+};
+
+/**
+ * Every amount is stored twice: as entered, and converted to constants.CURRENCY.BASE
+ * at the current rate. Sorting and range filters use the converted value, and a new
+ * current rate re-converts the stored amounts.
+ */
+class CurrencyService {
+  static get BASE() {
+    return BASE;
+  }
+
+  /**
+   * Check and upper-case a currency code
+   */
+  static normaliseCode(code, label = 'currency') {
+    const normalised = String(code || '').trim().toUpperCase();
+    if (!SUPPORTED.includes(normalised)) {
+      throw new ValidationError(`${label} must be one of: ${SUPPORTED.join(', ')}`);
+    }
+    return normalised;
+  }
+
+  /**
+   * Rate for a currency at a point in time, in base units per unit; null if none is set
+   */
+  static async getRate(currency, at = new Date()) {
+    if (currency === BASE) {
+      return 1;
+    }
+
+    const entry = await FxRate.findOne({ currency, effectiveFrom: { $lte: at } })
+      .sort({ effectiveFrom: -1 })
+      .lean();
+
+    return entry ? entry.rate : null;
+  }
+
+  /**
+   * Current rate for every supported currency, e.g. { INR: 1, USD: 83.2, EUR: null }
+   */
+  static async getCurrentRates() {
+    const rates = await Promise.all(SUPPORTED.map(currency => CurrencyService.getRate(currency)));
+    return SUPPORTED.reduce((table, currency, index) => {
+      table[currency] = rates[index];
+      return table;
+    }, {});
+  }
+
+  /**
+   * Convert an amount to the base currency at the current rate; null if the currency has no rate
+   */
+  static async toBase(value, currency) {
+    return applyRate(value, await CurrencyService.getRate(currency || BASE));
+  }
+
+  /**
+   * Convert a filter bound to the base currency, refusing currencies without a rate
+   */
+  static async boundToBase(value, currency, label) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new ValidationError(`${label} must be a non-negative number`);
+    }
+
+    const converted = await CurrencyService.toBase(number, currency);
+    if (converted === null) {
+      throw new ValidationError(`No FX rate is set for ${currency}`);
+    }
+    return converted;
+  }
+
+  /**
+   * Fill in amount.baseValue and minInvestment.baseValue on a deal document before it is saved
+   */
+  static async normaliseDeal(deal) {
+    const rates = await CurrencyService.getCurrentRates();
+
+    DEAL_AMOUNT_FIELDS.forEach(field => {
+      const money = deal[field];
+      if (money && money.value !== undefined && money.value !== null) {
+        money.baseValue = applyRate(money.value, rates[money.currency || BASE]);
+      } else if (money) {
+        money.baseValue = null;
+      }
+    });
+
+    return deal;
+  }
+
+  /**
+   * Fill in fundingAmountBase on a funding request before it is saved
+   */
+  static async normaliseFundingRequest(fundingRequest) {
+    fundingRequest.fundingAmountBase = await CurrencyService.toBase(fundingRequest.fundingAmount, fundingRequest.currency);
+    return fundingRequest;
+  }
+
+  /**
+   * Record a rate. Back-dated entries fill in history; the latest entry becomes the
+   * current rate and re-converts every stored amount.
+   */
+  static async setRate(admin, { currency, rate, effectiveFrom, note }) {
+    const code = CurrencyService.normaliseCode(currency);
+    if (code === BASE) {
+      throw new ValidationError(`${BASE} is the base currency and always has a rate of 1`);
+    }
+
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new ValidationError('rate must be a positive number');
+    }
+
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (isNaN(from.getTime())) {
+      throw new ValidationError('effectiveFrom must be a valid date');
+    }
+    if (from > new Date()) {
+      throw new ValidationError('effectiveFrom cannot be in the future');
+    }
+
+    let entry;
+    try {
+      entry = await FxRate.create({
+        currency: code,
+        rate: value,
+        effectiveFrom: from,
+        note,
+        createdBy: { _id: admin._id, name: admin.name }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A ${code} rate is already recorded for ${from.toISOString()}`);
+      }
+      throw new DatabaseError('Failed to save FX rate');
+    }
+
+    const latest = await FxRate.findOne({ currency: code, effectiveFrom: { $lte: new Date() } })
+      .sort({ effectiveFrom: -1 })
+      .select('_id');
+    const isCurrent = latest._id.equals(entry._id);
+
+    return {
+      rate: entry,
+      isCurrent,
+      renormalised: isCurrent ? await CurrencyService.renormaliseAll() : null
+    };
+  }
+
+  /**
+   * Rate history, newest first, with the current rate table
+   */
+  static async listRates({ currency } = {}) {
+    const query = {};
+    if (currency) {
+      query.currency = CurrencyService.normaliseCode(currency);
+    }
+
+    const [history, current] = await Promise.all([
+      FxRate.find(query).sort({ currency: 1, effectiveFrom: -1 }).lean(),
+      CurrencyService.getCurrentRates()
+    ]);
+
+    return { base: BASE, current, history };
+  }
+
+  /**
+   * Re-convert every stored deal and funding request amount at the current rates.
+   * Amounts in a currency without a rate get a null base value.
+   */
+  static async renormaliseAll() {
+    const rates = await CurrencyService.getCurrentRates();
+    const result = { deals: 0, fundingRequests: 0 };
+
+    try {
+      for (const currency of SUPPORTED) {
+        const rate = rates[currency];
+
+        for (const field of DEAL_AMOUNT_FIELDS) {
+          const update = await Deal.updateMany(
+            { [`${field}.currency`]: currency },
+            [{ $set: { [`${field}.baseValue`]: rate === null ? null : { $round: [{ $multiply: [`$${field}.value`, rate] }, 2] } } }]
+          );
+          result.deals += update.modifiedCount || 0;
+        }
+
+        const update = await FundingRequest.updateMany(
+          { currency },
+          [{ $set: { fundingAmountBase: rate === null ? null : { $round: [{ $multiply: ['$fundingAmount', rate] }, 2] } } }]
+        );
+        result.fundingRequests += update.modifiedCount || 0;
+      }
+    } catch (error) {
+      throw new DatabaseError('Failed to convert stored amounts to the new FX rate');
+    }
+
+    return result;
+  }
+}
+
+module.exports = CurrencyService;
@@ -0,0 +1,554 @@
+// shared/services/dataRoomService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const config = require('../config/config');
+const Deal = require('../../models/deal');
+const DataRoomFolder = require('../../models/dataRoomFolder');
+const DataRoomDocument = require('../../models/dataRoomDocument');
+const DataRoomAccessLog = require('../../models/dataRoomAccessLog');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const InvestorService = require('./InvestorService');
+const NdaService = require('./ndaService');
+const DealAccessService = require('./dealAccessService');
+const UploadService = require('./uploadService');
+const RequestHelper = require('../hellpers/RequestHelper');
+const { ValidationError, DatabaseError, ForbiddenError } = require('../middleware/errorHandler');
+
+const LINK_ACTIONS = ['view', 'download'];
+
+// Folder that legacy deal documents are moved into; admins grant access once reviewed
+const LEGACY_FOLDER_NAME = 'Legacy documents';
+
+/**
+ * Helper to check an ObjectId route parameter
+ */
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${label} ID`);
+  }
+};
+
+/**
+ * Helper to get the storage client for the private data room container
+ */
+const getStorage = () => new UploadService({
+  containerName: config.storage.dataRoomContainerName,
+  publicAccess: false
+});
+
+/**
+ * Helper to validate an access rule from a request body.
+ * Documents may also pass inherit: true to rely on their folder's rule only.
+ */
+const parseAccess = async (access, { allowInherit = false } = {}) => {
+  if (!access || typeof access !== 'object') {
+    throw new ValidationError('access must be an object');
+  }
+
+  const rule = {
+    allInvestors: access.allInvestors === true,
+    investorIds: [],
+    investorTypes: []
+  };
+
+  if (allowInherit) {
+    rule.inherit = access.inherit === true;
+  }
+
+  if (access.investorIds !== undefined) {
+    if (!Array.isArray(access.investorIds)) {
+      throw new ValidationError('access.investorIds must be an array');
+    }
+
+    const investorIds = [...new Set(access.investorIds.map(String))];
+    const invalidIds = investorIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      throw new ValidationError(`Invalid investor IDs: ${invalidIds.join(', ')}`);
+    }
+
+    const { missing } = await InvestorService.validateInvestorIds(investorIds);
+    if (missing.length > 0) {
+      throw new ValidationError(`Investors not found: ${missing.join(', ')}`);
+    }
+
+    rule.investorIds = investorIds;
+  }
+
+  if (access.investorTypes !== undefined) {
+    if (!Array.isArray(access.investorTypes)) {
+      throw new ValidationError('access.investorTypes must be an array');
+    }
+
+    const invalidTypes = access.investorTypes.filter(type => !constants.INVESTOR_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      throw new ValidationError(`Invalid investor types: ${invalidTypes.join(', ')}. Allowed: ${constants.INVESTOR_TYPES.join(', ')}`);
+    }
+
+    rule.investorTypes = [...new Set(access.investorTypes)];
+  }
+
+  return rule;
+};
+
+/**
+ * Helper to check a rule against an investor ({ _id, investorType })
+ */
+const ruleGrants = (rule, investor) => {
+  if (!rule) return false;
+  if (rule.allInvestors) return true;
+  if ((rule.investorIds || []).some(id => id.toString() === investor._id.toString())) return true;
+  return !!investor.investorType && (rule.investorTypes || []).includes(investor.investorType);
+};
+
+/**
+ * Helper to decide whether an investor can open a document: the folder rule
+ * must grant access, and a document with its own rule must grant it as well
+ */
+const canAccessDocument = (folder, document, investor) => {
+  if (!ruleGrants(folder.access, investor)) return false;
+  return document.access.inherit || ruleGrants(document.access, investor);
+};
+
+class DataRoomService {
+  /**
+   * Create a folder in a deal's data room
+   */
+  static async createFolder(admin, dealId, { name, description, order, access }) {
+    await DataRoomService.getDeal(dealId);
+
+    if (!name || !String(name).trim()) {
+      throw new ValidationError('Folder name is required');
+    }
+
+    const folder = new DataRoomFolder({
+      dealId,
+      name: String(name).trim(),
+      description,
+      order: Number.isInteger(order) ? order : 0,
+      access: access ? await parseAccess(access) : undefined,
+      createdBy: admin._id
+    });
+
+    try {
+      await folder.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A folder named "${folder.name}" already exists in this data room`);
+      }
+      throw new DatabaseError('Failed to create folder');
+    }
+
+    return folder;
+  }
+
+  /**
+   * Rename a folder or change who can see it
+   */
+  static async updateFolder(dealId, folderId, { name, description, order, access }) {
+    const folder = await DataRoomService.getFolder(dealId, folderId);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        throw new ValidationError('Folder name cannot be empty');
+      }
+      folder.name = String(name).trim();
+    }
+
+    if (description !== undefined) folder.description = description;
+    if (Number.isInteger(order)) folder.order = order;
+    if (access !== undefined) folder.access = await parseAccess(access);
+
+    try {
+      await folder.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`A folder named "${folder.name}" already exists in this data room`);
+      }
+      throw new DatabaseError('Failed to update folder');
+    }
+
+    return folder;
+  }
+
+  /**
+   * Delete an empty folder
+   */
+  static async deleteFolder(dealId, folderId) {
+    const folder = await DataRoomService.getFolder(dealId, folderId);
+
+    const documentCount = await DataRoomDocument.countDocuments({ folderId: folder._id });
+    if (documentCount > 0) {
+      throw new ValidationError(`Folder still contains ${documentCount} document(s). Move or delete them first`);
+    }
+
+    await DataRoomFolder.deleteOne({ _id: folder._id });
+    return { folderId: folder._id };
+  }
+
+  /**
+   * Upload files into a folder. Files go to the private container and are only
+   * reachable through createLink.
+   */
+  static async uploadDocuments(admin, dealId, folderId, parts) {
+    const folder = await DataRoomService.getFolder(dealId, folderId);
+    const storage = getStorage();
+
+    storage.validateFiles(parts, {
+      allowedTypes: constants.DATA_ROOM.ALLOWED_TYPES,
+      maxFileSize: constants.DATA_ROOM.MAX_FILE_SIZE,
+      maxFiles: constants.DATA_ROOM.MAX_FILES
+    });
+
+    const uploadedFiles = await storage.uploadFiles(parts, {
+      folderPath: `deals/${dealId}/${folder._id}`,
+      metadata: {
+        dealId: String(dealId),
+        uploadedBy: String(admin._id),
+        mediaType: 'data-room-document'
+      }
+    });
+
+    try {
+      const documents = await DataRoomDocument.insertMany(uploadedFiles.map(file => ({
+        dealId,
+        folderId: folder._id,
+        name: file.originalName,
+        blobName: file.blobName,
+        contentType: file.contentType,
+        size: file.size,
+        uploadedBy: admin._id
+      })));
+
+      return documents.map(document => document.toSafeObject());
+    } catch (error) {
+      // Don't leave unreachable blobs behind
+      await Promise.all(uploadedFiles.map(file => storage.deleteFile(file.blobName)));
+      throw new DatabaseError('Failed to save data room documents');
+    }
+  }
+
+  /**
+   * Rename a document, move it to another folder or change its own access rule
+   */
+  static async updateDocument(dealId, documentId, { name, folderId, access }) {
+    const document = await DataRoomService.getDocument(dealId, documentId);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        throw new ValidationError('Document name cannot be empty');
+      }
+      document.name = String(name).trim();
+    }
+
+    if (folderId !== undefined) {
+      const folder = await DataRoomService.getFolder(dealId, folderId);
+      document.folderId = folder._id;
+    }
+
+    if (access !== undefined) {
+      document.access = await parseAccess(access, { allowInherit: true });
+    }
+
+    try {
+      await document.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to update document');
+    }
+
+    return document.toSafeObject();
+  }
+
+  /**
+   * Delete a document and its file
+   */
+  static async deleteDocument(dealId, documentId) {
+    const document = await DataRoomService.getDocument(dealId, documentId);
+
+    await getStorage().deleteFile(document.blobName);
+    await DataRoomDocument.deleteOne({ _id: document._id });
+
+    return { documentId: document._id };
+  }
+
+  /**
+   * Move a deal's legacy documents (document-type dealMedias and compliance.documents)
+   * out of the public container into a data room folder that only admins can see
+   * until access is granted. Links to files stored anywhere else are left in place.
+   */
+  static async importLegacyDocuments(admin, dealId) {
+    assertObjectId(dealId, 'deal');
+
+    const deal = await Deal.findById(dealId).select('dealMedias compliance').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    const legacyDocuments = [
+      ...(deal.dealMedias || [])
+        .filter(media => media.type === 'document')
+        .map(media => ({ field: 'dealMedias', document: media })),
+      ...((deal.compliance && deal.compliance.documents) || [])
+        .map(document => ({ field: 'compliance.documents', document }))
+    ];
+
+    const result = { folderId: null, imported: [], skipped: [] };
+    if (legacyDocuments.length === 0) {
+      return result;
+    }
+
+    const publicStorage = new UploadService();
+    const storage = getStorage();
+    await storage.initializeContainer();
+
+    const folder = await DataRoomFolder.findOne({ dealId, name: LEGACY_FOLDER_NAME }) ||
+      await DataRoomService.createFolder(admin, dealId, {
+        name: LEGACY_FOLDER_NAME,
+        description: 'Documents moved from the deal page. Review them before granting access.'
+      });
+    result.folderId = folder._id;
+
+    for (const { field, document } of legacyDocuments) {
+      const sourceName = publicStorage.blobNameFromUrl(document.path);
+      if (!sourceName) {
+        result.skipped.push({ name: document.name, reason: 'Not stored in the public container' });
+        continue;
+      }
+
+      const source = publicStorage.containerClient.getBlobClient(sourceName);
+      const blobName = `deals/${dealId}/${folder._id}/${sourceName.split('/').pop()}`;
+
+      try {
+        const properties = await source.getProperties();
+        await storage.containerClient.getBlobClient(blobName).syncCopyFromURL(source.url);
+
+        const imported = await DataRoomDocument.create({
+          dealId,
+          folderId: folder._id,
+          name: document.name || sourceName.split('/').pop(),
+          blobName,
+          contentType: properties.contentType,
+          size: properties.contentLength || document.size || 0,
+          uploadedBy: admin._id
+        });
+
+        await Deal.updateOne({ _id: dealId }, { $pull: { [field]: { _id: document._id } } });
+        await publicStorage.deleteFile(sourceName);
+        result.imported.push(imported.toSafeObject());
+      } catch (error) {
+        console.error(`Deal ${dealId} legacy document ${sourceName} import failed:`, error.message);
+        result.skipped.push({ name: document.name, reason: 'Could not be moved' });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove a deleted deal's folders, documents and files. The access log is kept.
+   */
+  static async deleteAllForDeal(dealId) {
+    const documents = await DataRoomDocument.find({ dealId }).select('blobName').lean();
+
+    if (documents.length > 0) {
+      const storage = getStorage();
+      await Promise.all(documents.map(document => storage.deleteFile(document.blobName)));
+    }
+
+    await Promise.all([
+      DataRoomDocument.deleteMany({ dealId }),
+      DataRoomFolder.deleteMany({ dealId })
+    ]);
+  }
+
+  /**
+   * List a deal's data room. Admins see every folder with its access rules;
+   * investors only see what they've been granted.
+   */
+  static async getDataRoom(user, dealId) {
+    const deal = await DataRoomService.getDeal(dealId);
+    await DealAccessService.assertCanView(deal._id, user);
+
+    const [folders, documents] = await Promise.all([
+      DataRoomFolder.find({ dealId: deal._id }).sort({ order: 1, name: 1 }).lean(),
+      DataRoomDocument.find({ dealId: deal._id }).select('-blobName').sort({ name: 1 }).lean()
+    ]);
+
+    const isAdmin = user.role === constants.ROLES.ADMIN;
+    const investor = isAdmin ? null : await DataRoomService.getInvestor(user._id);
+    await NdaService.assertAccepted(deal._id, user, 'Please accept the NDA for this deal to open its data room');
+
+    const visibleFolders = folders
+      .filter(folder => isAdmin || ruleGrants(folder.access, investor))
+      .map(folder => {
+        const folderDocuments = documents
+          .filter(document => document.folderId.toString() === folder._id.toString())
+          .filter(document => isAdmin || canAccessDocument(folder, document, investor))
+          .map(document => (isAdmin ? document : { ...document, access: undefined }));
+
+        return {
+          ...(isAdmin ? folder : { ...folder, access: undefined }),
+          documents: folderDocuments
+        };
+      });
+
+    return {
+      deal: { _id: deal._id, title: deal.title, company: deal.company },
+      folders: visibleFolders
+    };
+  }
+
+  /**
+   * Hand out a short-lived link to a document and record who asked for it
+   */
+  static async createLink(user, dealId, documentId, action = 'download', req = null) {
+    if (!LINK_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${LINK_ACTIONS.join(', ')}`);
+    }
+
+    const document = await DataRoomService.getDocument(dealId, documentId);
+
+    if (user.role !== constants.ROLES.ADMIN) {
+      await DealAccessService.assertCanView(document.dealId, user);
+      await NdaService.assertAccepted(document.dealId, user, 'Please accept the NDA for this deal to open its data room');
+
+      const [folder, investor] = await Promise.all([
+        DataRoomFolder.findById(document.folderId).lean(),
+        DataRoomService.getInvestor(user._id)
+      ]);
+
+      if (!folder || !canAccessDocument(folder, document, investor)) {
+        throw new ForbiddenError('You do not have access to this document');
+      }
+    }
+
+    const link = await getStorage().readUrl(document.blobName, {
+      expiresInMinutes: constants.DATA_ROOM.LINK_EXPIRE_MINUTES,
+      fileName: document.name,
+      disposition: action === 'view' ? 'inline' : 'attachment'
+    });
+
+    try {
+      await DataRoomAccessLog.create({
+        dealId: document.dealId,
+        documentId: document._id,
+        documentName: document.name,
+        folderId: document.folderId,
+        userId: user._id,
+        userRole: user.role,
+        userEmail: user.email,
+        impersonatorId: user.impersonator ? user.impersonator._id : null,
+        action,
+        linkExpiresAt: link.expiresAt,
+        ipAddress: req ? RequestHelper.getClientIp(req) : null,
+        userAgent: req ? RequestHelper.getUserAgent(req) : null
+      });
+    } catch (error) {
+      // No link without a log entry
+      throw new DatabaseError('Failed to record document access');
+    }
+
+    return {
+      documentId: document._id,
+      name: document.name,
+      action,
+      url: link.url,
+      expiresAt: link.expiresAt
+    };
+  }
+
+  /**
+   * Who viewed or downloaded what, newest first
+   */
+  static async getAccessLog(dealId, { documentId, userId, page = 1, limit = 50 } = {}) {
+    await DataRoomService.getDeal(dealId);
+
+    const query = { dealId };
+    if (documentId) {
+      assertObjectId(documentId, 'document');
+      query.documentId = documentId;
+    }
+    if (userId) {
+      assertObjectId(userId, 'user');
+      query.userId = userId;
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    try {
+      const [entries, totalCount] = await Promise.all([
+        DataRoomAccessLog.find(query)
+          .sort({ createdAt: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        DataRoomAccessLog.countDocuments(query)
+      ]);
+
+      return {
+        entries,
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(totalCount / pageSize),
+          totalCount
+        }
+      };
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve access log');
+    }
+  }
+
+  /**
+   * Get a deal by ID
+   */
+  static async getDeal(dealId) {
+    assertObjectId(dealId, 'deal');
+
+    const deal = await Deal.findById(dealId).select('title company').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+    return deal;
+  }
+
+  /**
+   * Get a folder that belongs to a deal
+   */
+  static async getFolder(dealId, folderId) {
+    assertObjectId(dealId, 'deal');
+    assertObjectId(folderId, 'folder');
+
+    const folder = await DataRoomFolder.findOne({ _id: folderId, dealId });
+    if (!folder) {
+      throw new ValidationError('Folder not found');
+    }
+    return folder;
+  }
+
+  /**
+   * Get a document that belongs to a deal
+   */
+  static async getDocument(dealId, documentId) {
+    assertObjectId(dealId, 'deal');
+    assertObjectId(documentId, 'document');
+
+    const document = await DataRoomDocument.findOne({ _id: documentId, dealId });
+    if (!document) {
+      throw new ValidationError('Document not found');
+    }
+    return document;
+  }
+
+  /**
+   * Get the fields access rules are matched against
+   */
+  static async getInvestor(investorId) {
+    const investor = await InvestorProfile.findById(investorId).select('_id investorType').lean();
+    if (!investor) {
+      throw new ForbiddenError('Only investors can open data rooms');
+    }
+    return investor;
+  }
+}
+
+module.exports = DataRoomService;
@@ -0,0 +1,95 @@
+// shared/services/dealAccessService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const Deal = require('../../models/deal');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Who can see a deal:
+ * - public deals: everyone
+ * - private deals: admins, investors on the deal's allow-list, and investors
+ *   whose investorType is one of the deal's targetInvestors
+ *
+ * Anonymous callers, partners and founders only ever see public deals.
+ */
+class DealAccessService {
+  /**
+   * Load the investor fields visibility is decided on; null for anyone who isn't an investor
+   */
+  static async getInvestor(viewer) {
+    if (!viewer || viewer.role !== constants.ROLES.INVESTOR) {
+      return null;
+    }
+
+    return await InvestorProfile.findById(viewer._id).select('_id investorType').lean();
+  }
+
+  /**
+   * Mongo filter matching the deals a viewer can see
+   */
+  static async queryFor(viewer) {
+    if (viewer && viewer.role === constants.ROLES.ADMIN) {
+      return {};
+    }
+
+    const investor = await DealAccessService.getInvestor(viewer);
+    if (!investor) {
+      return { isPublic: true };
+    }
+
+    const conditions = [
+      { isPublic: true },
+      { allowedInvestorIds: investor._id }
+    ];
+    if (investor.investorType) {
+      conditions.push({ targetInvestors: investor.investorType });
+    }
+
+    return { $or: conditions };
+  }
+
+  /**
+   * Check one deal against an already loaded investor (see getInvestor)
+   */
+  static canView(deal, viewer, investor) {
+    if (viewer && viewer.role === constants.ROLES.ADMIN) return true;
+    if (deal.isPublic !== false) return true;
+    if (!investor) return false;
+
+    if ((deal.allowedInvestorIds || []).some(id => id.toString() === investor._id.toString())) {
+      return true;
+    }
+
+    return !!investor.investorType && (deal.targetInvestors || []).includes(investor.investorType);
+  }
+
+  /**
+   * Keep only the deals a viewer can see, e.g. populated hot deals
+   */
+  static async filterVisible(deals, viewer) {
+    const investor = await DealAccessService.getInvestor(viewer);
+    return deals.filter(deal => deal && DealAccessService.canView(deal, viewer, investor));
+  }
+
+  /**
+   * Reject a deal the viewer can't see. Hidden deals are reported as missing
+   * so their existence isn't revealed.
+   */
+  static async assertCanView(dealId, viewer) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw new ValidationError('Invalid deal ID');
+    }
+
+    const [deal, investor] = await Promise.all([
+      Deal.findById(dealId).select('isPublic targetInvestors allowedInvestorIds').lean(),
+      DealAccessService.getInvestor(viewer)
+    ]);
+
+    if (!deal || !DealAccessService.canView(deal, viewer, investor)) {
+      throw new ValidationError('Deal not found');
+    }
+  }
+}
+
+module.exports = DealAccessService;
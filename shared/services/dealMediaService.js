@@ -2,6 +2,7 @@
 // services/dealMediaService.js (Additional service for deal media management)
 const Deal = require('../../models/deal');
 const UploadService = require('./uploadService');
+const WatchlistService = require('./watchlistService');
 const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
 
 class DealMediaService {
@@ -105,14 +106,10 @@ class DealMediaService {
                 };
                 break;
             case 'document':
-                validationOptions = {
-                    allowedTypes: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
-                    maxFileSize: 10 * 1024 * 1024, // 10MB
-                    maxFiles: 10
-                };
-                break;
+                // Deal media is stored in the public container; documents belong in the private data room
+                throw new ValidationError('Documents can no longer be uploaded as deal media. Upload them to the deal\'s data room');
             default:
-                throw new ValidationError('Invalid media type. Allowed: image, video, document');
+                throw new ValidationError('Invalid media type. Allowed: image, video');
         }
 
         this.uploadService.validateFiles(files, validationOptions);
@@ -145,6 +142,11 @@ class DealMediaService {
             { new: true }
         );
 
+        await WatchlistService.notifyWatchersSafely(
+            deal,
+            [`${uploadedFiles.length} new ${mediaType}${uploadedFiles.length > 1 ? 's' : ''} added`]
+        );
+
         return {
             message: `Successfully uploaded ${uploadedFiles.length} ${mediaType}(s)`,
             data: {
@@ -1,6 +1,195 @@
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
 const Deal = require('../../models/deal');
+const DealCommitment = require('../../models/dealCommitment');
+const HotDealsService = require('./hotDealService');
+const DataRoomService = require('./dataRoomService');
+const NdaService = require('./ndaService');
+const DealAccessService = require('./dealAccessService');
+const InvestorService = require('./InvestorService');
+const CurrencyService = require('./currencyService');
+const DealVersionService = require('./dealVersionService');
+const WatchlistService = require('./watchlistService');
+const MoneyHelper = require('../hellpers/MoneyHelper');
 const { ValidationError } = require('../middleware/errorHandler');
 
+// Deal lifecycle: Pipeline -> Active -> Closing Soon -> Closed.
+// Suspended pauses a deal from any open stage; Closed is final.
+const STATUS_TRANSITIONS = {
+  'Pipeline': ['Active', 'Suspended'],
+  'Active': ['Closing Soon', 'Closed', 'Suspended'],
+  'Closing Soon': ['Active', 'Closed', 'Suspended'],
+  'Suspended': ['Pipeline', 'Active', 'Closed'],
+  'Closed': []
+};
+
+// Work done after a deal enters a status. Each effect returns a short summary
+// for the response; a failing effect is logged and doesn't undo the transition.
+const STATUS_SIDE_EFFECTS = {
+  'Closed': [removeFromHotDeals],
+  'Suspended': [removeFromHotDeals]
+};
+
+// Deal as shown to investors and partners. Documents now live in the access-controlled
+// data room, so legacy public URLs not yet moved there (see DataRoomService.importLegacyDocuments)
+// and the private allow-list are only shown to admins.
+function toPublicDeal(deal) {
+  const { allowedInvestorIds, ...publicDeal } = deal;
+  return {
+    ...publicDeal,
+    dealMedias: (deal.dealMedias || []).filter(media => media.type !== 'document'),
+    compliance: deal.compliance ? { ...deal.compliance, documents: [] } : deal.compliance
+  };
+}
+
+// Check a private deal's allow-list refers to real investors
+async function validateAllowedInvestors(allowedInvestorIds) {
+  if (allowedInvestorIds === undefined) return;
+
+  if (!Array.isArray(allowedInvestorIds)) {
+    throw new ValidationError('allowedInvestorIds must be an array');
+  }
+
+  const invalidIds = allowedInvestorIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    throw new ValidationError(`Invalid investor IDs: ${invalidIds.join(', ')}`);
+  }
+
+  const { missing } = await InvestorService.validateInvestorIds(allowedInvestorIds.map(String));
+  if (missing.length > 0) {
+    throw new ValidationError(`Investors not found: ${missing.join(', ')}`);
+  }
+}
+
+// Fields the deals page shows filter counts for
+const FACET_FIELDS = ['category', 'subcategory', 'status', 'riskLevel', 'geography', 'targetInvestors'];
+
+const MAX_SEARCH_LENGTH = 100;
+
+// Money sorts compare the base-currency value so INR and USD deals order correctly
+const SORT_FIELD_ALIASES = {
+  'amount': 'amount.baseValue',
+  'amount.value': 'amount.baseValue',
+  'minInvestment': 'minInvestment.baseValue',
+  'minInvestment.value': 'minInvestment.baseValue'
+};
+
+// One $facet branch per field: { value, count } pairs, most common first.
+// $unwind spreads array fields like targetInvestors and drops deals without a value.
+function buildFacetStages() {
+  return FACET_FIELDS.reduce((stages, field) => {
+    stages[field] = [
+      { $unwind: `$${field}` },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+    return stages;
+  }, {});
+}
+
+// Deal money fields given either as display text or as { value, currency }
+const MONEY_FIELDS = ['amount', 'minInvestment'];
+
+// Read a money field from text ("₹5 Cr", "$1.5M") or { value, currency } and keep
+// value and displayText in step: the display text is always regenerated from the value.
+function toMoney(input, fallbackCurrency, field) {
+  if (typeof input === 'string') {
+    const parsed = MoneyHelper.parse(input, fallbackCurrency);
+    if (!parsed) {
+      throw new ValidationError(`Could not read ${field} "${input}". Use a form like ₹5 Cr, ₹50 L, $1.5M or €2B`);
+    }
+    return { ...parsed, displayText: MoneyHelper.format(parsed.value, parsed.currency) };
+  }
+
+  if (!input || typeof input !== 'object') {
+    throw new ValidationError(`${field} must be display text or an object with value and currency`);
+  }
+
+  const currency = input.currency ? CurrencyService.normaliseCode(input.currency, `${field}.currency`) : fallbackCurrency;
+
+  if (input.value === undefined || input.value === null || input.value === '') {
+    if (!input.displayText) {
+      throw new ValidationError(`${field} needs a value or display text`);
+    }
+    return toMoney(String(input.displayText), currency, field);
+  }
+
+  const value = Number(input.value);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new ValidationError(`${field}.value must be a non-negative number`);
+  }
+
+  return { value, currency, displayText: MoneyHelper.format(value, currency) };
+}
+
+// Normalise the money fields present in a create/update payload
+function normaliseMoneyFields(data, deal = null) {
+  MONEY_FIELDS.forEach(field => {
+    if (data[field] === undefined || data[field] === null || data[field] === '') return;
+
+    const current = deal && deal[field] && deal[field].currency;
+    data[field] = toMoney(data[field], current || CurrencyService.BASE, field);
+  });
+}
+
+// Watch alert lines for the edited fields watchers follow. Returns are behind the
+// NDA for some deals, so the alert says they changed without giving the figure.
+function describeWatchedChanges(fieldChanges) {
+  const lines = [];
+  fieldChanges.forEach(change => {
+    if (change.field === 'amount') {
+      lines.push(change.to ? `Raise amount is now ${change.to.displayText || MoneyHelper.format(change.to.value, change.to.currency)}` : 'Raise amount was removed');
+    } else if (change.field === 'returns') {
+      lines.push('Target returns have been updated');
+    }
+  });
+  return lines;
+}
+
+/**
+ * Helper to refuse a currency change while investors hold open commitments,
+ * since those amounts are recorded in the deal's current currency
+ */
+async function assertCurrencyChangeAllowed(deal, previousCurrency) {
+  const currency = (deal.amount && deal.amount.currency) || CurrencyService.BASE;
+  if (currency === previousCurrency) {
+    return;
+  }
+
+  const { INDICATED, CONFIRMED, ALLOCATED } = constants.COMMITMENT_STATUS;
+  const hasOpenCommitments = await DealCommitment.exists({
+    dealId: deal._id,
+    status: { $in: [INDICATED, CONFIRMED, ALLOCATED] }
+  });
+  if (hasOpenCommitments) {
+    throw new ValidationError(`This deal has open commitments in ${previousCurrency}, so its currency can't change`);
+  }
+}
+
+// Documents belong in the private data room. Refuse document links on the deal itself,
+// except legacy ones the deal already has, so a deal sent back unchanged still saves.
+function rejectDealDocuments(data, deal = null) {
+  const existing = deal
+    ? [...(deal.dealMedias || []).filter(media => media.type === 'document'), ...((deal.compliance && deal.compliance.documents) || [])]
+    : [];
+  const known = new Set(existing.map(document => document.path));
+
+  const incoming = [
+    ...(Array.isArray(data.dealMedias) ? data.dealMedias.filter(media => media && media.type === 'document') : []),
+    ...(data.compliance && Array.isArray(data.compliance.documents) ? data.compliance.documents : [])
+  ];
+
+  if (incoming.some(document => !document || !known.has(document.path))) {
+    throw new ValidationError('Documents can no longer be attached to a deal. Upload them to the deal\'s data room');
+  }
+}
+
+async function removeFromHotDeals(deal, actor) {
+  const categories = await HotDealsService.removeDealFromAllCategories(deal._id, actor._id);
+  return categories.length > 0 ? { effect: 'removed-from-hot-deals', categories } : null;
+}
+
 class DealsService {
   // Create a new deal
   static async createDeal(dealData, createdBy) {
@@ -13,29 +202,31 @@ class DealsService {
         throw new ValidationError(`Missing required fields: ${missingFields.join(', ')}`);
       }
 
-      // Process amount if provided and it's a string
-      if (dealData.amount && typeof dealData.amount === 'string') {
-        dealData.amount = {
-          displayText: dealData.amount,
-          value: this.extractNumericValue(dealData.amount),
-          currency: this.extractCurrency(dealData.amount)
-        };
-      }
+      // amount and minInvestment may be display text ("₹500 Cr") or { value, currency }
+      normaliseMoneyFields(dealData);
 
-      // Process minInvestment if provided and it's a string
-      if (dealData.minInvestment && typeof dealData.minInvestment === 'string') {
-        dealData.minInvestment = {
-          displayText: dealData.minInvestment,
-          value: this.extractNumericValue(dealData.minInvestment),
-          currency: this.extractCurrency(dealData.minInvestment)
-        };
-      }
+      await validateAllowedInvestors(dealData.allowedInvestorIds);
+      rejectDealDocuments(dealData);
 
+      // Status history and the NDA are managed through their own routes
+      const { statusHistory, statusChangedAt, nda, ...fields } = dealData;
       const deal = new Deal({
-        ...dealData,
+        ...fields,
         createdBy
       });
 
+      if (deal.status && !STATUS_TRANSITIONS[deal.status]) {
+        throw new ValidationError(`Invalid status: ${deal.status}`);
+      }
+
+      deal.statusHistory = [{
+        from: null,
+        to: deal.status,
+        reason: 'Deal created',
+        changedBy: { _id: createdBy }
+      }];
+
+      await CurrencyService.normaliseDeal(deal);
       await deal.save();
       return await this.getDealById(deal._id, createdBy);
     } catch (error) {
@@ -46,8 +237,10 @@ class DealsService {
     }
   }
 
-  // Update an existing deal
-  static async updateDeal(dealId, updateData) {
+  // Update an existing deal. Content changes are stored as a new version with the actor;
+  // options: reason, notifyInvestors (tell investors with open commitments about material
+  // changes), revertOf (set by revertToVersion)
+  static async updateDeal(dealId, updateData, actor = null, options = {}) {
     try {
       const deal = await Deal.findById(dealId);
       
@@ -55,26 +248,52 @@ class DealsService {
         throw new ValidationError('Deal not found');
       }
 
-      // Process amount and minInvestment if they're being updated as strings
-      if (updateData.amount && typeof updateData.amount === 'string') {
-        updateData.amount = {
-          displayText: updateData.amount,
-          value: this.extractNumericValue(updateData.amount),
-          currency: this.extractCurrency(updateData.amount)
-        };
+      // A new amount without a currency keeps the deal's current currency
+      normaliseMoneyFields(updateData, deal);
+      await validateAllowedInvestors(updateData.allowedInvestorIds);
+      rejectDealDocuments(updateData, deal);
+
+      // Status moves only through changeStatus so every transition is checked and recorded
+      const { status, statusHistory, statusChangedAt, nda, version, ...changes } = updateData;
+      if (status !== undefined && status !== deal.status) {
+        throw new ValidationError('Deal status cannot be changed here. Use PUT deals/{dealId}/status instead');
       }
 
-      if (updateData.minInvestment && typeof updateData.minInvestment === 'string') {
-        updateData.minInvestment = {
-          displayText: updateData.minInvestment,
-          value: this.extractNumericValue(updateData.minInvestment),
-          currency: this.extractCurrency(updateData.minInvestment)
-        };
+      const previousCurrency = (deal.amount && deal.amount.currency) || CurrencyService.BASE;
+      const before = DealVersionService.snapshot(deal);
+      Object.assign(deal, changes);
+      await assertCurrencyChangeAllowed(deal, previousCurrency);
+      await CurrencyService.normaliseDeal(deal);
+      await deal.validate();
+
+      const fieldChanges = DealVersionService.diff(before, DealVersionService.snapshot(deal));
+      let versionEntry = null;
+      if (fieldChanges.length > 0) {
+        deal.version = (deal.version || 0) + 1;
+        versionEntry = await DealVersionService.record(deal._id, deal.version, fieldChanges, actor, options);
+      }
+
+      try {
+        await deal.save();
+      } catch (error) {
+        if (versionEntry) {
+          await DealVersionService.discard(versionEntry);
+        }
+        throw error;
+      }
+
+      if (versionEntry) {
+        await WatchlistService.notifyWatchersSafely(deal, describeWatchedChanges(fieldChanges), actor);
+      }
+
+      if (versionEntry && options.notifyInvestors) {
+        try {
+          await DealVersionService.notifyInterestedInvestors(deal, versionEntry, actor);
+        } catch (error) {
+          console.error(`Deal ${dealId} version ${versionEntry.version} investor notification failed:`, error.message);
+        }
       }
 
-      Object.assign(deal, updateData);
-      
-      await deal.save();
       return await this.getDealById(dealId);
     } catch (error) {
       if (error.name === 'ValidationError') {
@@ -84,6 +303,36 @@ class DealsService {
     }
   }
 
+  // Restore a deal's content to an earlier version. The restore is itself a new version,
+  // so nothing in the history is lost.
+  static async revertToVersion(dealId, version, actor, { reason, notifyInvestors } = {}) {
+    const { fields } = await DealVersionService.getDealAsOf(dealId, version);
+
+    return await this.updateDeal(dealId, fields, actor, {
+      reason: reason || `Reverted to version ${version}`,
+      notifyInvestors,
+      revertOf: Number(version)
+    });
+  }
+
+  // Get a deal as of a version, presented for the viewer like getVisibleDeal
+  static async getDealVersion(dealId, version, viewer = null) {
+    await DealAccessService.assertCanView(dealId, viewer);
+
+    const { deal, versionEntry, asOf } = await DealVersionService.getDealAsOf(dealId, version);
+    if (viewer && viewer.role === constants.ROLES.ADMIN) {
+      return { deal, version: deal.version, asOf, versionEntry };
+    }
+
+    // Checked against the deal's visibility at that version, e.g. before it was opened up
+    const [view] = await this.presentDeals([deal], viewer);
+    if (!view) {
+      throw new ValidationError('This version of the deal is not available');
+    }
+
+    return { deal: view, version: deal.version, asOf };
+  }
+
   // Delete a deal
   static async deleteDeal(dealId, deletedBy) {
     try {
@@ -95,6 +344,9 @@ class DealsService {
 
       // Soft delete or hard delete based on requirements
       await Deal.findByIdAndDelete(dealId);
+      await DataRoomService.deleteAllForDeal(dealId);
+      await DealVersionService.deleteAllForDeal(dealId);
+      await WatchlistService.deleteAllForDeal(dealId);
       
       return { message: 'Deal deleted successfully', dealId };
     } catch (error) {
@@ -102,10 +354,140 @@ class DealsService {
     }
   }
 
+  static get STATUS_TRANSITIONS() {
+    return STATUS_TRANSITIONS;
+  }
+
+  // Move a deal to a new lifecycle status, recording who did it and why
+  static async changeStatus(dealId, status, actor, reason = null) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw new ValidationError('Invalid deal ID');
+    }
+
+    if (!STATUS_TRANSITIONS[status]) {
+      throw new ValidationError(`Status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`);
+    }
+
+    const deal = await Deal.findById(dealId).select('status isHotDeal title');
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    const from = deal.status || 'Pipeline';
+    if (from === status) {
+      throw new ValidationError(`Deal is already ${status}`);
+    }
+
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(status)) {
+      throw new ValidationError(`Cannot move a deal from ${from} to ${status}. Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`);
+    }
+
+    const change = {
+      from,
+      to: status,
+      reason: reason ? String(reason).trim() : null,
+      changedBy: {
+        _id: actor._id,
+        name: actor.name,
+        adminRole: actor.adminRole
+      },
+      changedAt: new Date()
+    };
+
+    // Conditional on the status we checked, so two admins can't both transition from it
+    const updated = await Deal.findOneAndUpdate(
+      { _id: dealId, status: deal.status },
+      {
+        $set: { status, statusChangedAt: change.changedAt, updatedAt: change.changedAt },
+        $push: { statusHistory: change }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new ValidationError('Deal status was changed by someone else. Please reload and try again');
+    }
+
+    const sideEffects = [];
+    for (const effect of STATUS_SIDE_EFFECTS[status] || []) {
+      try {
+        const result = await effect(updated, actor);
+        if (result) {
+          sideEffects.push(result);
+        }
+      } catch (error) {
+        console.error(`Deal ${dealId} status side effect ${effect.name} failed:`, error.message);
+      }
+    }
+
+    const watchAlerts = await WatchlistService.notifyWatchersSafely(updated, [`Status changed from ${from} to ${status}`], actor);
+    if (watchAlerts.notified > 0) {
+      sideEffects.push({ effect: 'watchers-notified', ...watchAlerts });
+    }
+
+    return {
+      dealId: updated._id,
+      status: updated.status,
+      previousStatus: from,
+      statusChangedAt: updated.statusChangedAt,
+      allowedTransitions: STATUS_TRANSITIONS[updated.status],
+      sideEffects,
+      statusHistory: updated.statusHistory
+    };
+  }
+
+  // Get a deal's lifecycle status and transition history
+  static async getStatusHistory(dealId) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw new ValidationError('Invalid deal ID');
+    }
+
+    const deal = await Deal.findById(dealId).select('title status statusChangedAt statusHistory').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    return {
+      dealId: deal._id,
+      title: deal.title,
+      status: deal.status,
+      statusChangedAt: deal.statusChangedAt,
+      allowedTransitions: STATUS_TRANSITIONS[deal.status] || [],
+      statusHistory: deal.statusHistory || []
+    };
+  }
+
+  // Get a deal as a viewer may see it: hidden private deals read as not found,
+  // and NDA-protected details are redacted until accepted
+  static async getVisibleDeal(dealId, viewer = null) {
+    await DealAccessService.assertCanView(dealId, viewer);
+
+    const deal = await this.getDealById(dealId);
+    if (viewer && viewer.role === constants.ROLES.ADMIN) {
+      return deal;
+    }
+
+    return await NdaService.applyToDeal(toPublicDeal(deal), viewer);
+  }
+
+  // Prepare deals for a viewer: drop private deals they can't see, hide admin-only
+  // fields and redact NDA-protected details. Use it for deals loaded elsewhere, e.g. hot deals.
+  static async presentDeals(deals, viewer = null) {
+    const plainDeals = deals.filter(Boolean).map(deal => (deal.toObject ? deal.toObject() : deal));
+    if (viewer && viewer.role === constants.ROLES.ADMIN) {
+      return plainDeals;
+    }
+
+    const visibleDeals = await DealAccessService.filterVisible(plainDeals, viewer);
+    return await NdaService.applyToDeals(visibleDeals.map(toPublicDeal), viewer);
+  }
+
   // Get single deal by ID
   static async getDealById(dealId, userId = null) {
     try {
       const deal = await Deal.findById(dealId)
+        .select('-statusHistory')
         .populate('createdBy', 'fullName email')
         .lean();
 
@@ -113,11 +495,6 @@ class DealsService {
         throw new ValidationError('Deal not found');
       }
 
-      // Check if deal is public or user has access
-      if (!deal.isPublic && userId) {
-        // Add role-based access logic here if needed
-      }
-
       // Increment view count if not the creator viewing their own deal
       if (userId && deal.createdBy.toString() !== userId.toString()) {
         await Deal.findByIdAndUpdate(dealId, {
@@ -132,8 +509,10 @@ class DealsService {
     }
   }
 
-  // Get all deals with filters
-  static async getAllDeals(filters = {}) {
+  // Get the deals a viewer can see, with facet counts for the filters; NDA-protected
+  // deals are redacted for viewers who haven't accepted. A search term switches to the
+  // text index and, unless another sort is asked for, orders results by relevance.
+  static async getAllDeals(filters = {}, viewer = null) {
     try {
       const {
         category,
@@ -141,14 +520,26 @@ class DealsService {
         status,
         adminSelected,
         isHotDeal,
-        search,
+        minAmount,
+        maxAmount,
+        amountCurrency,
         page = 1,
         limit = 20,
-        sortBy = 'createdAt',
         sortOrder = 'desc'
       } = filters;
 
-      const query = { isPublic: true };
+      const search = filters.search ? String(filters.search).trim() : '';
+      if (search.length > MAX_SEARCH_LENGTH) {
+        throw new ValidationError(`Search terms can be at most ${MAX_SEARCH_LENGTH} characters`);
+      }
+
+      const sortBy = filters.sortBy || (search ? 'relevance' : 'createdAt');
+      if (sortBy === 'relevance' && !search) {
+        throw new ValidationError('Sorting by relevance needs a search term');
+      }
+
+      // Public deals plus the private deals the viewer is allowed into
+      const query = await DealAccessService.queryFor(viewer);
 
       // Apply filters
       if (category) query.category = category;
@@ -163,35 +554,55 @@ class DealsService {
       if (adminSelected !== undefined) query.adminSelected = adminSelected;
       if (isHotDeal !== undefined) query.isHotDeal = isHotDeal;
 
-      // Search functionality
+      // Amount range in any supported currency, compared in the base currency
+      if (minAmount !== undefined || maxAmount !== undefined) {
+        const currency = amountCurrency ? CurrencyService.normaliseCode(amountCurrency, 'amountCurrency') : CurrencyService.BASE;
+        query['amount.baseValue'] = {};
+        if (minAmount !== undefined) {
+          query['amount.baseValue'].$gte = await CurrencyService.boundToBase(minAmount, currency, 'minAmount');
+        }
+        if (maxAmount !== undefined) {
+          query['amount.baseValue'].$lte = await CurrencyService.boundToBase(maxAmount, currency, 'maxAmount');
+        }
+      }
+
+      // Text search over title, company, tags and description (weighted in that order).
+      // Company names behind an NDA are left out of the index, see Deal.searchCompany.
       if (search) {
-        query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { company: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $regex: search, $options: 'i' } }
-        ];
+        query.$text = { $search: search };
       }
 
       // Pagination
       const skip = (page - 1) * limit;
+      const projection = { statusHistory: 0 };
       const sortOptions = {};
-      sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+      if (sortBy === 'relevance') {
+        projection.score = { $meta: 'textScore' };
+        sortOptions.score = { $meta: 'textScore' };
+        sortOptions.createdAt = -1;
+      } else {
+        sortOptions[SORT_FIELD_ALIASES[sortBy] || sortBy] = sortOrder === 'desc' ? -1 : 1;
+      }
 
-      const [deals, totalCount] = await Promise.all([
-        Deal.find(query)
+      const [deals, totalCount, [facets]] = await Promise.all([
+        Deal.find(query, projection)
           .populate('createdBy', 'fullName email')
           .sort(sortOptions)
           .skip(skip)
           .limit(parseInt(limit))
           .lean(),
-        Deal.countDocuments(query)
+        Deal.countDocuments(query),
+        Deal.aggregate([
+          { $match: query },
+          { $facet: buildFacetStages() }
+        ])
       ]);
 
       const totalPages = Math.ceil(totalCount / limit);
 
       return {
-        deals,
+        deals: await this.presentDeals(deals, viewer),
+        facets,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -273,34 +684,6 @@ class DealsService {
     }
   }
 
-  // Utility methods
-  static extractNumericValue(displayText) {
-    // Extract numeric value from display text like "₹500 Cr", "$100M"
-    const numericPart = displayText.replace(/[^\d.,]/g, '');
-    const value = parseFloat(numericPart.replace(/,/g, ''));
-    
-    // Handle Cr (Crore), L (Lakh), M (Million), B (Billion) etc.
-    if (displayText.toLowerCase().includes('cr')) {
-      return value * 10000000; // 1 Crore = 10 Million
-    } else if (displayText.toLowerCase().includes('l')) {
-      return value * 100000; // 1 Lakh = 100,000
-    } else if (displayText.toLowerCase().includes('m')) {
-      return value * 1000000; // 1 Million
-    } else if (displayText.toLowerCase().includes('b')) {
-      return value * 1000000000; // 1 Billion
-    }
-    
-    return value || 0;
-  }
-
-  static extractCurrency(displayText) {
-    if (displayText.includes('₹')) return 'INR';
-    if (displayText.includes('$')) return 'USD';
-    if (displayText.includes('€')) return 'EUR';
-    if (displayText.includes('£')) return 'GBP';
-    return 'INR'; // Default
-  }
-
   // Analytics methods
   static async getDealAnalytics(dealId) {
     try {
@@ -0,0 +1,223 @@
+// shared/services/dealVersionService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const Deal = require('../../models/deal');
+const DealVersion = require('../../models/dealVersion');
+const DealCommitment = require('../../models/dealCommitment');
+const Notification = require('../../models/notification');
+const MoneyHelper = require('../hellpers/MoneyHelper');
+const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
+
+// Deal content that is versioned. Status, NDA and analytics have their own history.
+const VERSIONED_FIELDS = [
+  'title', 'company', 'description', 'category', 'subcategory', 'type',
+  'amount', 'minInvestment', 'duration', 'returns', 'riskLevel', 'geography',
+  'tags', 'isPublic', 'targetInvestors', 'allowedInvestorIds'
+];
+
+// Fields investors base a commitment on; changing one can trigger a notification
+const MATERIAL_FIELDS = {
+  amount: 'Raise amount',
+  minInvestment: 'Minimum investment',
+  returns: 'Target returns',
+  duration: 'Duration',
+  riskLevel: 'Risk level'
+};
+
+const MONEY_FIELDS = ['amount', 'minInvestment'];
+
+/**
+ * Helper to turn a stored value into plain JSON (ObjectIds and dates become strings)
+ */
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Helper to read one versioned field; money keeps what was entered, not the derived base value
+ */
+const readField = (deal, field) => {
+  const value = deal[field];
+  if (MONEY_FIELDS.includes(field)) {
+    return value && value.value !== undefined && value.value !== null
+      ? toPlain({ value: value.value, currency: value.currency, displayText: value.displayText })
+      : null;
+  }
+  return toPlain(value);
+};
+
+/**
+ * Helper to show a changed value in a notification
+ */
+const describe = (field, value) => {
+  if (value === null || value === '') return 'not set';
+  if (MONEY_FIELDS.includes(field)) {
+    return value.displayText || MoneyHelper.format(value.value, value.currency);
+  }
+  return String(value);
+};
+
+class DealVersionService {
+  /**
+   * Plain copy of a deal's versioned fields
+   */
+  static snapshot(deal) {
+    const plain = deal.toObject ? deal.toObject({ depopulate: true }) : deal;
+    return VERSIONED_FIELDS.reduce((fields, field) => {
+      fields[field] = readField(plain, field);
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Field-by-field changes between two snapshots
+   */
+  static diff(before, after) {
+    return VERSIONED_FIELDS
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, from: before[field], to: after[field] }));
+  }
+
+  /**
+   * Store the diff for a new version. The unique { dealId, version } index stops two
+   * concurrent edits from both claiming the same version number.
+   */
+  static async record(dealId, version, changes, actor, { reason, revertOf = null } = {}) {
+    try {
+      return await DealVersion.create({
+        dealId,
+        version,
+        changes,
+        material: changes.some(change => MATERIAL_FIELDS[change.field]),
+        reason: reason ? String(reason).trim() : null,
+        revertOf,
+        changedBy: actor ? { _id: actor._id, name: actor.name, adminRole: actor.adminRole } : undefined
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError('The deal was changed by someone else. Please reload and try again');
+      }
+      throw new DatabaseError('Failed to record deal version');
+    }
+  }
+
+  /**
+   * Drop a version whose deal update didn't save
+   */
+  static async discard(versionEntry) {
+    await DealVersion.deleteOne({ _id: versionEntry._id });
+  }
+
+  /**
+   * List a deal's versions, newest first
+   */
+  static async listVersions(dealId) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw new ValidationError('Invalid deal ID');
+    }
+
+    const deal = await Deal.findById(dealId).select('title version').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    const versions = await DealVersion.find({ dealId }).sort({ version: -1 }).lean();
+
+    return {
+      dealId: deal._id,
+      title: deal.title,
+      currentVersion: deal.version || 0,
+      versions
+    };
+  }
+
+  /**
+   * The deal as it was at a version: the current deal with every later change undone
+   */
+  static async getDealAsOf(dealId, version) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw new ValidationError('Invalid deal ID');
+    }
+
+    const deal = await Deal.findById(dealId).select('-statusHistory').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    const target = Number(version);
+    const currentVersion = deal.version || 0;
+    if (!Number.isInteger(target) || target < 0 || target > currentVersion) {
+      throw new ValidationError(`Version must be between 0 and ${currentVersion}`);
+    }
+
+    const laterVersions = await DealVersion.find({ dealId, version: { $gt: target } })
+      .sort({ version: -1 })
+      .lean();
+
+    const fields = DealVersionService.snapshot(deal);
+    laterVersions.forEach(entry => {
+      entry.changes.forEach(change => {
+        fields[change.field] = change.from;
+      });
+    });
+
+    const versionEntry = target > 0 ? await DealVersion.findOne({ dealId, version: target }).lean() : null;
+
+    return {
+      deal: { ...deal, ...fields, version: target },
+      fields,
+      versionEntry,
+      asOf: versionEntry ? versionEntry.createdAt : deal.createdAt
+    };
+  }
+
+  /**
+   * Tell investors with an open commitment that a material field changed.
+   * Returns how many were notified.
+   */
+  static async notifyInterestedInvestors(deal, versionEntry, actor) {
+    const materialChanges = versionEntry.changes.filter(change => MATERIAL_FIELDS[change.field]);
+    if (materialChanges.length === 0) {
+      return 0;
+    }
+
+    const { INDICATED, CONFIRMED, ALLOCATED } = constants.COMMITMENT_STATUS;
+    const investorIds = await DealCommitment.distinct('investorId', {
+      dealId: deal._id,
+      status: { $in: [INDICATED, CONFIRMED, ALLOCATED] }
+    });
+
+    if (investorIds.length === 0) {
+      return 0;
+    }
+
+    const summary = materialChanges
+      .map(change => `${MATERIAL_FIELDS[change.field]}: ${describe(change.field, change.from)} → ${describe(change.field, change.to)}`)
+      .join('; ');
+
+    await Notification.insertMany(investorIds.map(investorId => ({
+      recipientId: investorId,
+      recipientType: 'investor',
+      senderId: actor ? actor._id : null,
+      senderType: actor ? 'admin' : 'system',
+      type: 'deal_updated',
+      title: `Terms updated: ${deal.title}`,
+      message: `${summary}${versionEntry.reason ? `. Reason: ${versionEntry.reason}` : ''}`,
+      relatedEntityId: deal._id,
+      relatedEntityType: 'deal',
+      priority: 'high',
+      actionUrl: `/deals/${deal._id}`,
+      actionText: 'Review Deal'
+    })));
+
+    await DealVersion.updateOne({ _id: versionEntry._id }, { $set: { investorsNotified: investorIds.length } });
+    return investorIds.length;
+  }
+
+  /**
+   * Remove a deleted deal's history
+   */
+  static async deleteAllForDeal(dealId) {
+    await DealVersion.deleteMany({ dealId });
+  }
+}
+
+module.exports = DealVersionService;
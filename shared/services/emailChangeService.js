@@ -0,0 +1,216 @@
+// shared/services/emailChangeService.js
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const CompanyProfile = require('../../models/sintracapFounder');
+const { EmailApiService } = require('./EmailApiService');
+const AuthService = require('./authService');
+const SessionService = require('./sessionService');
+const AuditService = require('./auditService');
+const TokenHelper = require('../hellpers/TokenHelper');
+const RequestHelper = require('../hellpers/RequestHelper');
+const { ValidationError, DatabaseError, RateLimitError, validateEmail } = require('../middleware/errorHandler');
+
+/**
+ * Helper to get the profile model for a role
+ */
+const getModelForRole = (role) => {
+  if (role === 'investor') return InvestorProfile;
+  if (role === 'founder') return CompanyProfile;
+  throw new ValidationError('Invalid role specified');
+};
+
+/**
+ * Helper to hide most of an address in notices ("jo***@example.com")
+ */
+const maskEmail = (email) => {
+  const [local, domain] = email.split('@');
+  return `${local.substring(0, 2)}***@${domain}`;
+};
+
+/**
+ * Helper to clear a pending change
+ */
+const clearPendingChange = (user) => {
+  user.pendingEmailChange.email = null;
+  user.pendingEmailChange.codeHash = null;
+  user.pendingEmailChange.expiresAt = null;
+  user.pendingEmailChange.attempts = 0;
+};
+
+/**
+ * Helper to send the security notice to the current address.
+ * A failed notice is logged but doesn't block the change.
+ */
+const sendOldAddressNotice = async (oldEmail, newEmail, completed) => {
+  try {
+    await EmailApiService.sendEmail({
+      to: oldEmail,
+      subject: completed ? 'Your Sintracap email address was changed' : 'Email change requested on your Sintracap account',
+      htmlTemplate: EmailApiService.createEmailChangeNoticeEmailTemplate(maskEmail(newEmail), completed),
+      textTemplate: EmailApiService.createEmailChangeNoticeEmailTextTemplate(maskEmail(newEmail), completed),
+      from: constants.EMAIL_FROM
+    });
+  } catch (error) {
+    console.error('Failed to send email change notice:', error.message);
+  }
+};
+
+class EmailChangeService {
+  /**
+   * Start an email change: email a code to the new address and a notice to the old one.
+   * Accounts with a password must confirm it, so a stolen access token alone can't take over the login.
+   */
+  static async requestChange(userId, role, { newEmail, password }, req = null) {
+    const user = await EmailChangeService.getUser(userId, role);
+    const email = validateEmail(newEmail);
+
+    if (email === user.email) {
+      throw new ValidationError('The new email address is the same as the current one');
+    }
+
+    if (user.password) {
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        throw new ValidationError('Current password is incorrect');
+      }
+    }
+
+    const cooldownMs = constants.EMAIL_VERIFICATION.RESEND_COOLDOWN_SECONDS * 1000;
+    const { requestedAt } = user.pendingEmailChange;
+    if (requestedAt && Date.now() - requestedAt.getTime() < cooldownMs) {
+      const retryAfterSeconds = Math.ceil((requestedAt.getTime() + cooldownMs - Date.now()) / 1000);
+      throw new RateLimitError(`Please wait ${retryAfterSeconds} seconds before requesting another code`, retryAfterSeconds);
+    }
+
+    if (!(await AuthService.isEmailAvailable(email))) {
+      throw new ValidationError(constants.ERRORS.EMAIL_ALREADY_EXISTS);
+    }
+
+    const code = AuthService.generateVerificationToken();
+    const expiresInMinutes = constants.EMAIL_CHANGE.EXPIRE_MINUTES;
+
+    user.pendingEmailChange.email = email;
+    user.pendingEmailChange.codeHash = TokenHelper.hash(code);
+    user.pendingEmailChange.expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    user.pendingEmailChange.attempts = 0;
+    user.pendingEmailChange.requestedAt = new Date();
+
+    try {
+      await user.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to start email change');
+    }
+
+    try {
+      await EmailApiService.sendEmail({
+        to: email,
+        subject: 'Confirm your new Sintracap email address',
+        htmlTemplate: EmailApiService.createEmailChangeCodeEmailTemplate(code, expiresInMinutes),
+        textTemplate: EmailApiService.createEmailChangeCodeEmailTextTemplate(code, expiresInMinutes),
+        from: constants.EMAIL_FROM
+      });
+    } catch (error) {
+      console.error('Failed to send email change code:', error.message);
+      throw new DatabaseError('Failed to send verification code');
+    }
+
+    await sendOldAddressNotice(user.email, email, false);
+
+    await AuditService.record({
+      action: 'email-change.requested',
+      actor: { _id: user._id, role },
+      subject: { _id: user._id, role },
+      metadata: { newEmailHash: TokenHelper.hash(email) }
+    }, req);
+
+    return {
+      pendingEmail: email,
+      expiresAt: user.pendingEmailChange.expiresAt
+    };
+  }
+
+  /**
+   * Confirm the code sent to the new address and switch the login email.
+   * Every existing session is revoked; the confirming device gets a fresh one.
+   */
+  static async confirmChange(userId, role, code, req = null) {
+    const user = await EmailChangeService.getUser(userId, role);
+    const pending = user.pendingEmailChange;
+
+    if (!pending.email || !pending.codeHash) {
+      throw new ValidationError('There is no pending email change');
+    }
+
+    if (pending.expiresAt && pending.expiresAt < Date.now()) {
+      clearPendingChange(user);
+      await user.save();
+      throw new ValidationError('Verification code has expired. Please request a new one');
+    }
+
+    if (!TokenHelper.matchesHash(String(code || '').trim().toUpperCase(), pending.codeHash)) {
+      pending.attempts = (pending.attempts || 0) + 1;
+      const remainingAttempts = constants.EMAIL_VERIFICATION.MAX_ATTEMPTS - pending.attempts;
+
+      if (remainingAttempts <= 0) {
+        clearPendingChange(user);
+      }
+      await user.save();
+
+      throw new ValidationError(remainingAttempts > 0
+        ? `Invalid verification code. ${remainingAttempts} attempt${remainingAttempts !== 1 ? 's' : ''} remaining`
+        : 'Too many invalid attempts. Please request a new code');
+    }
+
+    // The address may have been registered since the code was sent
+    const newEmail = pending.email;
+    if (!(await AuthService.isEmailAvailable(newEmail))) {
+      clearPendingChange(user);
+      await user.save();
+      throw new ValidationError(constants.ERRORS.EMAIL_ALREADY_EXISTS);
+    }
+
+    const oldEmail = user.email;
+    user.email = newEmail;
+    user.emailVerified = true;
+    clearPendingChange(user);
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(constants.ERRORS.EMAIL_ALREADY_EXISTS);
+      }
+      throw new DatabaseError('Failed to change email');
+    }
+
+    await SessionService.revokeAllForUser(user._id, 'email-changed');
+    await sendOldAddressNotice(oldEmail, newEmail, true);
+
+    await AuditService.record({
+      action: 'email-change.completed',
+      actor: { _id: user._id, role },
+      subject: { _id: user._id, role },
+      metadata: { oldEmailHash: TokenHelper.hash(oldEmail), newEmailHash: TokenHelper.hash(newEmail) }
+    }, req);
+
+    return AuthService.buildLoginResponse(user, role, req ? RequestHelper.getClientInfo(req) : null);
+  }
+
+  /**
+   * Get a profile by ID and role
+   */
+  static async getUser(userId, role) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const user = await getModelForRole(role).findById(userId);
+    if (!user) {
+      throw new ValidationError(constants.ERRORS.USER_NOT_FOUND);
+    }
+    return user;
+  }
+}
+
+module.exports = EmailChangeService;
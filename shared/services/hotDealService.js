@@ -29,15 +29,11 @@ class HotDealsService {
 
 static async toggleDealInCategory(category, dealId, updatedBy) {
     try {
-      // Validate deal exists and is public
+      // Validate deal exists; private deals are only shown to investors who can see them
       const deal = await Deal.findById(dealId);
       if (!deal) {
         throw new ValidationError('Deal not found');
       }
-      
-      if (!deal.isPublic) {
-        throw new ValidationError('Cannot manage private deal in hot deals');
-      }
 
       if (deal.category !== category) {
         throw new ValidationError(`Deal does not belong to category ${category}`);
@@ -115,6 +111,60 @@ static async toggleDealInCategory(category, dealId, updatedBy) {
     }
   }
 
+  // Remove a deal from one hot deals category
+  static async removeDealFromCategory(category, dealId, updatedBy) {
+    try {
+      const hotDealsCategory = await HotDeals.findOne({ category });
+
+      if (!hotDealsCategory) {
+        throw new ValidationError('Hot deals category not found');
+      }
+
+      const dealExists = hotDealsCategory.dealIds.some(
+        id => id.toString() === dealId.toString()
+      );
+
+      if (!dealExists) {
+        throw new ValidationError('Deal is not in this hot deals category');
+      }
+
+      hotDealsCategory.removeDeal(dealId);
+      hotDealsCategory.updatedBy = updatedBy;
+      await hotDealsCategory.save();
+
+      await Deal.findByIdAndUpdate(dealId, {
+        isHotDeal: false,
+        updatedAt: new Date()
+      });
+
+      return await this.getCategoryDeals(category);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove a deal from every hot deals category it appears in (e.g. once it closes)
+  static async removeDealFromAllCategories(dealId, updatedBy) {
+    try {
+      const categories = await HotDeals.find({ dealIds: dealId });
+
+      for (const hotDealsCategory of categories) {
+        hotDealsCategory.removeDeal(dealId);
+        hotDealsCategory.updatedBy = updatedBy;
+        await hotDealsCategory.save();
+      }
+
+      await Deal.findByIdAndUpdate(dealId, {
+        isHotDeal: false,
+        updatedAt: new Date()
+      });
+
+      return categories.map(category => category.category);
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Helper method to check if deal is in hot deals
   static async isDealInHotDeals(category, dealId) {
     try {
@@ -0,0 +1,305 @@
+// shared/services/identityService.js
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const CompanyProfile = require('../../models/sintracapFounder');
+const CacheService = require('./cacheService');
+const config = require('../config/config');
+const { ValidationError, DatabaseError, AuthError } = require('../middleware/errorHandler');
+
+const LINKABLE_PROVIDERS = ['google', 'linkedin'];
+
+// Google's ID token signing certificates, keyed by kid
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v1/certs';
+const GOOGLE_CERTS_CACHE_KEY = 'google:id-token-certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+/**
+ * Helper to get the profile model for a role
+ */
+const getModelForRole = (role) => {
+  if (role === 'investor') return InvestorProfile;
+  if (role === 'founder') return CompanyProfile;
+  throw new ValidationError('Invalid role specified');
+};
+
+/**
+ * Helper to shape identities for API responses
+ */
+const formatIdentities = (user) => {
+  return (user.linkedIdentities || []).map(identity => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt
+  }));
+};
+
+class IdentityService {
+  static get LINKABLE_PROVIDERS() {
+    return LINKABLE_PROVIDERS;
+  }
+
+  /**
+   * Find the account a provider identity is linked to
+   */
+  static async findByProviderId(provider, providerId) {
+    if (!providerId) {
+      return { user: null, role: null };
+    }
+
+    const query = { linkedIdentities: { $elemMatch: { provider, providerId: String(providerId) } } };
+
+    try {
+      let user = await InvestorProfile.findOne(query);
+      if (user) {
+        return { user, role: 'investor' };
+      }
+
+      user = await CompanyProfile.findOne(query);
+      if (user) {
+        return { user, role: 'founder' };
+      }
+
+      return { user: null, role: null };
+    } catch (error) {
+      throw new DatabaseError('Failed to query linked identities');
+    }
+  }
+
+  /**
+   * Add an identity to a user document (not saved).
+   * Refuses identities that already belong to another account.
+   */
+  static async attachIdentity(user, { provider, providerId, email }) {
+    if (!LINKABLE_PROVIDERS.includes(provider)) {
+      throw new ValidationError(`Provider must be one of: ${LINKABLE_PROVIDERS.join(', ')}`);
+    }
+
+    if (!providerId) {
+      throw new ValidationError('Provider ID is required');
+    }
+
+    const { user: owner } = await IdentityService.findByProviderId(provider, providerId);
+    if (owner && owner._id.toString() !== user._id.toString()) {
+      throw new ValidationError(`This ${provider} account is already linked to another Sintracap account`);
+    }
+
+    const existing = (user.linkedIdentities || []).find(identity => identity.provider === provider);
+    if (existing) {
+      if (existing.providerId === String(providerId)) {
+        return false;
+      }
+      throw new ValidationError(`A different ${provider} account is already linked. Unlink it first`);
+    }
+
+    user.linkedIdentities.push({ provider, providerId: String(providerId), email });
+    return true;
+  }
+
+  /**
+   * Safe merge used at sign-in when a provider's email matches an existing account
+   * that doesn't have this identity linked yet.
+   *
+   * The provider must vouch for the email, and so must the existing account: an
+   * unverified account may have been registered by someone else, so it is never
+   * merged. Its owner can verify the email or reset the password first.
+   */
+  static async mergeOnSignIn(user, { provider, providerId, email, emailVerified }) {
+    if (emailVerified !== true) {
+      throw new AuthError(`An account with this email already exists. Sign in with your existing method and link ${provider} from your account settings`);
+    }
+
+    if (!user.emailVerified) {
+      throw new AuthError(`An account with this email already exists but its email is not verified. Verify your email or reset your password, then link ${provider} from your account settings`);
+    }
+
+    await IdentityService.attachIdentity(user, { provider, providerId, email });
+  }
+
+  /**
+   * Turn the credentials sent to the link route into a provider identity.
+   * LinkedIn is proven with an authorization code; Google with an ID token.
+   */
+  static async resolveIdentity(provider, { idToken, code, redirectUri }) {
+    if (provider === 'linkedin') {
+      if (!code || !redirectUri) {
+        throw new ValidationError('Code and redirect URI are required to link LinkedIn');
+      }
+
+      const profileData = await IdentityService.fetchLinkedInProfile(code, redirectUri);
+      return { provider, providerId: profileData.sub, email: profileData.email };
+    }
+
+    if (provider === 'google') {
+      if (!idToken) {
+        throw new ValidationError('Google ID token is required to link Google');
+      }
+
+      const claims = await IdentityService.verifyGoogleIdToken(idToken);
+      return { provider, providerId: claims.sub, email: claims.email };
+    }
+
+    throw new ValidationError(`Provider must be one of: ${LINKABLE_PROVIDERS.join(', ')}`);
+  }
+
+  /**
+   * Link a provider to a logged-in user's account
+   */
+  static async linkIdentity(userId, role, identity) {
+    const user = await IdentityService.getUser(userId, role);
+    const added = await IdentityService.attachIdentity(user, identity);
+
+    if (added) {
+      try {
+        await user.save();
+      } catch (error) {
+        throw new DatabaseError('Failed to link identity');
+      }
+    }
+
+    return formatIdentities(user);
+  }
+
+  /**
+   * Unlink a provider, as long as the account keeps a way to sign in
+   */
+  static async unlinkIdentity(userId, role, provider) {
+    const user = await IdentityService.getUser(userId, role);
+
+    const remaining = (user.linkedIdentities || []).filter(identity => identity.provider !== provider);
+    if (remaining.length === user.linkedIdentities.length) {
+      throw new ValidationError(`No ${provider} account is linked`);
+    }
+
+    if (remaining.length === 0 && !user.password) {
+      throw new ValidationError('Set a password before unlinking your last sign-in provider');
+    }
+
+    user.linkedIdentities = remaining;
+
+    try {
+      await user.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to unlink identity');
+    }
+
+    return formatIdentities(user);
+  }
+
+  /**
+   * Get a profile by ID and role
+   */
+  static async getUser(userId, role) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    const user = await getModelForRole(role).findById(userId);
+    if (!user) {
+      throw new ValidationError('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Verify a Google ID token's signature, audience, issuer and expiry.
+   * Returns its claims; sub is the Google account ID and email_verified is only
+   * true when Google says so.
+   */
+  static async verifyGoogleIdToken(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      throw new AuthError('Invalid Google ID token');
+    }
+
+    const certs = await IdentityService.getGoogleCerts();
+    const cert = certs[decoded.header.kid];
+    if (!cert) {
+      throw new AuthError('Invalid Google ID token');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, cert, {
+        algorithms: ['RS256'],
+        audience: config.google.clientIds,
+        issuer: GOOGLE_ISSUERS
+      });
+    } catch (error) {
+      throw new AuthError('Invalid or expired Google ID token');
+    }
+
+    if (!claims.sub || !claims.email) {
+      throw new AuthError('Google ID token is missing the account ID or email');
+    }
+
+    return {
+      sub: claims.sub,
+      email: claims.email.toLowerCase(),
+      email_verified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name,
+      picture: claims.picture
+    };
+  }
+
+  /**
+   * Google's current signing certificates, cached for as long as Google allows
+   */
+  static async getGoogleCerts() {
+    const cached = await CacheService.get(GOOGLE_CERTS_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const response = await axios.get(GOOGLE_CERTS_URL, { timeout: 10000 });
+      const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+      await CacheService.set(GOOGLE_CERTS_CACHE_KEY, response.data, maxAge ? Number(maxAge[1]) : 3600);
+      return response.data;
+    } catch (error) {
+      console.error('Google certificate fetch failed:', error.message);
+      throw new AuthError('Could not verify your Google account');
+    }
+  }
+
+  /**
+   * Exchange a LinkedIn authorization code for the member's OpenID profile
+   */
+  static async fetchLinkedInProfile(code, redirectUri) {
+    const { clientId, clientSecret } = config.linkedin;
+
+    try {
+      // Exchange code for access token
+      const tokenResponse = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', null, {
+        params: {
+          grant_type: 'authorization_code',
+          code: code,
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          client_secret: clientSecret
+        },
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      const { access_token } = tokenResponse.data;
+
+      // Get user profile
+      const profileResponse = await axios.get('https://api.linkedin.com/v2/userinfo', {
+        headers: {
+          Authorization: `Bearer ${access_token}`
+        },
+        timeout: 10000
+      });
+
+      return profileResponse.data;
+    } catch (error) {
+      console.error('LinkedIn token exchange failed:', error.message);
+      throw new AuthError('Could not verify your LinkedIn account');
+    }
+  }
+}
+
+module.exports = IdentityService;
@@ -0,0 +1,90 @@
+// shared/services/impersonationService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const CompanyProfile = require('../../models/sintracapFounder');
+const SessionService = require('./sessionService');
+const AuditService = require('./auditService');
+const RequestHelper = require('../hellpers/RequestHelper');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const IMPERSONATABLE_ROLES = ['founder', 'investor'];
+
+class ImpersonationService {
+  /**
+   * Start a time-limited "view as user" session for an admin.
+   * Returns an access token that resolves to the target user while
+   * carrying the admin's identity, so every request can be audited.
+   */
+  static async startImpersonation(admin, { userId, role, reason, durationMinutes }, req = null) {
+    if (!IMPERSONATABLE_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${IMPERSONATABLE_ROLES.join(', ')}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ValidationError('Invalid user ID');
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw new ValidationError('A reason is required to impersonate a user');
+    }
+
+    const expiresInMinutes = durationMinutes === undefined || durationMinutes === null
+      ? constants.IMPERSONATION.DEFAULT_MINUTES
+      : parseInt(durationMinutes);
+    if (!Number.isInteger(expiresInMinutes) || expiresInMinutes < 1 || expiresInMinutes > constants.IMPERSONATION.MAX_MINUTES) {
+      throw new ValidationError(`Duration must be between 1 and ${constants.IMPERSONATION.MAX_MINUTES} minutes`);
+    }
+
+    const Model = role === 'founder' ? CompanyProfile : InvestorProfile;
+    const user = await Model.findById(userId).select('email companyName fullName deletedAt');
+    if (!user || user.deletedAt) {
+      throw new ValidationError('User not found');
+    }
+
+    const session = await SessionService.createImpersonationSession(admin, user, role, {
+      reason: reason.trim(),
+      expiresInMinutes
+    }, req ? RequestHelper.getClientInfo(req) : null);
+
+    await AuditService.record({
+      action: 'impersonation.started',
+      actor: { _id: admin._id, role: 'admin' },
+      subject: { _id: user._id, role },
+      metadata: {
+        sessionId: session.sessionId,
+        reason: reason.trim(),
+        expiresAt: session.expiresAt
+      }
+    }, req);
+
+    return {
+      jwtAccessToken: session.jwtAccessToken,
+      expiresAt: session.expiresAt,
+      user: {
+        _id: user._id,
+        email: user.email,
+        name: role === 'founder' ? user.companyName : user.fullName,
+        role
+      }
+    };
+  }
+
+  /**
+   * Record a request made by an admin while impersonating a user
+   */
+  static async recordRequest(user, req) {
+    await AuditService.record({
+      action: 'impersonation.request',
+      actor: { _id: user.impersonator._id, role: 'admin' },
+      subject: { _id: user._id, role: user.role },
+      metadata: {
+        sessionId: user.sessionId,
+        method: req.method,
+        url: req.originalUrl || req.url
+      }
+    }, req);
+  }
+}
+
+module.exports = ImpersonationService;
@@ -1,21 +1,26 @@
 // shared/services/investorBulkService.js
 const csv = require('csv-parser');
 const { Readable } = require('stream');
-const bcrypt = require('bcryptjs');
 const InvestorProfile = require('../../models/sintracapInvestor');
+const InvitationService = require('./invitationService');
 const { ValidationError } = require('../middleware/errorHandler');
 
-const DEFAULT_PASSWORD = 'TempPass123!';
-
 class InvestorBulkService {
     
-    static async processBulkInvestors(csvDataArray, investors, logger) {
+    /**
+     * Create or update investors from CSV data or a JSON array.
+     * New investors get no password; they claim their account through an invitation link,
+     * which is emailed right away when `sendInvitations` is set.
+     */
+    static async processBulkInvestors(csvDataArray, investors, logger, { sendInvitations = false, invitedBy = null } = {}) {
         let investorsData = [];
         const results = {
             successful: [],
             updated: [],
             failed: [],
             skipped: [],
+            invitationsSent: 0,
+            invitationsFailed: 0,
             totalProcessed: 0,
             successCount: 0,
             updatedCount: 0,
@@ -53,9 +58,6 @@ class InvestorBulkService {
             logger(`Processing ${investorsData.length} investors from all sources`);
             results.totalProcessed = investorsData.length;
 
-            // Hash default password once
-            const hashedPassword = await bcrypt.hash(DEFAULT_PASSWORD, 12);
-
             // Process each investor
             for (const investorData of investorsData) {
                 try {
@@ -97,15 +99,28 @@ class InvestorBulkService {
 
                     } else {
                         // Create new investor
-                        const newInvestorData = this._prepareInvestorData(investorData, hashedPassword);
+                        const newInvestorData = this._prepareInvestorData(investorData);
 
                         const savedInvestor = await InvestorProfile.create(newInvestorData);
 
+                        // A failed email doesn't undo the import; the invitation can be resent
+                        let invitationStatus = savedInvestor.invitation.status;
+                        if (sendInvitations) {
+                            try {
+                                ({ status: invitationStatus } = await InvitationService.sendInvitation(savedInvestor, invitedBy));
+                                results.invitationsSent++;
+                            } catch (error) {
+                                logger(`Failed to send invitation to ${savedInvestor.email}: ${error.message}`);
+                                results.invitationsFailed++;
+                            }
+                        }
+
                         results.successful.push({
                             id: savedInvestor._id,
                             email: savedInvestor.email,
                             fullName: savedInvestor.fullName,
-                            fetchedFromCSV: savedInvestor.fetchedFromCSV
+                            fetchedFromCSV: savedInvestor.fetchedFromCSV,
+                            invitationStatus
                         });
                         results.successCount++;
 
@@ -126,15 +141,20 @@ class InvestorBulkService {
             const message = `Processed ${results.totalProcessed} investors. ` +
                            `Created: ${results.successCount}, ` +
                            `Updated: ${results.updatedCount}, ` +
-                           `Failed: ${results.failureCount}`;
+                           `Failed: ${results.failureCount}` +
+                           (sendInvitations ? `, Invitations sent: ${results.invitationsSent}` : '');
+
+            let note = 'Existing investors updated with new data.';
+            if (results.successCount > 0) {
+                note = sendInvitations
+                    ? 'New investors were emailed an invitation to claim their account.'
+                    : 'New investors cannot sign in until they are sent an invitation to claim their account.';
+            }
 
             return {
                 message,
-                defaultPassword: DEFAULT_PASSWORD,
                 results,
-                note: results.successCount > 0 ? 
-                      'New investors created with default password. Please advise them to change it on first login.' :
-                      'Existing investors updated with new data.'
+                note
             };
 
         } catch (error) {
@@ -299,7 +319,7 @@ class InvestorBulkService {
     }
 
     // Prepare investor data for database (for new investors)
-    static _prepareInvestorData(investorData, hashedPassword) {
+    static _prepareInvestorData(investorData) {
         const data = {
             fullName: investorData.fullName?.trim(),
             email: investorData.email?.toLowerCase()?.trim(),
@@ -311,7 +331,7 @@ class InvestorBulkService {
             location: investorData.location?.trim(),
             amountRange: investorData.amountRange?.trim(),
             photoURL: investorData.photoURL?.trim(),
-            password: hashedPassword,
+            password: null,
             role: 'investor',
             fetchedFromCSV: true,
             isVerifiedByAdmin: false,
@@ -0,0 +1,207 @@
+// shared/services/invitationService.js
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const { EmailApiService } = require('./EmailApiService');
+const AuthService = require('./authService');
+const TokenHelper = require('../hellpers/TokenHelper');
+const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
+
+// Profile fields the investor may correct while claiming
+const CLAIMABLE_PROFILE_FIELDS = ['fullName', 'phone', 'linkedIn', 'company', 'designation', 'bio', 'location'];
+
+/**
+ * Helper function to hash password
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Helper to find the investor an invitation link belongs to.
+ * Marks the invitation expired when its link has run out.
+ */
+const findInvitedInvestor = async (email, token) => {
+  if (!email || !token) {
+    throw new ValidationError('Email and token are required');
+  }
+
+  const investor = await InvestorProfile.findOne({ email: email.toLowerCase() });
+  if (!investor || !TokenHelper.matchesHash(token, investor.invitation.tokenHash)) {
+    throw new ValidationError('Invalid or expired invitation link');
+  }
+
+  if (investor.invitation.expiresAt && investor.invitation.expiresAt < Date.now()) {
+    investor.invitation.status = 'expired';
+    await investor.save();
+    throw new ValidationError('This invitation has expired. Please ask the Sintracap team to resend it');
+  }
+
+  return investor;
+};
+
+class InvitationService {
+  /**
+   * Email a single-use claim link to an imported investor.
+   * Sending again replaces the previous link.
+   */
+  static async sendInvitation(investor, invitedBy = null) {
+    if (investor.invitation.status === 'claimed') {
+      throw new ValidationError('Invitation has already been claimed');
+    }
+
+    const claimToken = TokenHelper.generateToken();
+    const expiresInDays = constants.INVITATION.EXPIRE_DAYS;
+
+    investor.invitation.status = 'sent';
+    investor.invitation.tokenHash = TokenHelper.hash(claimToken);
+    investor.invitation.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    investor.invitation.sentAt = new Date();
+    investor.invitation.sentCount = (investor.invitation.sentCount || 0) + 1;
+    investor.invitation.openedAt = null;
+    if (invitedBy) {
+      investor.invitation.invitedBy = invitedBy;
+    }
+
+    try {
+      await investor.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to create invitation');
+    }
+
+    const claimLink = `${constants.FRONTEND_URL}/claim-invitation?email=${encodeURIComponent(investor.email)}&token=${encodeURIComponent(claimToken)}`;
+
+    try {
+      await EmailApiService.sendEmail({
+        to: investor.email,
+        subject: "You're invited to Sintracap",
+        htmlTemplate: EmailApiService.createInvitationEmailTemplate(investor.fullName, claimLink, expiresInDays),
+        textTemplate: EmailApiService.createInvitationEmailTextTemplate(investor.fullName, claimLink, expiresInDays),
+        from: constants.EMAIL_FROM
+      });
+    } catch (error) {
+      console.error('Failed to send invitation email:', error.message);
+      throw new DatabaseError('Failed to send invitation email');
+    }
+
+    return {
+      status: investor.invitation.status,
+      sentAt: investor.invitation.sentAt,
+      expiresAt: investor.invitation.expiresAt
+    };
+  }
+
+  /**
+   * Look up an invitation from its claim link and record that it was opened.
+   * Returns the imported profile so the investor can confirm it.
+   */
+  static async openInvitation(email, token) {
+    const investor = await findInvitedInvestor(email, token);
+
+    if (investor.invitation.status === 'sent') {
+      investor.invitation.status = 'opened';
+      investor.invitation.openedAt = new Date();
+      await investor.save();
+    }
+
+    const profile = {};
+    CLAIMABLE_PROFILE_FIELDS.forEach(field => {
+      profile[field] = investor[field] || '';
+    });
+
+    return {
+      email: investor.email,
+      profile,
+      expiresAt: investor.invitation.expiresAt
+    };
+  }
+
+  /**
+   * Claim an imported account: set a password, confirm the profile and accept terms.
+   * The link proves ownership of the email, so the investor is signed in straight away.
+   */
+  static async claimInvitation(email, token, { password, agreedToTerms, profile = {} }, clientInfo = null) {
+    if (!password || password.length < constants.VALIDATION.MIN_PASSWORD_LENGTH || password.length > constants.VALIDATION.MAX_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be between ${constants.VALIDATION.MIN_PASSWORD_LENGTH} and ${constants.VALIDATION.MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    if (agreedToTerms !== true) {
+      throw new ValidationError('You must accept the terms to claim your account');
+    }
+
+    const investor = await findInvitedInvestor(email, token);
+
+    CLAIMABLE_PROFILE_FIELDS.forEach(field => {
+      if (typeof profile[field] === 'string' && profile[field].trim()) {
+        investor[field] = profile[field].trim();
+      }
+    });
+
+    investor.password = await hashPassword(password);
+    investor.passwordChangedAt = new Date();
+    investor.agreedToTerms = true;
+    investor.emailVerified = true;
+    investor.signupStatus = 'complete';
+    investor.invitation.status = 'claimed';
+    investor.invitation.claimedAt = new Date();
+    investor.invitation.tokenHash = null;
+
+    try {
+      await investor.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to claim invitation');
+    }
+
+    return AuthService.buildLoginResponse(investor, 'investor', clientInfo);
+  }
+
+  /**
+   * Resend invitations to imported investors that haven't claimed their account
+   */
+  static async resendInvitations(investorIds, invitedBy) {
+    if (!Array.isArray(investorIds) || investorIds.length === 0) {
+      throw new ValidationError('investorIds must be a non-empty array');
+    }
+
+    const invalidIds = investorIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      throw new ValidationError(`Invalid investor IDs: ${invalidIds.join(', ')}`);
+    }
+
+    const investors = await InvestorProfile.find({ _id: { $in: investorIds } });
+    const foundIds = investors.map(investor => investor._id.toString());
+
+    const results = {
+      sent: [],
+      skipped: investorIds
+        .filter(id => !foundIds.includes(String(id)))
+        .map(id => ({ investorId: id, reason: 'Investor not found' })),
+      failed: []
+    };
+
+    for (const investor of investors) {
+      if (investor.invitation.status === 'claimed') {
+        results.skipped.push({ investorId: investor._id, email: investor.email, reason: 'Already claimed' });
+        continue;
+      }
+
+      if (investor.signupStatus === 'complete') {
+        results.skipped.push({ investorId: investor._id, email: investor.email, reason: 'Account already active' });
+        continue;
+      }
+
+      try {
+        const invitation = await InvitationService.sendInvitation(investor, invitedBy);
+        results.sent.push({ investorId: investor._id, email: investor.email, ...invitation });
+      } catch (error) {
+        results.failed.push({ investorId: investor._id, email: investor.email, error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = InvitationService;
@@ -0,0 +1,269 @@
+// shared/services/ndaService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const Deal = require('../../models/deal');
+const DealNda = require('../../models/dealNda');
+const NdaAcceptance = require('../../models/ndaAcceptance');
+const TokenHelper = require('../hellpers/TokenHelper');
+const RequestHelper = require('../hellpers/RequestHelper');
+const DealAccessService = require('./dealAccessService');
+const { ValidationError, DatabaseError, ForbiddenError } = require('../middleware/errorHandler');
+
+// Confidential fields hidden from the teaser until the NDA is accepted
+const REDACTED_FIELDS = ['company', 'returns', 'compliance', 'dealMedias'];
+
+/**
+ * Helper to check an ObjectId route parameter
+ */
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${label} ID`);
+  }
+};
+
+/**
+ * Helper to tell whether a deal is behind an NDA
+ */
+const requiresNda = (deal) => !!(deal.nda && deal.nda.required && deal.nda.version > 0);
+
+/**
+ * Helper to build the teaser shown before the NDA is accepted
+ */
+const redact = (deal) => {
+  const teaser = { ...deal };
+  REDACTED_FIELDS.forEach(field => delete teaser[field]);
+  teaser.nda = { required: true, version: deal.nda.version, accepted: false };
+  return teaser;
+};
+
+class NdaService {
+  /**
+   * Attach NDA text to a deal and/or switch the requirement on or off.
+   * Changed text becomes a new version that investors must accept again.
+   */
+  static async setNda(admin, dealId, { text, required }) {
+    assertObjectId(dealId, 'deal');
+
+    const deal = await Deal.findById(dealId).select('nda company');
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    let version = (deal.nda && deal.nda.version) || 0;
+
+    if (text !== undefined) {
+      const ndaText = String(text).trim();
+      if (!ndaText) {
+        throw new ValidationError('NDA text cannot be empty');
+      }
+
+      const textHash = TokenHelper.hash(ndaText);
+      const current = version > 0 ? await DealNda.findOne({ dealId, version }).select('textHash') : null;
+
+      if (!current || current.textHash !== textHash) {
+        try {
+          await DealNda.create({
+            dealId,
+            version: version + 1,
+            text: ndaText,
+            textHash,
+            createdBy: admin._id
+          });
+        } catch (error) {
+          if (error.code === 11000) {
+            throw new ValidationError('The NDA was changed by someone else. Please reload and try again');
+          }
+          throw new DatabaseError('Failed to save NDA');
+        }
+        version += 1;
+      }
+    }
+
+    const isRequired = required === undefined ? (text !== undefined || requiresNda(deal)) : required === true;
+    if (isRequired && version === 0) {
+      throw new ValidationError('Attach the NDA text before requiring it');
+    }
+
+    await Deal.updateOne({ _id: dealId }, {
+      $set: {
+        'nda.required': isRequired,
+        'nda.version': version,
+        'nda.updatedAt': new Date(),
+        // Keep a protected company name out of the search index
+        searchCompany: isRequired ? null : (deal.company || null),
+        updatedAt: new Date()
+      }
+    });
+
+    return NdaService.getCurrent(dealId);
+  }
+
+  /**
+   * Get a deal's NDA requirement and current text
+   */
+  static async getCurrent(dealId) {
+    assertObjectId(dealId, 'deal');
+
+    const deal = await Deal.findById(dealId).select('nda').lean();
+    if (!deal) {
+      throw new ValidationError('Deal not found');
+    }
+
+    const version = (deal.nda && deal.nda.version) || 0;
+    const nda = version > 0 ? await DealNda.findOne({ dealId, version }).lean() : null;
+
+    return {
+      dealId: deal._id,
+      required: requiresNda(deal),
+      version,
+      text: nda ? nda.text : null,
+      updatedAt: deal.nda ? deal.nda.updatedAt : null
+    };
+  }
+
+  /**
+   * Record an investor's click-through acceptance of the current NDA version.
+   * The version must match what the investor was shown, so a text changed in between
+   * isn't accepted silently.
+   */
+  static async accept(user, dealId, version, req = null) {
+    await DealAccessService.assertCanView(dealId, user);
+    const current = await NdaService.getCurrent(dealId);
+
+    if (!current.required) {
+      throw new ValidationError('This deal does not require an NDA');
+    }
+
+    if (parseInt(version) !== current.version) {
+      throw new ValidationError('The NDA has been updated. Please review the latest version before accepting');
+    }
+
+    const nda = await DealNda.findOne({ dealId, version: current.version }).select('_id textHash');
+
+    let acceptance;
+    try {
+      acceptance = await NdaAcceptance.create({
+        dealId,
+        ndaId: nda._id,
+        version: current.version,
+        textHash: nda.textHash,
+        investorId: user._id,
+        investorEmail: user.email,
+        ipAddress: req ? RequestHelper.getClientIp(req) : null,
+        userAgent: req ? RequestHelper.getUserAgent(req) : null
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        // Already accepted; keep the original record
+        acceptance = await NdaAcceptance.findOne({ dealId, investorId: user._id, version: current.version });
+      } else {
+        throw new DatabaseError('Failed to record NDA acceptance');
+      }
+    }
+
+    return {
+      dealId: acceptance.dealId,
+      version: acceptance.version,
+      acceptedAt: acceptance.acceptedAt
+    };
+  }
+
+  /**
+   * List acceptances of a deal's NDA, newest first, as proof of consent
+   */
+  static async listAcceptances(dealId, { version } = {}) {
+    assertObjectId(dealId, 'deal');
+
+    const query = { dealId };
+    if (version !== undefined) {
+      query.version = parseInt(version);
+      if (isNaN(query.version)) {
+        throw new ValidationError('version must be a number');
+      }
+    }
+
+    try {
+      return await NdaAcceptance.find(query)
+        .populate('investorId', 'fullName email')
+        .sort({ acceptedAt: -1 })
+        .lean();
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve NDA acceptances');
+    }
+  }
+
+  /**
+   * Redact NDA-protected deals the viewer hasn't accepted. Admins see everything;
+   * anonymous callers, partners and founders always get the teaser.
+   */
+  static async applyToDeals(deals, viewer = null) {
+    const plainDeals = deals.map(deal => (deal && deal.toObject ? deal.toObject() : deal));
+
+    if (viewer && viewer.role === constants.ROLES.ADMIN) {
+      return plainDeals;
+    }
+
+    const protectedDeals = plainDeals.filter(deal => deal && requiresNda(deal));
+    if (protectedDeals.length === 0) {
+      return plainDeals;
+    }
+
+    const accepted = new Map();
+    if (viewer && viewer.role === constants.ROLES.INVESTOR) {
+      const acceptances = await NdaAcceptance.find({
+        investorId: viewer._id,
+        $or: protectedDeals.map(deal => ({ dealId: deal._id, version: deal.nda.version }))
+      }).select('dealId acceptedAt').lean();
+
+      acceptances.forEach(acceptance => accepted.set(acceptance.dealId.toString(), acceptance.acceptedAt));
+    }
+
+    return plainDeals.map(deal => {
+      if (!deal || !requiresNda(deal)) {
+        return deal;
+      }
+
+      const acceptedAt = accepted.get(deal._id.toString());
+      if (acceptedAt) {
+        return { ...deal, nda: { required: true, version: deal.nda.version, accepted: true, acceptedAt } };
+      }
+
+      return redact(deal);
+    });
+  }
+
+  /**
+   * Single-deal view: the redacted teaser carries the NDA text so it can be accepted
+   */
+  static async applyToDeal(deal, viewer = null) {
+    const [view] = await NdaService.applyToDeals([deal], viewer);
+
+    if (view.nda && view.nda.accepted === false) {
+      const nda = await DealNda.findOne({ dealId: view._id, version: view.nda.version }).select('text').lean();
+      view.nda.text = nda ? nda.text : null;
+    }
+
+    return view;
+  }
+
+  /**
+   * Stop investors who haven't accepted the current NDA from reaching confidential material
+   */
+  static async assertAccepted(dealId, user, message = 'Please accept the NDA for this deal first') {
+    if (user.role === constants.ROLES.ADMIN) {
+      return;
+    }
+
+    const deal = await Deal.findById(dealId).select('nda').lean();
+    if (!deal || !requiresNda(deal)) {
+      return;
+    }
+
+    const acceptance = await NdaAcceptance.exists({ dealId, investorId: user._id, version: deal.nda.version });
+    if (!acceptance) {
+      throw new ForbiddenError(message);
+    }
+  }
+}
+
+module.exports = NdaService;
@@ -1,5 +1,6 @@
 // services/openaiService.js
 const axios = require('axios');
+const config = require('../config/config');
 
 const SYSTEM_PROMPTS = {
   founder: "You are a smart assistant bot. You will be provided with a block of unstructured website content. Your task is to extract only the following founder-related company profile fields. If you find a value for a field, populate it. If you do not find a value, set it to an empty string '', an empty array [], or null (for numeric fields). Return only the JSON object—no extra keys or commentary. Required JSON response schema (always return valid JSON): {'companyName': '','description': '','industry': '','sector': '','foundedDate': '','fundingStage': '','teamSize': '','fundingRaised': {'amount': null,'currency': 'USD','rounds': [{'roundType': '','amount': null,'date': '','leadInvestor': ''}]},'website': '','phone': '','address': '','role': 'founder','financials': [{'year': null,'revenue': null,'profit': null,'burnRate': null,'valuation': null}]}",
@@ -68,7 +69,7 @@ async function processContent(content, role) {
 
   try {
     const response = await axios.post(
-      'https://generic-gpt-40-mini.openai.azure.com/openai/deployments/gpt-4o-mini/chat/completions?api-version=2025-01-01-preview',
+      config.openai.endpoint,
       {
         messages: [
           { role: "system", content: SYSTEM_PROMPTS[role] },
@@ -82,7 +83,7 @@ async function processContent(content, role) {
       },
       {
         headers: {
-          'api-key': process.env.OPENAI_API_KEY,
+          'api-key': config.openai.apiKey,
           'Content-Type': 'application/json'
         }
       }
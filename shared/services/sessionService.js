@@ -0,0 +1,276 @@
+// shared/services/sessionService.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const Session = require('../../models/session');
+const TokenHelper = require('../hellpers/TokenHelper');
+const { ValidationError, DatabaseError, AuthError } = require('../middleware/errorHandler');
+
+/**
+ * Helper to split a refresh token into its session ID and secret.
+ * Refresh tokens have the form "<sessionId>.<secret>".
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new ValidationError('Refresh token is required');
+  }
+
+  const separatorIndex = refreshToken.indexOf('.');
+  const sessionId = refreshToken.substring(0, separatorIndex);
+  const secret = refreshToken.substring(separatorIndex + 1);
+
+  if (separatorIndex === -1 || !mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  return { sessionId, secret };
+};
+
+class SessionService {
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  static signAccessToken(session, expiresIn = constants.ACCESS_TOKEN_EXPIRE) {
+    return jwt.sign(
+      {
+        userId: session.userId,
+        email: session.email,
+        role: session.role,
+        sid: session._id,
+        gen: session.generation
+      },
+      constants.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Create a new session and return an access/refresh token pair
+   * @param {Object} clientInfo - Optional { ipAddress, userAgent, device } from RequestHelper.getClientInfo
+   */
+  static async createSession(user, role, clientInfo = null) {
+    const secret = TokenHelper.generateToken(48);
+
+    try {
+      const session = await Session.create({
+        userId: user._id,
+        role,
+        email: user.email,
+        refreshTokenHash: TokenHelper.hash(secret),
+        ipAddress: clientInfo ? clientInfo.ipAddress : null,
+        userAgent: clientInfo ? clientInfo.userAgent : null,
+        device: clientInfo ? clientInfo.device : null,
+        lastIpAddress: clientInfo ? clientInfo.ipAddress : null,
+        expiresAt: new Date(Date.now() + constants.REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+      });
+
+      return {
+        jwtAccessToken: SessionService.signAccessToken(session),
+        refreshToken: `${session._id}.${secret}`,
+        sessionId: session._id
+      };
+    } catch (error) {
+      throw new DatabaseError('Failed to create session');
+    }
+  }
+
+  /**
+   * Create a session that lets an admin act as a founder or investor.
+   * Only an access token is issued, valid for the lifetime of the session:
+   * the refresh secret is never handed out, so the session can't be extended.
+   */
+  static async createImpersonationSession(admin, user, role, { reason, expiresInMinutes }, clientInfo = null) {
+    try {
+      const session = await Session.create({
+        userId: user._id,
+        role,
+        email: user.email,
+        refreshTokenHash: TokenHelper.hash(TokenHelper.generateToken(48)),
+        impersonatedBy: admin._id,
+        impersonationReason: reason,
+        ipAddress: clientInfo ? clientInfo.ipAddress : null,
+        userAgent: clientInfo ? clientInfo.userAgent : null,
+        device: clientInfo ? clientInfo.device : null,
+        expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+      });
+
+      return {
+        jwtAccessToken: SessionService.signAccessToken(session, expiresInMinutes * 60),
+        sessionId: session._id,
+        expiresAt: session.expiresAt
+      };
+    } catch (error) {
+      throw new DatabaseError('Failed to create impersonation session');
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * The refresh token is rotated on every use; presenting the token that was
+   * just rotated out revokes the whole session as a precaution. Any other wrong
+   * secret is rejected and leaves the session alone.
+   */
+  static async refreshSession(refreshToken, clientInfo = null) {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+    const secretHash = TokenHelper.hash(secret);
+    const newSecret = TokenHelper.generateToken(48);
+
+    const update = {
+      refreshTokenHash: TokenHelper.hash(newSecret),
+      previousRefreshTokenHash: secretHash,
+      lastUsedAt: new Date()
+    };
+    if (clientInfo) {
+      update.lastIpAddress = clientInfo.ipAddress;
+    }
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: secretHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: update,
+        $inc: { generation: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reusedSession = await Session.findOne({ _id: sessionId, previousRefreshTokenHash: secretHash });
+      if (reusedSession && reusedSession.isActive()) {
+        await SessionService.revokeSession(sessionId, 'refresh-token-reuse');
+      }
+      throw new AuthError('Invalid or expired refresh token');
+    }
+
+    return {
+      jwtAccessToken: SessionService.signAccessToken(session),
+      refreshToken: `${session._id}.${newSecret}`,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Get the session behind an access token if it is still usable.
+   * Returns null when the session was revoked, expired or rotated.
+   */
+  static async getActiveSession(sessionId, generation) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive() || session.generation !== generation) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke a single session
+   */
+  static async revokeSession(sessionId, reason = 'logout') {
+    try {
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    } catch (error) {
+      throw new DatabaseError('Failed to revoke session');
+    }
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   */
+  static async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+
+    const session = await Session.findOne({ _id: sessionId, refreshTokenHash: TokenHelper.hash(secret) });
+    if (!session) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    await SessionService.revokeSession(session._id, reason);
+  }
+
+  /**
+   * List a user's active sessions for their device list, most recently used first.
+   * Admin impersonation sessions are not shown.
+   */
+  static async listForUser(userId, currentSessionId = null) {
+    try {
+      const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        impersonatedBy: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastUsedAt: -1 });
+
+      return sessions.map(session => ({
+        _id: session._id,
+        device: session.device || 'Unknown device',
+        ipAddress: session.ipAddress,
+        lastIpAddress: session.lastIpAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: currentSessionId ? session._id.toString() === String(currentSessionId) : false
+      }));
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve sessions');
+    }
+  }
+
+  /**
+   * Revoke one of a user's own sessions
+   */
+  static async revokeUserSession(userId, sessionId, reason = 'revoked-by-user') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new ValidationError('Invalid session ID');
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null, impersonatedBy: null });
+    if (!session) {
+      throw new ValidationError('Session not found');
+    }
+
+    await SessionService.revokeSession(session._id, reason);
+  }
+
+  /**
+   * Revoke every active session of a user except the current one
+   */
+  static async revokeOtherSessions(userId, currentSessionId, reason = 'revoked-by-user') {
+    try {
+      const result = await Session.updateMany(
+        { userId, _id: { $ne: currentSessionId }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new DatabaseError('Failed to revoke sessions');
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   */
+  static async revokeAllForUser(userId, reason) {
+    try {
+      const result = await Session.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new DatabaseError('Failed to revoke sessions');
+    }
+  }
+}
+
+module.exports = SessionService;
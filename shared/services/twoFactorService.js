@@ -0,0 +1,232 @@
+// shared/services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const CompanyProfile = require('../../models/sintracapFounder');
+const Admin = require('../../models/admin');
+const TotpHelper = require('../hellpers/TotpHelper');
+const TokenHelper = require('../hellpers/TokenHelper');
+const { ValidationError, DatabaseError, AuthError } = require('../middleware/errorHandler');
+
+// Secret fields are select: false on every account model
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes';
+
+// 10 random bytes per backup code, so the stored hashes can't be brute-forced
+const BACKUP_CODE_BYTES = 10;
+
+const PENDING_STAGES = {
+  VERIFY: 'pending-2fa',
+  SETUP: 'pending-2fa-setup'
+};
+
+/**
+ * Helper to get the key used to encrypt TOTP secrets at rest
+ */
+const getEncryptionKey = () => {
+  return constants.TWO_FACTOR.ENCRYPTION_KEY || constants.JWT_SECRET;
+};
+
+/**
+ * Helper to normalise a backup code before hashing ("abcde-12345" == "ABCDE12345")
+ */
+const normalizeBackupCode = (code) => {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+};
+
+/**
+ * Helper to get the model that holds accounts of a role
+ */
+const getModelForRole = (role) => {
+  if (role === 'investor') return InvestorProfile;
+  if (role === 'founder') return CompanyProfile;
+  if (role === 'admin') return Admin;
+  throw new ValidationError('Invalid role specified');
+};
+
+class TwoFactorService {
+  static get PENDING_STAGES() {
+    return PENDING_STAGES;
+  }
+
+  /**
+   * Load the account document for a user ID and role, with its 2FA secrets
+   */
+  static async getAccount(userId, role) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new AuthError('User not found');
+    }
+
+    const account = await getModelForRole(role).findById(userId).select(SECRET_FIELDS);
+    if (!account) {
+      throw new AuthError('User not found');
+    }
+    return account;
+  }
+
+  /**
+   * Whether 2FA is switched on for an account
+   */
+  static isEnabled(account) {
+    return !!(account.twoFactor && account.twoFactor.enabled);
+  }
+
+  /**
+   * Issue a short-lived token that only proves the password step succeeded.
+   * It carries no session, so authenticateToken refuses it.
+   */
+  static issuePendingToken(account, role, stage = PENDING_STAGES.VERIFY) {
+    return jwt.sign(
+      { userId: account._id, role, stage, twoFactorPending: true },
+      constants.JWT_SECRET,
+      { expiresIn: constants.TWO_FACTOR.PENDING_TOKEN_EXPIRE }
+    );
+  }
+
+  /**
+   * Verify a pending-2FA token and return its payload
+   */
+  static verifyPendingToken(pendingToken, expectedStage) {
+    let decoded;
+    try {
+      decoded = jwt.verify(pendingToken, constants.JWT_SECRET);
+    } catch (error) {
+      throw new AuthError('Two-factor session expired. Please sign in again');
+    }
+
+    if (!decoded.twoFactorPending || (expectedStage && decoded.stage !== expectedStage)) {
+      throw new AuthError('Invalid two-factor session');
+    }
+    return decoded;
+  }
+
+  /**
+   * Start enrollment: generate a secret the user adds to their authenticator app
+   */
+  static async beginEnrollment(account) {
+    if (TwoFactorService.isEnabled(account)) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    const secret = TotpHelper.generateSecret();
+    account.twoFactor = account.twoFactor || {};
+    account.twoFactor.pendingSecret = TotpHelper.encryptSecret(secret, getEncryptionKey());
+
+    try {
+      await account.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to start two-factor enrollment');
+    }
+
+    return {
+      secret,
+      otpauthUrl: TotpHelper.buildOtpAuthUrl(secret, account.email, constants.TWO_FACTOR.ISSUER)
+    };
+  }
+
+  /**
+   * Finish enrollment by confirming a code from the new secret.
+   * Returns the plain backup codes; they are only shown this once.
+   */
+  static async confirmEnrollment(account, code) {
+    if (TwoFactorService.isEnabled(account)) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    if (!account.twoFactor || !account.twoFactor.pendingSecret) {
+      throw new ValidationError('Two-factor enrollment has not been started');
+    }
+
+    const secret = TotpHelper.decryptSecret(account.twoFactor.pendingSecret, getEncryptionKey());
+    const step = TotpHelper.verifyCode(secret, code);
+    if (step === null) {
+      throw new AuthError(constants.ERRORS.INVALID_TWO_FACTOR_CODE);
+    }
+
+    const backupCodes = Array.from({ length: constants.TWO_FACTOR.BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(BACKUP_CODE_BYTES).toString('hex');
+      return raw.match(/.{5}/g).join('-');
+    });
+
+    account.twoFactor.enabled = true;
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = null;
+    account.twoFactor.backupCodes = backupCodes.map(backupCode => TokenHelper.hash(normalizeBackupCode(backupCode)));
+    account.twoFactor.enabledAt = new Date();
+    account.twoFactor.lastUsedStep = step;
+
+    try {
+      await account.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to enable two-factor authentication');
+    }
+
+    return backupCodes;
+  }
+
+  /**
+   * Check a TOTP code or a single-use backup code against an account.
+   * Throws AuthError when neither matches.
+   */
+  static async verifyAccountCode(account, { code, backupCode }) {
+    if (!TwoFactorService.isEnabled(account)) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (code) {
+      const secret = TotpHelper.decryptSecret(account.twoFactor.secret, getEncryptionKey());
+      const step = TotpHelper.verifyCode(secret, code);
+
+      if (step === null || (account.twoFactor.lastUsedStep !== null && step <= account.twoFactor.lastUsedStep)) {
+        throw new AuthError(constants.ERRORS.INVALID_TWO_FACTOR_CODE);
+      }
+
+      account.twoFactor.lastUsedStep = step;
+      await account.save();
+      return { method: 'totp' };
+    }
+
+    if (backupCode) {
+      const backupCodeHash = TokenHelper.hash(normalizeBackupCode(backupCode));
+      const index = account.twoFactor.backupCodes.indexOf(backupCodeHash);
+      if (index === -1) {
+        throw new AuthError(constants.ERRORS.INVALID_TWO_FACTOR_CODE);
+      }
+
+      account.twoFactor.backupCodes.splice(index, 1);
+      await account.save();
+      return { method: 'backup-code', remainingBackupCodes: account.twoFactor.backupCodes.length };
+    }
+
+    throw new ValidationError('A two-factor code or backup code is required');
+  }
+
+  /**
+   * Switch 2FA off. Admin accounts must keep it enabled.
+   */
+  static async disable(account, role, codes) {
+    if (role === 'admin') {
+      throw new ValidationError('Two-factor authentication is mandatory for admin accounts');
+    }
+
+    await TwoFactorService.verifyAccountCode(account, codes);
+
+    account.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      backupCodes: [],
+      enabledAt: null,
+      lastUsedStep: null
+    };
+
+    try {
+      await account.save();
+    } catch (error) {
+      throw new DatabaseError('Failed to disable two-factor authentication');
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -1,23 +1,30 @@
 // services/uploadService.js
-const { BlobServiceClient } = require('@azure/storage-blob');
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
 const { v4: uuidv4 } = require('uuid');
 const multipart = require('parse-multipart');
 const { ValidationError } = require('../middleware/errorHandler');
+const config = require('../config/config');
 
 class UploadService {
-    constructor() {
-        this.connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING || 
-            "DefaultEndpointsProtocol=https;AccountName=sintracap;AccountKey=kGfGEuu7WUkWUkqXkvdceqzbTjI0a/dI+oEyboCIZDDkBdOtFo60E38hGLKnEzM8AB8Ww2qxi7UZ+AStrcDDHw==;EndpointSuffix=core.windows.net";
-        this.containerName = process.env.AZURE_CONTAINER_NAME || 'sintracap-media';
+    // Pass { containerName, publicAccess: false } for private containers read through readUrl()
+    constructor(options = {}) {
+        const {
+            containerName = config.storage.containerName,
+            publicAccess = true
+        } = options;
+
+        this.connectionString = config.storage.connectionString;
+        this.containerName = containerName;
+        this.publicAccess = publicAccess;
         this.blobServiceClient = BlobServiceClient.fromConnectionString(this.connectionString);
         this.containerClient = this.blobServiceClient.getContainerClient(this.containerName);
     }
 
     // Initialize container
     async initializeContainer() {
-        await this.containerClient.createIfNotExists({
+        await this.containerClient.createIfNotExists(this.publicAccess ? {
             access: 'blob' // Public read access for blobs only
-        });
+        } : {});
     }
 
     // Parse multipart form data
@@ -157,6 +164,32 @@ class UploadService {
         return 'document';
     }
 
+    // Short-lived read-only URL for a blob; disposition 'inline' to view, 'attachment' to download
+    async readUrl(blobName, { expiresInMinutes, fileName, disposition = 'attachment' }) {
+        const blobClient = this.containerClient.getBlobClient(blobName);
+        const expiresOn = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+        const url = await blobClient.generateSasUrl({
+            permissions: BlobSASPermissions.parse('r'),
+            startsOn: new Date(Date.now() - 60 * 1000), // tolerate clock skew
+            expiresOn,
+            contentDisposition: fileName ? `${disposition}; filename="${fileName.replace(/"/g, '')}"` : disposition
+        });
+
+        return { url, expiresAt: expiresOn };
+    }
+
+    // Blob name of a URL in this container; null for URLs stored anywhere else
+    blobNameFromUrl(url) {
+        const containerUrl = `${this.containerClient.url}/`;
+        if (typeof url !== 'string' || !url.startsWith(containerUrl)) {
+            return null;
+        }
+
+        const blobName = decodeURIComponent(url.slice(containerUrl.length).split('?')[0]);
+        return blobName || null;
+    }
+
     // Delete file from blob storage
     async deleteFile(blobName) {
         try {
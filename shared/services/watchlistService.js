@@ -0,0 +1,182 @@
+// shared/services/watchlistService.js
+const mongoose = require('mongoose');
+const constants = require('../config/constants');
+const config = require('../config/config');
+const Deal = require('../../models/deal');
+const DealWatch = require('../../models/dealWatch');
+const InvestorProfile = require('../../models/sintracapInvestor');
+const Notification = require('../../models/notification');
+const DealAccessService = require('./dealAccessService');
+const { EmailApiService } = require('./EmailApiService');
+const { ValidationError, DatabaseError } = require('../middleware/errorHandler');
+
+// Alert emails go out as one message per batch, with watchers in bcc
+const EMAIL_BATCH_SIZE = 50;
+
+/**
+ * Helper to keep the deal's watcher counter equal to its watch entries
+ */
+const adjustWatcherCount = async (dealId, delta) => {
+  await Deal.updateOne({ _id: dealId }, { $inc: { 'analytics.watcherCount': delta } });
+};
+
+/**
+ * Investors follow deals and are alerted when the status changes, new media is
+ * added, or the amount or returns change. Callers describe the change; this
+ * service decides who still gets told.
+ */
+class WatchlistService {
+  /**
+   * Follow a deal, or change the email setting of an existing follow
+   */
+  static async watch(investor, dealId, { emailAlerts = false } = {}) {
+    await DealAccessService.assertCanView(dealId, investor);
+
+    try {
+      const watch = await DealWatch.create({ dealId, investorId: investor._id, emailAlerts });
+      await adjustWatcherCount(dealId, 1);
+      return { watch, created: true };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw new DatabaseError('Failed to add deal to watchlist');
+      }
+    }
+
+    const watch = await DealWatch.findOneAndUpdate(
+      { dealId, investorId: investor._id },
+      { $set: { emailAlerts } },
+      { new: true }
+    );
+    return { watch, created: false };
+  }
+
+  /**
+   * Stop following a deal
+   */
+  static async unwatch(investor, dealId) {
+    if (!mongoose.Types.ObjectId.isValid(dealId)) {
+      throw new ValidationError('Invalid deal ID');
+    }
+
+    const watch = await DealWatch.findOneAndDelete({ dealId, investorId: investor._id });
+    if (!watch) {
+      throw new ValidationError('This deal is not on your watchlist');
+    }
+
+    await adjustWatcherCount(dealId, -1);
+    return watch;
+  }
+
+  /**
+   * The investor's watchlist, newest first, with each deal populated.
+   * Present the deals with DealsService.presentDeals before returning them.
+   */
+  static async listForInvestor(investorId) {
+    try {
+      return await DealWatch.find({ investorId })
+        .populate('dealId', '-statusHistory')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      throw new DatabaseError('Failed to retrieve watchlist');
+    }
+  }
+
+  /**
+   * Alert a deal's watchers. Watchers who can no longer see the deal are skipped.
+   * @param {Object} deal - Deal with title and visibility fields
+   * @param {string[]} changes - One human-readable line per change
+   * @param {Object} actor - Admin who made the change, if any
+   * @returns {Object} - { notified, emailed }
+   */
+  static async notifyWatchers(deal, changes, actor = null) {
+    const watches = await DealWatch.find({ dealId: deal._id }).lean();
+    if (watches.length === 0 || changes.length === 0) {
+      return { notified: 0, emailed: 0 };
+    }
+
+    const investors = await InvestorProfile.find({
+      _id: { $in: watches.map(watch => watch.investorId) },
+      deletedAt: null
+    }).select('_id email investorType').lean();
+
+    const viewer = { role: constants.ROLES.INVESTOR };
+    const recipients = investors.filter(investor => DealAccessService.canView(deal, viewer, investor));
+    if (recipients.length === 0) {
+      return { notified: 0, emailed: 0 };
+    }
+
+    const actionUrl = `/deals/${deal._id}`;
+    await Notification.insertMany(recipients.map(investor => ({
+      recipientId: investor._id,
+      recipientType: 'investor',
+      senderId: actor ? actor._id : null,
+      senderType: actor ? 'admin' : 'system',
+      type: 'deal_watch_alert',
+      title: `Watched deal updated: ${deal.title}`,
+      message: changes.join('; '),
+      relatedEntityId: deal._id,
+      relatedEntityType: 'deal',
+      priority: 'medium',
+      actionUrl,
+      actionText: 'View Deal'
+    })));
+
+    const emailAlerts = new Set(watches.filter(watch => watch.emailAlerts).map(watch => watch.investorId.toString()));
+    const emails = recipients
+      .filter(investor => emailAlerts.has(investor._id.toString()) && investor.email)
+      .map(investor => investor.email);
+
+    let emailed = 0;
+    const dealLink = `${constants.FRONTEND_URL}${actionUrl}`;
+    for (let i = 0; i < emails.length; i += EMAIL_BATCH_SIZE) {
+      const batch = emails.slice(i, i + EMAIL_BATCH_SIZE);
+      try {
+        await EmailApiService.sendEmail({
+          to: config.email.user,
+          bcc: batch.join(','),
+          subject: `Update on ${deal.title}`,
+          htmlTemplate: EmailApiService.createDealWatchAlertEmailTemplate(deal.title, changes, dealLink),
+          textTemplate: EmailApiService.createDealWatchAlertEmailTextTemplate(deal.title, changes, dealLink)
+        });
+        emailed += batch.length;
+      } catch (error) {
+        console.error(`Deal ${deal._id} watch alert email failed:`, error.message);
+      }
+    }
+
+    return { notified: recipients.length, emailed };
+  }
+
+  /**
+   * Like notifyWatchers, but never fails the change that triggered it
+   */
+  static async notifyWatchersSafely(deal, changes, actor = null) {
+    try {
+      return await WatchlistService.notifyWatchers(deal, changes, actor);
+    } catch (error) {
+      console.error(`Deal ${deal._id} watch alerts failed:`, error.message);
+      return { notified: 0, emailed: 0 };
+    }
+  }
+
+  /**
+   * Remove a deleted deal's watchers
+   */
+  static async deleteAllForDeal(dealId) {
+    await DealWatch.deleteMany({ dealId });
+  }
+
+  /**
+   * Remove an investor's watchlist, e.g. when the account is deleted
+   */
+  static async deleteAllForInvestor(investorId) {
+    const watches = await DealWatch.find({ investorId }).select('dealId').lean();
+    for (const watch of watches) {
+      await adjustWatcherCount(watch.dealId, -1);
+    }
+    await DealWatch.deleteMany({ investorId });
+  }
+}
+
+module.exports = WatchlistService;
@@ -0,0 +1,61 @@
+// startImpersonation/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const ImpersonationService = require('../shared/services/impersonationService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function startImpersonationHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+
+    const { userId, role, reason, durationMinutes } = req.body;
+
+    // The returned access token acts as the user; requests made with it are audited
+    const result = await ImpersonationService.startImpersonation(
+        authenticatedUser,
+        { userId, role, reason, durationMinutes },
+        req
+    );
+
+    context.log.info(`Admin ${authenticatedUser._id} started impersonating ${role} ${userId} until ${result.expiresAt.toISOString()}`);
+
+    return {
+        message: 'Impersonation session started',
+        data: result
+    };
+}
+
+// Input validation function
+function validateStartImpersonationInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { userId, role, reason } = req.body;
+    if (!userId || !role) {
+        throw new ValidationError('userId and role are required');
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+        throw new ValidationError('A reason is required to impersonate a user');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(startImpersonationHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateStartImpersonationInput,
+    enableCors: true,
+    timeout: 15000
+});
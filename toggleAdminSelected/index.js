@@ -6,15 +6,19 @@ const {
 const dbConfig = require('../shared/config/db.config');
 const DealsService = require('../shared/services/dealService');
 const authenticateToken = require('../shared/middleware/authenticateToken')
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 async function toggleAdminSelectedHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
     
     const user = await authenticateToken(context, req);
     
-    if (!user || user.role !== 'admin') {
-        throw new ValidationError('Only admins can toggle admin selected status');
+    if (!user) {
+        return; // Response already set by authenticateToken middleware
     }
     
+    requireAdminRole(user, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+    
     const dealId = context.bindingData.dealId;
     
     if (!dealId) {
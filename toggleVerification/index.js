@@ -6,6 +6,9 @@ const {
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
 const AuthService = require('../shared/services/authService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const mongoose = require('mongoose');
 
@@ -14,6 +17,13 @@ async function toggleVerificationHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
+    const authenticatedUser = await authenticateToken(context, req);
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
+    }
+    
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
     // Get user ID from route parameter
     const userId = context.bindingData.id;
     const validatedUserId = validateRequired(userId, 'userId');
@@ -74,7 +84,7 @@ function validateToggleVerificationInput(req) {
 
 // Export wrapped function
 module.exports = azureFunctionWrapper(toggleVerificationHandler, {
-    requireAuth: false, // Set to true if admin authentication is required
+    requireAuth: true,
     validateInput: validateToggleVerificationInput,
     enableCors: true,
     timeout: 15000
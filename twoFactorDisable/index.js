@@ -0,0 +1,51 @@
+// twoFactorDisable/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const TwoFactorService = require('../shared/services/twoFactorService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function twoFactorDisableHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const authenticatedUser = await authenticateToken(context, req);
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
+    }
+
+    const { code, backupCode } = req.body;
+    const account = await TwoFactorService.getAccount(authenticatedUser._id, authenticatedUser.role);
+
+    // A current code is required so a stolen access token alone can't turn 2FA off
+    await TwoFactorService.disable(account, authenticatedUser.role, { code, backupCode });
+
+    return {
+        message: 'Two-factor authentication disabled'
+    };
+}
+
+// Input validation function
+function validateTwoFactorDisableInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { code, backupCode } = req.body;
+    if (!code && !backupCode) {
+        throw new ValidationError('A two-factor code or backup code is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(twoFactorDisableHandler, {
+    requireAuth: true,
+    allowImpersonation: false,
+    validateInput: validateTwoFactorDisableInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,75 @@
+// twoFactorEnable/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ForbiddenError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
+const TwoFactorService = require('../shared/services/twoFactorService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
+
+// Main function handler
+async function twoFactorEnableHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const { pendingToken, code } = req.body;
+
+    if (pendingToken) {
+        // Enrollment during admin login: confirm the code, then finish the login
+        const decoded = TwoFactorService.verifyPendingToken(pendingToken, TwoFactorService.PENDING_STAGES.SETUP);
+        const account = await TwoFactorService.getAccount(decoded.userId, decoded.role);
+        const backupCodes = await TwoFactorService.confirmEnrollment(account, code);
+        const loginResult = await AuthService.buildAdminLoginResponse(account, RequestHelper.getClientInfo(req));
+
+        return {
+            message: 'Two-factor authentication enabled',
+            data: {
+                ...loginResult,
+                backupCodes
+            }
+        };
+    }
+
+    const authenticatedUser = await authenticateToken(context, req);
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
+    }
+
+    if (authenticatedUser.impersonator) {
+        throw new ForbiddenError(constants.ERRORS.IMPERSONATION_READ_ONLY);
+    }
+
+    const account = await TwoFactorService.getAccount(authenticatedUser._id, authenticatedUser.role);
+    const backupCodes = await TwoFactorService.confirmEnrollment(account, code);
+
+    return {
+        message: 'Two-factor authentication enabled',
+        data: {
+            backupCodes
+        }
+    };
+}
+
+// Input validation function
+function validateTwoFactorEnableInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    if (!req.body.code) {
+        throw new ValidationError('Two-factor code is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(twoFactorEnableHandler, {
+    requireAuth: false,
+    validateInput: validateTwoFactorEnableInput,
+    enableCors: true,
+    timeout: 15000
+});
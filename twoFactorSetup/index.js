@@ -0,0 +1,52 @@
+// twoFactorSetup/index.js
+const {
+    azureFunctionWrapper,
+    ForbiddenError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const TwoFactorService = require('../shared/services/twoFactorService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+
+// Main function handler
+async function twoFactorSetupHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const { pendingToken } = req.body || {};
+    let account;
+
+    if (pendingToken) {
+        // Admins without 2FA enroll during login using their setup token
+        const decoded = TwoFactorService.verifyPendingToken(pendingToken, TwoFactorService.PENDING_STAGES.SETUP);
+        account = await TwoFactorService.getAccount(decoded.userId, decoded.role);
+    } else {
+        const authenticatedUser = await authenticateToken(context, req);
+        if (!authenticatedUser) {
+            return; // Response already set by authenticateToken middleware
+        }
+
+        if (authenticatedUser.impersonator) {
+            throw new ForbiddenError(constants.ERRORS.IMPERSONATION_READ_ONLY);
+        }
+
+        account = await TwoFactorService.getAccount(authenticatedUser._id, authenticatedUser.role);
+    }
+
+    // Generate a new secret; the client renders otpauthUrl as a QR code
+    const result = await TwoFactorService.beginEnrollment(account);
+
+    return {
+        message: 'Scan the QR code with your authenticator app and confirm with a code',
+        data: result
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(twoFactorSetupHandler, {
+    requireAuth: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
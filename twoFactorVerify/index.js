@@ -0,0 +1,54 @@
+// twoFactorVerify/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
+const dbConfig = require('../shared/config/db.config');
+const constants = require('../shared/config/constants');
+const RequestHelper = require('../shared/hellpers/RequestHelper');
+
+// Main function handler
+async function twoFactorVerifyHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const { pendingToken, code, backupCode } = req.body;
+
+    // Complete the second login step and issue the session tokens
+    const result = await AuthService.verifyTwoFactorLogin(pendingToken, { code, backupCode }, RequestHelper.getClientInfo(req));
+
+    return {
+        message: 'Login successful',
+        data: result
+    };
+}
+
+// Input validation function
+function validateTwoFactorVerifyInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { pendingToken, code, backupCode } = req.body;
+    if (!pendingToken) {
+        throw new ValidationError('Pending token is required');
+    }
+
+    if (!code && !backupCode) {
+        throw new ValidationError('A two-factor code or backup code is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(twoFactorVerifyHandler, {
+    requireAuth: false,
+    validateInput: validateTwoFactorVerifyInput,
+    enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
+    timeout: 15000
+});
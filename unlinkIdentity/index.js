@@ -0,0 +1,39 @@
+// unlinkIdentity/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const IdentityService = require('../shared/services/identityService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function unlinkIdentityHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Authenticated user attached by the wrapper
+    const user = req.user;
+    const provider = context.bindingData.provider;
+
+    if (!IdentityService.LINKABLE_PROVIDERS.includes(provider)) {
+        throw new ValidationError(`Provider must be one of: ${IdentityService.LINKABLE_PROVIDERS.join(', ')}`);
+    }
+
+    const identities = await IdentityService.unlinkIdentity(user._id, user.role, provider);
+
+    return {
+        message: `${provider === 'google' ? 'Google' : 'LinkedIn'} account unlinked successfully`,
+        data: { identities }
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(unlinkIdentityHandler, {
+    requireAuth: true,
+    roles: ['founder', 'investor'],
+    allowImpersonation: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
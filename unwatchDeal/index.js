@@ -0,0 +1,36 @@
+// unwatchDeal/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const WatchlistService = require('../shared/services/watchlistService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function unwatchDealHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    await WatchlistService.unwatch(req.user, dealId);
+
+    return {
+        message: 'Deal removed from your watchlist',
+        data: { dealId }
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(unwatchDealHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    allowImpersonation: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,56 @@
+// updateAdmin/index.js
+const { 
+    azureFunctionWrapper,
+    validateRequired,
+    ValidationError,
+    ensureDbConnection 
+} = require('../shared/middleware/errorHandler');
+const AdminService = require('../shared/services/adminService');
+const authenticateToken = require('../shared/middleware/authenticateToken');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function updateAdminHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+    
+    const authenticatedUser = await authenticateToken(context, req);
+    if (!authenticatedUser) {
+        return; // Response already set by authenticateToken middleware
+    }
+    
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
+    // Get admin ID from route parameter
+    const adminId = validateRequired(context.bindingData.adminId, 'adminId');
+    
+    const { name, adminRole, isActive, password } = req.body;
+    
+    const admin = await AdminService.updateAdmin(
+        adminId,
+        { name, adminRole, isActive, password },
+        authenticatedUser._id
+    );
+    
+    return {
+        message: 'Admin updated successfully',
+        data: admin
+    };
+}
+
+// Input validation function
+function validateUpdateAdminInput(req) {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        throw new ValidationError('Update data is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(updateAdminHandler, {
+    requireAuth: true,
+    validateInput: validateUpdateAdminInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,54 @@
+// updateCommitmentStatus/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CommitmentService = require('../shared/services/commitmentService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function updateCommitmentStatusHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, commitmentId } = context.bindingData;
+    if (!dealId || !commitmentId) {
+        throw new ValidationError('Deal ID and commitment ID are required');
+    }
+
+    const { status, note } = req.body;
+    const commitment = await CommitmentService.updateStatus(authenticatedUser, dealId, commitmentId, status, note);
+
+    return {
+        message: `Commitment marked as ${commitment.status}`,
+        data: commitment
+    };
+}
+
+// Input validation function
+function validateUpdateCommitmentStatusInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const validStatuses = Object.values(constants.COMMITMENT_STATUS);
+    if (!validStatuses.includes(req.body.status)) {
+        throw new ValidationError(`status must be one of: ${validStatuses.join(', ')}`);
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(updateCommitmentStatusHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateUpdateCommitmentStatusInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,48 @@
+// updateDataRoomDocument/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function updateDataRoomDocumentHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, documentId } = context.bindingData;
+    if (!dealId || !documentId) {
+        throw new ValidationError('Deal ID and document ID are required');
+    }
+
+    const result = await DataRoomService.updateDocument(dealId, documentId, req.body);
+
+    return {
+        message: 'Document updated successfully',
+        data: result
+    };
+}
+
+// Input validation function
+function validateUpdateDataRoomDocumentInput(req) {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        throw new ValidationError('Update data is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(updateDataRoomDocumentHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateUpdateDataRoomDocumentInput,
+    enableCors: true,
+    timeout: 15000
+});
@@ -0,0 +1,48 @@
+// updateDataRoomFolder/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function updateDataRoomFolderHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, folderId } = context.bindingData;
+    if (!dealId || !folderId) {
+        throw new ValidationError('Deal ID and folder ID are required');
+    }
+
+    const result = await DataRoomService.updateFolder(dealId, folderId, req.body);
+
+    return {
+        message: 'Folder updated successfully',
+        data: result
+    };
+}
+
+// Input validation function
+function validateUpdateDataRoomFolderInput(req) {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        throw new ValidationError('Update data is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(updateDataRoomFolderHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateUpdateDataRoomFolderInput,
+    enableCors: true,
+    timeout: 15000
+});
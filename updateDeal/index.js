@@ -6,6 +6,8 @@ const {
 const dbConfig = require('../shared/config/db.config');
 const DealsService = require('../shared/services/dealService');
 const authenticateToken = require('../shared/middleware/authenticateToken')
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 async function updateDealHandler(context, req) {
     await ensureDbConnection(dbConfig, context);
     
@@ -14,12 +16,11 @@ async function updateDealHandler(context, req) {
         return; // Response already set by authenticateToken middleware
     }
     
-    if (!user || user.role !== 'admin') {
-        throw new ValidationError('Only admins can update deals');
-    }
+    requireAdminRole(user, [constants.ADMIN_ROLES.DEAL_MANAGER]);
     
     const dealId = context.bindingData.dealId;
-    const updateData = req.body;
+    // changeReason and notifyInvestors describe the edit; the rest is deal content
+    const { changeReason, notifyInvestors, ...updateData } = req.body || {};
     
     if (!dealId) {
         throw new ValidationError('Deal ID is required');
@@ -29,10 +30,13 @@ async function updateDealHandler(context, req) {
         throw new ValidationError('Update data is required');
     }
     
-    const deal = await DealsService.updateDeal(dealId, updateData, user._id);
+    const deal = await DealsService.updateDeal(dealId, updateData, user, {
+        reason: changeReason,
+        notifyInvestors: notifyInvestors === true
+    });
     
     return {
-        message: 'Deal updated successfully',
+        message: `Deal updated successfully (version ${deal.version || 0})`,
         data: deal
     };
 }
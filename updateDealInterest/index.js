@@ -0,0 +1,48 @@
+// updateDealInterest/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CommitmentService = require('../shared/services/commitmentService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function updateDealInterestHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const { amount, currency, note } = req.body;
+    const commitment = await CommitmentService.updateInterest(req.user, dealId, { amount, currency, note });
+
+    return {
+        message: 'Commitment updated successfully',
+        data: commitment
+    };
+}
+
+// Input validation function
+function validateUpdateDealInterestInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    if (req.body.amount === undefined && req.body.note === undefined) {
+        throw new ValidationError('amount or note is required');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(updateDealInterestHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    allowImpersonation: false,
+    validateInput: validateUpdateDealInterestInput,
+    enableCors: true,
+    timeout: 15000
+});
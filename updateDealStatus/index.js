@@ -0,0 +1,58 @@
+// updateDealStatus/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DealsService = require('../shared/services/dealService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function updateDealStatusHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const { status, reason } = req.body;
+    const result = await DealsService.changeStatus(dealId, status, authenticatedUser, reason);
+
+    return {
+        message: `Deal moved from ${result.previousStatus} to ${result.status}`,
+        data: result
+    };
+}
+
+// Input validation function
+function validateUpdateDealStatusInput(req) {
+    if (!req.body) {
+        throw new ValidationError('Request body is required');
+    }
+
+    const { status, reason } = req.body;
+    if (!status) {
+        throw new ValidationError('status is required');
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        throw new ValidationError('reason must be a string');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(updateDealStatusHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: validateUpdateDealStatusInput,
+    enableCors: true,
+    timeout: 15000
+});
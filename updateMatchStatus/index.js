@@ -4,7 +4,6 @@ const {
     ValidationError,
     ensureDbConnection
 } = require('../shared/middleware/errorHandler');
-const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
 const FounderInvestorMatch = require('../models/founderInvestorMatch');
 const Notification = require('../models/notification');
@@ -35,12 +34,8 @@ async function updateMatchStatusHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
-    // Get authenticated user (founder)
-    const user = await AuthService.authenticate(req);
-    
-    if (!user || user.role !== 'founder') {
-        throw new ValidationError('Only founders can update match status');
-    }
+    // Authenticated founder attached by the wrapper
+    const user = req.user;
     
     // Get match ID from route parameter
     const matchId = context.bindingData.matchId;
@@ -287,6 +282,7 @@ function getNextActions(status) {
 // Export wrapped function
 module.exports = azureFunctionWrapper(updateMatchStatusHandler, {
     requireAuth: true,
+    roles: ['founder'],
     validateInput: null,
     enableCors: true,
     timeout: 15000
@@ -8,11 +8,11 @@ const multipart = require('parse-multipart');
 const { BlobServiceClient } = require('@azure/storage-blob');
 const { v4: uuidv4 } = require('uuid');
 const constants = require('../shared/config/constants');
+const config = require('../shared/config/config');
 
 // Azure Storage configuration
-const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING || 
-    "DefaultEndpointsProtocol=https;AccountName=sintracap;AccountKey=kGfGEuu7WUkWUkqXkvdceqzbTjI0a/dI+oEyboCIZDDkBdOtFo60E38hGLKnEzM8AB8Ww2qxi7UZ+AStrcDDHw==;EndpointSuffix=core.windows.net";
-const containerName = process.env.AZURE_CONTAINER_NAME || 'sintracap-media';
+const connectionString = config.storage.connectionString;
+const containerName = config.storage.containerName;
 
 // Main function handler
 async function uploadInvestorDocumentsHandler(context, req) {
@@ -0,0 +1,45 @@
+// uploadDataRoomDocuments/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const DataRoomService = require('../shared/services/dataRoomService');
+const UploadService = require('../shared/services/uploadService');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function uploadDataRoomDocumentsHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.DEAL_MANAGER]);
+
+    const { dealId, folderId } = context.bindingData;
+    if (!dealId || !folderId) {
+        throw new ValidationError('Deal ID and folder ID are required');
+    }
+
+    const parts = new UploadService().parseMultipartData(req);
+    const documents = await DataRoomService.uploadDocuments(authenticatedUser, dealId, folderId, parts);
+
+    context.log(`Uploaded ${documents.length} data room document(s) for deal ${dealId}`);
+
+    return {
+        message: `Successfully uploaded ${documents.length} document(s)`,
+        data: documents
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(uploadDataRoomDocumentsHandler, {
+    requireAuth: true,
+    roles: ['admin'],
+    validateInput: null,
+    enableCors: true,
+    timeout: constants.TIMEOUTS.UPLOAD
+});
@@ -7,6 +7,8 @@ const {
     DatabaseError,
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
+const requireAdminRole = require('../shared/middleware/authorizeAdmin');
+const constants = require('../shared/config/constants');
 const dbConfig = require('../shared/config/db.config');
 const mongoose = require('mongoose');
 
@@ -15,6 +17,10 @@ async function verifyDocumentHandler(context, req) {
     // Ensure database connection
     await ensureDbConnection(dbConfig, context);
     
+    // Admin user attached by the wrapper
+    const authenticatedUser = req.user;
+    requireAdminRole(authenticatedUser, [constants.ADMIN_ROLES.SUPER_ADMIN]);
+    
     // Extract and validate input
     const { userId, documentId, isVerified, role } = req.body;
     
@@ -96,7 +102,7 @@ async function verifyDocumentHandler(context, req) {
                 validatedDocumentId, 
                 isVerified, 
                 validatedRole, 
-                req.body.adminId
+                authenticatedUser._id
             );
         } catch (historyError) {
             context.log.error('Failed to record document history:', historyError);
@@ -172,7 +178,8 @@ function validateVerifyDocumentInput(req) {
 
 // Export wrapped function
 module.exports = azureFunctionWrapper(verifyDocumentHandler, {
-    requireAuth: false, // Set to true if admin authentication is required
+    requireAuth: true,
+    roles: ['admin'],
     validateInput: validateVerifyDocumentInput,
     enableCors: true,
     timeout: 15000
@@ -4,12 +4,11 @@ const {
     validateEmail,
     validateRequired,
     ValidationError,
-    NotFoundError,
     ensureDbConnection 
 } = require('../shared/middleware/errorHandler');
+const AuthService = require('../shared/services/authService');
 const dbConfig = require('../shared/config/db.config');
-const sintracapFounder = require('../models/sintracapFounder');
-const sintracapInvestor = require('../models/sintracapInvestor');
+const constants = require('../shared/config/constants');
 
 // Main function handler
 async function verifyEmailHandler(context, req) {
@@ -21,39 +20,13 @@ async function verifyEmailHandler(context, req) {
     const validatedToken = validateRequired(token, 'token');
     const validatedEmail = validateEmail(email);
     
-    // Find user with matching email and token
-    let user = await sintracapInvestor.findOne({
-        email: validatedEmail,
-        emailVerificationToken: validatedToken
-    });
-    
-    if (!user) {
-        user = await sintracapFounder.findOne({
-            email: validatedEmail,
-            emailVerificationToken: validatedToken
-        });
-    }
-    
-    if (!user) {
-        throw new ValidationError('Invalid or expired verification token');
-    }
-    
-    // Check if token is expired
-    if (user.emailVerificationExpires && user.emailVerificationExpires < Date.now()) {
-        throw new ValidationError('Verification token has expired');
-    }
-    
-    // Mark email as verified
-    user.emailVerified = true;
-    user.emailVerificationToken = undefined;
-    user.emailVerificationExpires = undefined;
-    
-    await user.save();
+    // Check the code or magic-link token; wrong guesses count towards the attempt limit
+    const result = await AuthService.verifyEmail(validatedEmail, validatedToken);
     
     return {
         message: 'Email verified successfully',
-        email: user.email,
-        verified: true
+        email: result.email,
+        verified: result.verified
     };
 }
 
@@ -84,5 +57,9 @@ module.exports = azureFunctionWrapper(verifyEmailHandler, {
     requireAuth: false,
     validateInput: validateVerifyEmailInput,
     enableCors: true,
+    rateLimit: {
+        windowMs: constants.RATE_LIMIT.AUTH.WINDOW_MS,
+        max: constants.RATE_LIMIT.AUTH.MAX_REQUESTS
+    },
     timeout: 15000
 });
\ No newline at end of file
@@ -0,0 +1,46 @@
+// watchDeal/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const WatchlistService = require('../shared/services/watchlistService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function watchDealHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    const { emailAlerts = false } = req.body || {};
+    const { watch, created } = await WatchlistService.watch(req.user, dealId, { emailAlerts });
+
+    return {
+        message: created ? 'Deal added to your watchlist' : 'Watchlist alerts updated',
+        data: watch
+    };
+}
+
+// Input validation function
+function validateWatchDealInput(req) {
+    const { emailAlerts } = req.body || {};
+
+    if (emailAlerts !== undefined && typeof emailAlerts !== 'boolean') {
+        throw new ValidationError('emailAlerts must be a boolean value');
+    }
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(watchDealHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    allowImpersonation: false,
+    validateInput: validateWatchDealInput,
+    enableCors: true,
+    timeout: 15000
+});
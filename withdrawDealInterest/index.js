@@ -0,0 +1,38 @@
+// withdrawDealInterest/index.js
+const {
+    azureFunctionWrapper,
+    ValidationError,
+    ensureDbConnection
+} = require('../shared/middleware/errorHandler');
+const CommitmentService = require('../shared/services/commitmentService');
+const dbConfig = require('../shared/config/db.config');
+
+// Main function handler
+async function withdrawDealInterestHandler(context, req) {
+    // Ensure database connection
+    await ensureDbConnection(dbConfig, context);
+
+    const dealId = context.bindingData.dealId;
+    if (!dealId) {
+        throw new ValidationError('Deal ID is required');
+    }
+
+    // The reason is optional; DELETE requests usually have no body
+    const reason = req.body && req.body.reason ? req.body.reason : null;
+    const commitment = await CommitmentService.withdrawInterest(req.user, dealId, reason);
+
+    return {
+        message: 'Commitment withdrawn successfully',
+        data: commitment
+    };
+}
+
+// Export wrapped function
+module.exports = azureFunctionWrapper(withdrawDealInterestHandler, {
+    requireAuth: true,
+    roles: ['investor'],
+    allowImpersonation: false,
+    validateInput: null,
+    enableCors: true,
+    timeout: 15000
+});